@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { FileService } from './services/FileSystemService';
+import { FileService, isServerDrive } from './services/FileSystemService';
 import { useDropzone } from 'react-dropzone';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
@@ -27,11 +27,31 @@ import {
   AdjustmentsHorizontalIcon,
   ChevronUpIcon,
   ChevronDownIcon,
-  GlobeAltIcon
+  GlobeAltIcon,
+  ArrowRightStartOnRectangleIcon,
+  UserGroupIcon,
+  ClipboardDocumentListIcon,
+  DocumentDuplicateIcon,
+  ChartPieIcon,
+  ArrowsRightLeftIcon,
+  LinkIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
 import PreviewModal from './PreviewModal';
 import AddDriveModal from './AddDriveModal';
+import LoginScreen from './LoginScreen';
+import UsersModal from './UsersModal';
+import ShareModal from './ShareModal';
+import SharesModal from './SharesModal';
+import TrashModal from './TrashModal';
+import JobsPanel from './JobsPanel';
+import SearchModal from './SearchModal';
+import ArchiveModal from './ArchiveModal';
+import VersionsModal from './VersionsModal';
+import AuditLogModal from './AuditLogModal';
+import DuplicatesModal from './DuplicatesModal';
+import UsageModal from './UsageModal';
+import SyncModal from './SyncModal';
 import { translations } from './i18n';
 
 // --- Icons Helper ---
@@ -63,7 +83,9 @@ const FileItem = ({ file, selectedPaths, toggleSelection, handleNavigate, handle
   // Safe Thumbnail Logic
   const isImage = !file.isDirectory && /\.(jpg|jpeg|png|gif|webp|svg|bmp)$/i.test(file.name);
   const isPDF = !file.isDirectory && /\.pdf$/i.test(file.name);
-  const thumbnailUrl = `/api/raw?path=${encodeURIComponent(file.path)}&drive=${activeDrive || 'local'}`;
+  // Server-made thumbnail; PDFs keep their icon when the server can't render them
+  const [thumbnailFailed, setThumbnailFailed] = useState(false);
+  const thumbnailUrl = FileService.getThumbnailUrl(file, activeDrive, isList ? 64 : 256);
 
   // --- Long Press Logic ---
   const startPress = (e) => {
@@ -179,11 +201,12 @@ const FileItem = ({ file, selectedPaths, toggleSelection, handleNavigate, handle
         )}
         
         {/* Safe Thumbnail Overlay */}
-        {isImage && (
+        {(isImage || isPDF) && !thumbnailFailed && (
           <img 
             src={thumbnailUrl} 
             alt="" 
             loading="lazy"
+            onError={() => setThumbnailFailed(true)}
             className="absolute inset-0 w-full h-full object-cover bg-white"
             style={{ textIndent: '-10000px' }} 
           />
@@ -225,12 +248,17 @@ function App() {
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [transferring, setTransferring] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [pendingUploads, setPendingUploads] = useState([]);
   const [isIslandExpanded, setIsIslandExpanded] = useState(false);
   const [selectedPaths, setSelectedPaths] = useState(new Set());
   const [clipboard, setClipboard] = useState(null); 
   const [refreshKey, setRefreshKey] = useState(0);
   const [viewMode, setViewMode] = useState('grid');
   const [previewFile, setPreviewFile] = useState(null);
+  const [archiveFile, setArchiveFile] = useState(null); // ZIP / tar opened as a folder
+  const [versionsFile, setVersionsFile] = useState(null); // File whose earlier versions are shown
   const [drives, setDrives] = useState(() => {
     try {
       const cached = localStorage.getItem('cached_drives');
@@ -242,10 +270,23 @@ function App() {
   const [activeDrive, setActiveDrive] = useState(() => localStorage.getItem('last_drive') || 'local');
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [isAddDriveOpen, setIsAddDriveOpen] = useState(false);
+  const [isUsersOpen, setIsUsersOpen] = useState(false);
+  const [isAuditOpen, setIsAuditOpen] = useState(false);
+  const [isDuplicatesOpen, setIsDuplicatesOpen] = useState(false);
+  const [isUsageOpen, setIsUsageOpen] = useState(false);
+  const [isSyncOpen, setIsSyncOpen] = useState(false);
+  const [isSharesOpen, setIsSharesOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [shareTarget, setShareTarget] = useState(null); // { file, drive } being shared
+  const [jobs, setJobs] = useState([]); // Background jobs of server drives, newest first
   const [searchQuery, setSearchQuery] = useState('');
+  const [driveSearch, setDriveSearch] = useState(null); // { query } while the drive search is open
   const [page, setPage] = useState(1);
   const [sortConfig, setSortConfig] = useState({ key: 'type', direction: 'asc' });
   const [isSortMenuOpen, setIsSortMenuOpen] = useState(false);
+  // Server session; offline (no server, e.g. the native app) skips the login screen
+  const [session, setSession] = useState({ checked: false, user: null, setupRequired: false, offline: false });
+  const signedIn = session.checked && (!!session.user || session.offline);
   
   // Language State
   const [lang, setLang] = useState(() => localStorage.getItem('app_lang') || 'zh');
@@ -265,13 +306,39 @@ function App() {
     try {
       const list = await FileService.getDrives();
       setDrives(list);
+      // Drives come back without credentials: this also replaces caches from older versions
+      localStorage.setItem('cached_drives', JSON.stringify(list));
     } catch (e) {
       console.error('Failed to load drives', e);
       setDrives([{ id: 'local', name: 'Local Storage', type: 'local' }]);
     }
   };
 
-  useEffect(() => { fetchDrives(); }, []);
+  useEffect(() => {
+    FileService.getSession().then(data => setSession({ ...data, checked: true }));
+    FileService.onUnauthorized(() => setSession(prev => ({ ...prev, user: null })));
+  }, []);
+
+  useEffect(() => { if (signedIn) fetchDrives(); }, [signedIn]);
+
+  // Start in the user's home folder: the last path may belong to another account
+  const handleSignedIn = (user) => {
+    setSession({ checked: true, user, setupRequired: false, offline: false });
+    setActiveDrive('local');
+    localStorage.setItem('last_drive', 'local');
+    setCurrentPath(user.home || '/');
+    localStorage.setItem('last_path', user.home || '/');
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await FileService.logout();
+    } finally {
+      setSession(prev => ({ ...prev, user: null }));
+      setFiles([]);
+      setClipboard(null);
+    }
+  };
 
   // Filtered files
   const filteredFiles = useMemo(() => files.filter(f => 
@@ -353,29 +420,91 @@ function App() {
   };
 
   useEffect(() => { 
-    if(drives.length > 0) fetchFiles(currentPath); 
-  }, [currentPath, activeDrive, drives]);
+    if(signedIn && drives.length > 0) fetchFiles(currentPath); 
+  }, [currentPath, activeDrive, drives, signedIn]);
+
+  // Live updates: changes made elsewhere (the /webdav mount, other users, other
+  // programs) replace the listing in place, keeping page and selection
+  useEffect(() => {
+    const drive = drives.find(d => d.id === activeDrive) || drives[0];
+    if (!signedIn || !drive) return;
+    let active = true;
+    const stop = FileService.watchDirectory(currentPath, drive, async () => {
+      try {
+        const filesList = await FileService.listFiles(currentPath, drive);
+        if (!active) return;
+        setFiles(filesList);
+        setSelectedPaths(prev => new Set([...prev].filter(p => filesList.some(f => f.path === p))));
+      } catch (err) {
+        console.error('Failed to refresh listing', err);
+      }
+    });
+    return () => {
+      active = false;
+      stop();
+    };
+  }, [currentPath, activeDrive, drives, signedIn]);
+
+  // Reload the listing when a job on the open drive finishes (latest render's state)
+  const refreshAfterJobRef = useRef(null);
+  refreshAfterJobRef.current = (job) => {
+    if ([job.driveId, job.destinationDriveId].includes(activeDrive)) fetchFiles(currentPath);
+  };
+
+  useEffect(() => {
+    if (!signedIn || session.offline) return;
+    const seen = new Map(); // job id -> last status (the first event of an open stream is a snapshot)
+    return FileService.subscribeJobs(job => {
+      const previous = seen.get(job.id);
+      seen.set(job.id, job.status);
+      if (previous && previous !== job.status && ['completed', 'failed', 'cancelled'].includes(job.status)) {
+        refreshAfterJobRef.current(job);
+      }
+      setJobs(prev => (prev.some(j => j.id === job.id) ? prev.map(j => (j.id === job.id ? job : j)) : [job, ...prev]));
+    });
+  }, [signedIn, session.offline]);
+
+  const handleDismissJob = (id) => {
+    setJobs(prev => prev.filter(j => j.id !== id));
+    FileService.dismissJob(id).catch(err => console.error('Failed to dismiss job', err));
+  };
+
+  const handleCancelJob = (id) => {
+    FileService.cancelJob(id).catch(err => console.error('Failed to cancel job', err));
+  };
 
   // --- Keyboard Shortcuts (Esc) ---
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (e.key === 'Escape') {
         if (previewFile) setPreviewFile(null);
+        else if (archiveFile || versionsFile) return; // These dialogs handle Esc (their preview first)
         else if (isAddDriveOpen) setIsAddDriveOpen(false);
+        else if (isUsersOpen) setIsUsersOpen(false);
+        else if (isAuditOpen) setIsAuditOpen(false);
+        else if (shareTarget) setShareTarget(null);
+        else if (isSharesOpen) setIsSharesOpen(false);
+        else if (isTrashOpen) setIsTrashOpen(false);
+        else if (isDuplicatesOpen) setIsDuplicatesOpen(false);
+        else if (isUsageOpen) setIsUsageOpen(false);
+        else if (isSyncOpen) setIsSyncOpen(false);
+        else if (driveSearch) setDriveSearch(null);
         else if (isIslandExpanded) setIsIslandExpanded(false);
         else if (selectedPaths.size > 0) setSelectedPaths(new Set());
       }
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [previewFile, isAddDriveOpen, isIslandExpanded, selectedPaths]);
+  }, [previewFile, archiveFile, versionsFile, isAddDriveOpen, isUsersOpen, isAuditOpen, shareTarget, isSharesOpen, isTrashOpen, isDuplicatesOpen, isUsageOpen, isSyncOpen, driveSearch, isIslandExpanded, selectedPaths]);
 
   // Handle activeDrive persistence
   const handleDriveChange = (id) => {
+    // On the shared local drive, users start in their home folder
+    const startPath = id === 'local' && session.user?.home ? session.user.home : '/';
     setActiveDrive(id);
     localStorage.setItem('last_drive', id);
-    setCurrentPath('/');
-    localStorage.setItem('last_path', '/');
+    setCurrentPath(startPath);
+    localStorage.setItem('last_path', startPath);
     setIsSidebarOpen(false);
   };
 
@@ -384,6 +513,24 @@ function App() {
     localStorage.setItem('last_path', path);
   };
 
+  // A drive search result: open the folder that contains it
+  const handleOpenSearchResult = (file) => {
+    handleNavigate(file.path.split('/').slice(0, -1).join('/') || '/');
+    setSearchQuery('');
+    setDriveSearch(null);
+  };
+
+  const handleOpenUsageFolder = (path) => {
+    handleNavigate(path);
+    setIsUsageOpen(false);
+  };
+
+  // Archives on server drives open as a folder; everything else in the preview
+  const handlePreview = (file) => {
+    if (FileService.isArchive(file) && isServerDrive(drives.find(d => d.id === activeDrive))) setArchiveFile(file);
+    else setPreviewFile(file);
+  };
+
   const handleGoUp = () => {
     if (currentPath === '/') return;
     const parent = currentPath.split('/').slice(0, -1).join('/') || '/';
@@ -394,18 +541,27 @@ function App() {
   const handleUpload = async (acceptedFiles) => {
     if (acceptedFiles.length === 0) return;
     
-    // Duplicate Check
-    const duplicates = acceptedFiles.filter(file => files.some(existing => existing.name === file.name));
+    const activeDriveConfig = drives.find(d => d.id === activeDrive);
+    const remotePathOf = (file) => currentPath === '/' ? `/${file.name}` : `${currentPath}/${file.name}`;
+
+    // Duplicate Check (a partially uploaded file being resumed is not a duplicate)
+    const duplicates = acceptedFiles.filter(file => files.some(existing => existing.name === file.name) &&
+      !FileService.hasPendingUpload(remotePathOf(file), file, activeDriveConfig));
     if (duplicates.length > 0) {
       if (!confirm(t.confirmOverwrite.replace('{count}', duplicates.length))) return;
     }
 
     setUploading(true);
+    setUploadProgress(0);
+    const totalSize = acceptedFiles.reduce((sum, file) => sum + file.size, 0);
+    const uploaded = new Map();
     try {
-      const activeDriveConfig = drives.find(d => d.id === activeDrive);
       await Promise.all(acceptedFiles.map(async (file) => {
-         const remotePath = currentPath === '/' ? `/${file.name}` : `${currentPath}/${file.name}`;
-         await FileService.uploadFile(remotePath, file, activeDriveConfig);
+         await FileService.uploadFile(remotePathOf(file), file, activeDriveConfig, (bytes) => {
+           uploaded.set(file, bytes);
+           const done = Array.from(uploaded.values()).reduce((sum, n) => sum + n, 0);
+           setUploadProgress(totalSize ? done / totalSize : 1);
+         });
       }));
       
       await fetchFiles(currentPath);
@@ -413,9 +569,14 @@ function App() {
     } catch (err) { 
         console.error(err);
         alert(t.uploadFailed); 
-    } finally { setUploading(false); }
+    } finally {
+      setUploading(false);
+      setPendingUploads(FileService.getPendingUploads(activeDrive));
+    }
   };
 
+  useEffect(() => { setPendingUploads(FileService.getPendingUploads(activeDrive)); }, [activeDrive]);
+
   const onDrop = useCallback(acceptedFiles => { handleUpload(acceptedFiles); }, [currentPath, activeDrive, files, t]); // Add files/t dependency
   const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, noClick: true, noKeyboard: true });
 
@@ -459,8 +620,40 @@ function App() {
       fetchFiles(currentPath); setSelectedPaths(new Set()); 
     } catch (err) { alert(t.moveFailed); }
   };
-  const handleCut = () => { setClipboard({ mode: 'move', items: Array.from(selectedPaths) }); setSelectedPaths(new Set()); };
-  const handlePaste = async () => { if (!clipboard || !clipboard.items) return; await handleMove(clipboard.items, currentPath); setClipboard(null); };
+  // Paste into another drive than the one the items were cut from
+  const handleTransfer = async ({ items, drive, mode }) => {
+    setTransferring(true);
+    try {
+      const sourceDriveConfig = drives.find(d => d.id === drive);
+      const activeDriveConfig = drives.find(d => d.id === activeDrive);
+      await FileService.transfer(items, sourceDriveConfig, currentPath, activeDriveConfig, mode);
+      fetchFiles(currentPath);
+    } catch (err) {
+      console.error(err);
+      alert(mode === 'copy' ? t.copyFailed : t.moveFailed);
+    } finally { setTransferring(false); }
+  };
+  const handleCopyItems = async (items, destination) => {
+    setTransferring(true);
+    try {
+      const activeDriveConfig = drives.find(d => d.id === activeDrive);
+      await FileService.copy(items, destination, activeDriveConfig);
+      fetchFiles(currentPath);
+    } catch (err) {
+      console.error(err);
+      alert(t.copyFailed);
+    } finally { setTransferring(false); }
+  };
+  const handleCut = () => { setClipboard({ mode: 'move', items: Array.from(selectedPaths), drive: activeDrive }); setSelectedPaths(new Set()); };
+  const handleCopy = () => { setClipboard({ mode: 'copy', items: Array.from(selectedPaths), drive: activeDrive }); setSelectedPaths(new Set()); };
+  const handlePaste = async () => {
+    if (!clipboard || !clipboard.items) return;
+    if (clipboard.drive && clipboard.drive !== activeDrive) await handleTransfer(clipboard);
+    else if (clipboard.mode === 'copy') await handleCopyItems(clipboard.items, currentPath);
+    else await handleMove(clipboard.items, currentPath);
+    // A copied selection can be pasted again elsewhere
+    if (clipboard.mode !== 'copy') setClipboard(null);
+  };
   
   const handleRename = async () => {
     if (selectedPaths.size !== 1) return;
@@ -482,6 +675,42 @@ function App() {
     }
   };
 
+  const handleDownload = () => {
+    const items = Array.from(selectedPaths).map(path => files.find(f => f.path === path) || { path, isDirectory: true });
+    // Several items: the archive is named after the folder they are in
+    const name = items.length > 1 ? (currentPath.split('/').pop() || drives.find(d => d.id === activeDrive)?.name) : undefined;
+    FileService.downloadItems(items, drives.find(d => d.id === activeDrive), { name });
+    setSelectedPaths(new Set());
+  };
+
+  // Pack the selection into an archive next to it (a background job on the server)
+  const handleCompress = async () => {
+    const items = Array.from(selectedPaths);
+    const suggested = items.length === 1 ? items[0].split('/').pop() : (currentPath.split('/').pop() || 'archive');
+    const name = prompt(t.archiveNamePrompt, suggested);
+    if (!name) return;
+    try {
+      await FileService.createArchive(items, currentPath, drives.find(d => d.id === activeDrive), { name });
+      setSelectedPaths(new Set());
+    } catch (err) {
+      alert(`${t.compressFailed}: ${err.response?.data?.error || err.message}`);
+    }
+  };
+
+  const handleShare = () => {
+    if (selectedPaths.size !== 1) return;
+    const filePath = Array.from(selectedPaths)[0];
+    const file = files.find(f => f.path === filePath) || { path: filePath, name: filePath.split('/').pop() };
+    setShareTarget({ file, drive: drives.find(d => d.id === activeDrive) });
+  };
+
+  const handleVersions = () => {
+    if (selectedPaths.size !== 1) return;
+    const filePath = Array.from(selectedPaths)[0];
+    setVersionsFile(files.find(f => f.path === filePath) || { path: filePath, name: filePath.split('/').pop() });
+    setSelectedPaths(new Set());
+  };
+
   const removeDrive = async (id, e) => {
     e.stopPropagation();
     if (!confirm(t.confirmRemoveDrive)) return;
@@ -513,6 +742,23 @@ function App() {
 
   const isSelectionMode = selectedPaths.size > 0;
   const hasClipboard = clipboard && clipboard.items.length > 0;
+  // Share links are served by the Node server, so only its drives can be shared
+  const canShareSelection = selectedPaths.size === 1 && !!session.user && isServerDrive(drives.find(d => d.id === activeDrive));
+  const canDownloadSelection = isServerDrive(drives.find(d => d.id === activeDrive));
+  // Version history is kept by the server, for files only
+  const selectedFile = selectedPaths.size === 1 ? files.find(f => selectedPaths.has(f.path)) : null;
+  const canShowVersions = canDownloadSelection && !!selectedFile && !selectedFile.isDirectory;
+  // Island width grows with the optional actions (literal classes for Tailwind)
+  const selectionIslandWidth = !canDownloadSelection
+    ? (canShareSelection ? "w-[400px]" : "w-[340px]")
+    : canShareSelection
+      ? (canShowVersions ? "w-[630px]" : "w-[550px]")
+      : (canShowVersions ? "w-[570px]" : "w-[490px]");
+
+  if (!session.checked) return null;
+  if (!signedIn) {
+    return <LoginScreen setupRequired={session.setupRequired} onSignedIn={handleSignedIn} lang={lang} onToggleLang={toggleLang} />;
+  }
 
     return (
 
@@ -588,6 +834,11 @@ function App() {
                       </div>
                     </div>
                   )}
+
+                  {/* Buckets have no fixed capacity: show usage only */}
+                  {drive.quota && !drive.quota.total && drive.quota.used > 0 && (
+                    <span className="text-[9px] opacity-70">{formatSize(drive.quota.used)}</span>
+                  )}
                 </div>
 
                 {drive.id !== 'local' && (
@@ -616,6 +867,28 @@ function App() {
             <PlusCircleIcon className="w-5 h-5" /><span>{t.addDrive}</span>
           </button>
 
+          <button onClick={() => { setIsTrashOpen(true); setIsSidebarOpen(false); }} className="flex items-center justify-center gap-2 w-full py-2 text-sm font-medium text-slate-500 hover:text-red-500 hover:bg-red-50 rounded-xl transition-colors">
+            <TrashIcon className="w-5 h-5" /><span>{t.trash}</span>
+          </button>
+
+          {drives.some(isServerDrive) && (
+            <button onClick={() => { setIsDuplicatesOpen(true); setIsSidebarOpen(false); }} className="flex items-center justify-center gap-2 w-full py-2 text-sm font-medium text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors">
+              <DocumentDuplicateIcon className="w-5 h-5" /><span>{t.duplicates}</span>
+            </button>
+          )}
+
+          {isServerDrive(drives.find(d => d.id === activeDrive)) && (
+            <button onClick={() => { setIsUsageOpen(true); setIsSidebarOpen(false); }} className="flex items-center justify-center gap-2 w-full py-2 text-sm font-medium text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors">
+              <ChartPieIcon className="w-5 h-5" /><span>{t.usage}</span>
+            </button>
+          )}
+
+          {drives.some(isServerDrive) && (
+            <button onClick={() => { setIsSyncOpen(true); setIsSidebarOpen(false); }} className="flex items-center justify-center gap-2 w-full py-2 text-sm font-medium text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-xl transition-colors">
+              <ArrowsRightLeftIcon className="w-5 h-5" /><span>{t.sync}</span>
+            </button>
+          )}
+
           {/* Sidebar Footer Extras */}
           <div className="mt-2 pt-2 border-t border-slate-100 flex items-center justify-start">
             <button
@@ -625,6 +898,43 @@ function App() {
               <GlobeAltIcon className="w-4 h-4 shrink-0" />
               <span className="translate-y-[1px]">{lang === 'en' ? '英' : '中'}</span>
             </button>
+            {session.user && (
+              <button
+                onClick={() => setIsSharesOpen(true)}
+                className="flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-slate-500 hover:text-indigo-600 transition-colors"
+                title={t.shareLinks}
+              >
+                <LinkIcon className="w-4 h-4 shrink-0" />
+              </button>
+            )}
+            {session.user?.role === 'admin' && (
+              <button
+                onClick={() => setIsUsersOpen(true)}
+                className="flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-slate-500 hover:text-indigo-600 transition-colors"
+                title={t.manageUsers}
+              >
+                <UserGroupIcon className="w-4 h-4 shrink-0" />
+              </button>
+            )}
+            {session.user?.role === 'admin' && (
+              <button
+                onClick={() => setIsAuditOpen(true)}
+                className="flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-slate-500 hover:text-indigo-600 transition-colors"
+                title={t.auditLog}
+              >
+                <ClipboardDocumentListIcon className="w-4 h-4 shrink-0" />
+              </button>
+            )}
+            {session.user && (
+              <button
+                onClick={handleSignOut}
+                className="ml-auto flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-slate-500 hover:text-red-500 transition-colors min-w-0"
+                title={t.signOut}
+              >
+                <span className="truncate">{session.user.username}</span>
+                <ArrowRightStartOnRectangleIcon className="w-4 h-4 shrink-0" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -686,7 +996,10 @@ function App() {
           </div>
 
           {/* Search Input */}
-          <div className="flex-1 max-w-md mx-2 md:mx-4 relative group hidden sm:block">
+          <form
+            className="flex-1 max-w-md mx-2 md:mx-4 relative group hidden sm:block"
+            onSubmit={(e) => { e.preventDefault(); setDriveSearch({ query: searchQuery }); }}
+          >
             <label htmlFor="search-files" className="sr-only">Search Files</label>
             <MagnifyingGlassIcon className="w-5 h-5 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
             <input 
@@ -696,25 +1009,37 @@ function App() {
               placeholder={t.searchPlaceholder}
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
+              title={t.searchDriveHint}
               className="w-full bg-slate-100/50 hover:bg-slate-100 focus:bg-white border-none rounded-full py-2 pl-10 pr-4 text-sm outline-none ring-1 ring-transparent focus:ring-indigo-500/20 transition-all placeholder:text-slate-400 text-slate-600"
             />
-          </div>
+          </form>
           
           <div className="ml-auto flex items-center gap-2">
+            <JobsPanel jobs={jobs} drives={drives} onCancel={handleCancelJob} onDismiss={handleDismissJob} lang={lang} />
             {isSelectionMode ? (
               <button onClick={() => setSelectedPaths(new Set())} className="text-sm text-indigo-600 font-medium px-4">
                 {t.cancel}
               </button>
             ) : hasClipboard ? (
               <button onClick={() => setClipboard(null)} className="text-sm text-slate-400 font-medium px-4">
-                {t.cancelMove}
+                {clipboard.mode === 'copy' ? t.cancelCopy : t.cancelMove}
               </button>
             ) : (
               <>
-                {uploading && (
+                {(uploading || transferring) && (
                    <div className="flex items-center gap-2 text-sm text-slate-500 mr-2 hidden sm:flex">
                      <ArrowPathIcon className="w-4 h-4 animate-spin" />
-                     <span>{t.uploading}</span>
+                     <span>{uploading ? `${t.uploading} ${Math.round(uploadProgress * 100)}%` : t.transferring}</span>
+                   </div>
+                )}
+
+                {!uploading && pendingUploads.length > 0 && (
+                   <div
+                     className="items-center gap-1.5 text-xs text-amber-600 bg-amber-50 rounded-full px-3 py-1 mr-2 hidden sm:flex"
+                     title={pendingUploads.map(u => u.path).join('\n')}
+                   >
+                     <CloudArrowUpIcon className="w-4 h-4" />
+                     <span>{t.unfinishedUploads.replace('{count}', pendingUploads.length)}</span>
                    </div>
                 )}
                 
@@ -791,7 +1116,7 @@ function App() {
                       handleNavigate={handleNavigate}
                       handleMove={handleMove}
                       viewMode={viewMode}
-                      onPreview={setPreviewFile}
+                      onPreview={handlePreview}
                       activeDrive={activeDrive} 
                     />
                   ))}
@@ -807,7 +1132,7 @@ function App() {
             onClick={(e) => e.stopPropagation()}
             className={clsx(
               "shadow-[0_20px_50px_rgba(0,0,0,0.1)] backdrop-blur-xl border border-white/20 pointer-events-auto flex items-center overflow-hidden transition-all duration-300 ease-spring",
-              isSelectionMode ? "bg-red-50/90 w-[300px] h-14 rounded-full" : hasClipboard ? "bg-indigo-50/90 w-52 h-14 rounded-full" : isIslandExpanded ? "bg-white/90 w-72 h-20 rounded-[40px]" : "bg-white/80 w-32 h-14 rounded-full"
+              isSelectionMode ? clsx("bg-red-50/90 h-14 rounded-full max-w-[calc(100vw-2rem)]", selectionIslandWidth) : hasClipboard ? "bg-indigo-50/90 w-52 h-14 rounded-full" : isIslandExpanded ? "bg-white/90 w-72 h-20 rounded-[40px]" : "bg-white/80 w-32 h-14 rounded-full"
             )}
           >
             {isSelectionMode ? (
@@ -827,6 +1152,43 @@ function App() {
                    </>
                  )}
 
+                 {canDownloadSelection && (
+                   <>
+                     <button onClick={handleDownload} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
+                        {t.download}
+                     </button>
+                     <div className="w-px h-4 bg-slate-100 shrink-0"></div>
+                     <button onClick={handleCompress} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
+                        {t.compress}
+                     </button>
+                     <div className="w-px h-4 bg-slate-100 shrink-0"></div>
+                   </>
+                 )}
+
+                 {canShowVersions && (
+                   <>
+                     <button onClick={handleVersions} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
+                        {t.versions}
+                     </button>
+                     <div className="w-px h-4 bg-slate-100 shrink-0"></div>
+                   </>
+                 )}
+
+                 {canShareSelection && (
+                   <>
+                     <button onClick={handleShare} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
+                        {t.share}
+                     </button>
+                     <div className="w-px h-4 bg-slate-100 shrink-0"></div>
+                   </>
+                 )}
+
+                 <button onClick={handleCopy} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
+                    {t.copy}
+                 </button>
+
+                 <div className="w-px h-4 bg-slate-100 shrink-0"></div>
+
                  <button onClick={handleCut} className="text-slate-600 font-medium text-xs hover:bg-slate-100 px-2 py-1 rounded-lg whitespace-nowrap">
                     {t.move}
                  </button>
@@ -841,7 +1203,7 @@ function App() {
                 {!isIslandExpanded && (
                   <div className="w-full flex justify-between px-4 items-center h-full">
                     <button onClick={() => fetchFiles(currentPath)} className="p-2 hover:bg-slate-100 rounded-full text-slate-500">
-                      <ArrowPathIcon className={clsx("w-6 h-6", (loading || uploading) && "animate-spin text-indigo-500")} />
+                      <ArrowPathIcon className={clsx("w-6 h-6", (loading || uploading || transferring) && "animate-spin text-indigo-500")} />
                     </button>
                     <div className="w-px h-6 bg-slate-200"></div>
                     <button onClick={() => setIsIslandExpanded(true)} className="p-2 hover:bg-slate-100 rounded-full text-slate-500">
@@ -908,6 +1270,17 @@ function App() {
             });
           }
         }} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isUsersOpen && <div className="fixed inset-0 z-[60]"><UsersModal onClose={() => setIsUsersOpen(false)} currentUser={session.user} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isAuditOpen && <div className="fixed inset-0 z-[60]"><AuditLogModal drives={drives} onClose={() => setIsAuditOpen(false)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{shareTarget && <div className="fixed inset-0 z-[60]"><ShareModal file={shareTarget.file} drive={shareTarget.drive} onClose={() => { setShareTarget(null); setSelectedPaths(new Set()); }} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isTrashOpen && <div className="fixed inset-0 z-[60]"><TrashModal drive={drives.find(d => d.id === activeDrive) || drives[0]} onClose={() => setIsTrashOpen(false)} onRestored={() => fetchFiles(currentPath)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isDuplicatesOpen && <div className="fixed inset-0 z-[60]"><DuplicatesModal drives={drives} jobs={jobs} onCancelJob={handleCancelJob} onDeleted={() => fetchFiles(currentPath)} onClose={() => setIsDuplicatesOpen(false)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isSyncOpen && <div className="fixed inset-0 z-[60]"><SyncModal drives={drives} jobs={jobs} onCancelJob={handleCancelJob} onClose={() => setIsSyncOpen(false)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isUsageOpen && <div className="fixed inset-0 z-[60]"><UsageModal drive={drives.find(d => d.id === activeDrive) || drives[0]} initialPath={currentPath} jobs={jobs} onOpenFolder={handleOpenUsageFolder} onClose={() => setIsUsageOpen(false)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{archiveFile && <div className="fixed inset-0 z-[60]"><ArchiveModal file={archiveFile} drive={drives.find(d => d.id === activeDrive) || drives[0]} drives={drives} onClose={() => setArchiveFile(null)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{versionsFile && <div className="fixed inset-0 z-[60]"><VersionsModal file={versionsFile} drive={drives.find(d => d.id === activeDrive) || drives[0]} onClose={() => setVersionsFile(null)} onRestored={() => fetchFiles(currentPath)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{driveSearch && <div className="fixed inset-0 z-[60]"><SearchModal drive={drives.find(d => d.id === activeDrive) || drives[0]} currentPath={currentPath} initialQuery={driveSearch.query} onOpen={handleOpenSearchResult} onClose={() => setDriveSearch(null)} lang={lang} /></div>}</AnimatePresence>
+        <AnimatePresence>{isSharesOpen && <div className="fixed inset-0 z-[60]"><SharesModal onClose={() => setIsSharesOpen(false)} drives={drives} lang={lang} /></div>}</AnimatePresence>
       </div>
     </div>
   );
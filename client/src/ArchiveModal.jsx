@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { FolderIcon, DocumentIcon, PhotoIcon, VideoCameraIcon, ChevronLeftIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { FileService, isServerDrive } from './services/FileSystemService';
+import PreviewModal from './PreviewModal';
+import { translations } from './i18n';
+
+const inputClassName = "px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const getFileIcon = (file) => {
+  if (file.isDirectory) return <FolderIcon className="w-5 h-5 text-indigo-400 shrink-0" />;
+  if (file.type?.startsWith('image')) return <PhotoIcon className="w-5 h-5 text-pink-400 shrink-0" />;
+  if (file.type?.startsWith('video')) return <VideoCameraIcon className="w-5 h-5 text-blue-400 shrink-0" />;
+  return <DocumentIcon className="w-5 h-5 text-slate-400 shrink-0" />;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/') || '/';
+
+// "/docs/report.tar.gz" -> "/docs/report"
+const defaultDestination = (path) => path.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '');
+
+// A ZIP / tar / tar.gz on a server drive browsed like a folder: preview entries,
+// extract everything or the selected entries to a folder on any server drive
+const ArchiveModal = ({ file, drive, drives, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const [inner, setInner] = useState('/');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(new Set());
+  const [previewEntry, setPreviewEntry] = useState(null);
+  const [destinationDrive, setDestinationDrive] = useState(drive.id);
+  const [destination, setDestination] = useState(() => defaultDestination(file.path));
+  const [extracting, setExtracting] = useState(false);
+  const targetDrives = drives.filter(isServerDrive);
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError('');
+    FileService.listArchive(file.path, drive, inner)
+      .then(list => {
+        if (!active) return;
+        // Folders first, then by name
+        setEntries([...list].sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name)));
+      })
+      .catch(err => active && setError(errorMessage(err)))
+      .finally(() => active && setLoading(false));
+    return () => { active = false; };
+  }, [file.path, drive, inner]);
+
+  // Esc closes the entry preview first, then this dialog
+  useEffect(() => {
+    if (previewEntry) return;
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEsc);
+    return () => window.removeEventListener('keydown', handleEsc);
+  }, [previewEntry, onClose]);
+
+  const openFolder = (path) => {
+    setInner(path);
+    setSelected(new Set());
+  };
+
+  const toggleSelected = (path) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const handleOpen = (entry) => {
+    if (entry.isDirectory) openFolder(entry.path);
+    else setPreviewEntry({ ...entry, url: FileService.getArchiveEntryUrl(file.path, drive, entry.path) });
+  };
+
+  const handleExtract = async (e) => {
+    e.preventDefault();
+    if (!destination.trim()) return;
+    setExtracting(true);
+    setError('');
+    try {
+      await FileService.extractArchive(file.path, drive, {
+        inner: selected.size > 0 ? Array.from(selected) : [inner],
+        destination: destination.trim(),
+        destinationDrive: drives.find(d => d.id === destinationDrive)
+      });
+      onClose();
+    } catch (err) {
+      setError(`${t.extractFailed}: ${errorMessage(err)}`);
+      setExtracting(false);
+    }
+  };
+
+  const crumbs = inner === '/' ? [] : inner.split('/').slice(1);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{file.name}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        <div className="px-6 pt-3 flex items-center gap-1 text-xs text-slate-500 min-w-0">
+          <button onClick={() => openFolder(parentOf(inner))} disabled={inner === '/'} className="p-1 rounded-lg hover:bg-slate-100 disabled:opacity-30 shrink-0">
+            <ChevronLeftIcon className="w-4 h-4" />
+          </button>
+          <button onClick={() => openFolder('/')} className="hover:text-indigo-600 shrink-0">{file.name}</button>
+          {crumbs.map((name, i) => (
+            <React.Fragment key={i}>
+              <span className="text-slate-300">/</span>
+              <button onClick={() => openFolder(`/${crumbs.slice(0, i + 1).join('/')}`)} className="hover:text-indigo-600 truncate">{name}</button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {loading && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.loading}</div>}
+          {!loading && entries.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.emptyFolder}</div>}
+          {!loading && entries.map(entry => (
+            <div key={entry.path} className={clsx("flex items-center gap-3 px-6 py-2.5 hover:bg-slate-50 transition-colors", selected.has(entry.path) && "bg-indigo-50/60")}>
+              <input type="checkbox" checked={selected.has(entry.path)} onChange={() => toggleSelected(entry.path)} className="accent-indigo-600 shrink-0" />
+              <button onClick={() => handleOpen(entry)} className="flex-1 min-w-0 flex items-center gap-3 text-left">
+                {getFileIcon(entry)}
+                <span className="text-sm font-medium text-slate-700 truncate">{entry.name}</span>
+              </button>
+              <div className="text-right shrink-0">
+                {!entry.isDirectory && <div className="text-[11px] text-slate-400 tabular-nums">{formatSize(entry.size)}</div>}
+                {entry.mtime && <div className="text-[11px] text-slate-400">{new Date(entry.mtime).toLocaleDateString()}</div>}
+              </div>
+              {!entry.isDirectory && (
+                <a href={FileService.getArchiveEntryUrl(file.path, drive, entry.path, { download: true })} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.download}>
+                  <ArrowDownTrayIcon className="w-4 h-4" />
+                </a>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <form onSubmit={handleExtract} className="px-6 py-4 border-t border-slate-100 space-y-2">
+          <div className="text-[11px] text-slate-400">{t.extractTo}</div>
+          <div className="flex gap-2">
+            <select value={destinationDrive} onChange={e => setDestinationDrive(e.target.value)} className={clsx(inputClassName, "max-w-[40%]")}>
+              {targetDrives.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+            </select>
+            <input value={destination} onChange={e => setDestination(e.target.value)} className={clsx(inputClassName, "flex-1 min-w-0")} />
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={extracting || !destination.trim()} className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200 disabled:opacity-50">
+              {selected.size > 0 ? t.extractSelected.replace('{count}', selected.size) : inner === '/' ? t.extractAll : t.extractFolder}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {previewEntry && <div className="fixed inset-0 z-[70]"><PreviewModal file={previewEntry} onClose={() => setPreviewEntry(null)} drive={drive.id} lang={lang} /></div>}
+    </div>
+  );
+};
+
+export default ArchiveModal;
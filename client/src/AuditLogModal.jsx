@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { MagnifyingGlassIcon, ArrowRightIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const ACTIONS = ['upload', 'mkdir', 'rename', 'move', 'copy', 'trash', 'delete', 'extract', 'compress', 'trash-restore', 'trash-delete', 'version-restore', 'sync', 'drive-add', 'drive-rename', 'drive-remove'];
+
+// Admin view of the server's audit log: who changed which files and drives, filtered by date, path and action
+const AuditLogModal = ({ drives, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const [filters, setFilters] = useState({ from: '', to: '', path: '', action: '' });
+  const [entries, setEntries] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+  const driveName = (id) => drives.find(d => d.id === id)?.name || id;
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await FileService.getAuditLog(filters);
+      setEntries(data.entries);
+      setTruncated(data.truncated);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    load();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.auditLog}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="px-6 pt-4 flex flex-wrap items-center gap-2">
+          <input type="date" value={filters.from} onChange={e => updateFilter('from', e.target.value)} className={inputClassName} title={t.auditFrom} />
+          <span className="text-slate-300">–</span>
+          <input type="date" value={filters.to} onChange={e => updateFilter('to', e.target.value)} className={inputClassName} title={t.auditTo} />
+          <input value={filters.path} onChange={e => updateFilter('path', e.target.value)} placeholder={t.auditPath} className={clsx(inputClassName, "flex-1 min-w-[120px]")} />
+          <select value={filters.action} onChange={e => updateFilter('action', e.target.value)} className={inputClassName}>
+            <option value="">{t.auditAllActions}</option>
+            {ACTIONS.map(action => <option key={action} value={action}>{t.auditActions[action]}</option>)}
+          </select>
+          <button type="submit" disabled={loading} className="p-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all disabled:opacity-50" title={t.auditSearch}>
+            <MagnifyingGlassIcon className="w-4 h-4" />
+          </button>
+        </form>
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2 mt-2">
+          {!loading && entries.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.auditEmpty}</div>}
+          {entries.map((entry, i) => (
+            <div key={`${entry.at}-${i}`} className="flex items-start gap-3 px-6 py-2.5 border-b border-slate-50 last:border-0">
+              <div className="w-36 shrink-0 text-[11px] text-slate-400 tabular-nums pt-0.5">{new Date(entry.at).toLocaleString()}</div>
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium text-slate-700">{entry.username || '—'}</span>
+                  <span className="text-slate-500">{t.auditActions[entry.action] || entry.action}</span>
+                  {entry.via === 'webdav' && <span className="px-1.5 py-0.5 rounded text-[10px] bg-slate-100 text-slate-500">WebDAV</span>}
+                  <span className={clsx("ml-auto px-1.5 py-0.5 rounded text-[10px] font-medium shrink-0", entry.result === 'ok' ? "bg-green-50 text-green-600" : "bg-red-50 text-red-600")}>
+                    {entry.result === 'ok' ? t.auditOk : t.auditFailed}
+                  </span>
+                </div>
+                <div className="flex items-center gap-1 text-[11px] text-slate-400 min-w-0">
+                  {entry.drive && <span className="shrink-0">{driveName(entry.drive)}</span>}
+                  {entry.path && <span className="truncate">{entry.path}</span>}
+                  {entry.destination && (
+                    <>
+                      <ArrowRightIcon className="w-3 h-3 shrink-0" />
+                      {entry.destinationDrive && <span className="shrink-0">{driveName(entry.destinationDrive)}</span>}
+                      <span className="truncate">{entry.destination}</span>
+                    </>
+                  )}
+                  {entry.detail && <span className="truncate">{entry.path ? `(${entry.detail})` : entry.detail}</span>}
+                </div>
+                {entry.error && <div className="text-[11px] text-red-500 truncate">{entry.error}</div>}
+              </div>
+            </div>
+          ))}
+          {truncated && <div className="px-6 py-3 text-center text-[11px] text-slate-400">{t.auditTruncated}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogModal;
@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef } from 'react';
+import clsx from 'clsx';
+import { DocumentDuplicateIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { FileService, isServerDrive } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const MIN_SIZES = [0, 1024 * 1024, 10 * 1024 * 1024, 100 * 1024 * 1024];
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const fileKey = (file) => `${file.driveId}|${file.path}`;
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+// Scan server drives for identical files (same size, then same content) and
+// review the groups: pick the copies to move to the trash
+const DuplicatesModal = ({ drives, jobs, onCancelJob, onDeleted, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const serverDrives = drives.filter(isServerDrive);
+  const [scanDrives, setScanDrives] = useState(() => new Set(serverDrives.map(d => d.id)));
+  const [minSize, setMinSize] = useState(0);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [marked, setMarked] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+  const driveName = (id) => drives.find(d => d.id === id)?.name || id;
+  const scanJob = jobs.find(job => job.type === 'duplicates' && isActive(job));
+
+  const loadResult = () => FileService.getDuplicates()
+    .then(data => {
+      setResult(data);
+      setMarked(new Set());
+    })
+    .catch(err => setError(errorMessage(err)))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadResult();
+  }, []);
+
+  // A scan that just finished has a new result
+  const previousScanRef = useRef(scanJob?.id);
+  useEffect(() => {
+    if (previousScanRef.current && !scanJob) loadResult();
+    previousScanRef.current = scanJob?.id;
+  }, [scanJob?.id]);
+
+  const toggleDrive = (id) => {
+    setScanDrives(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleScan = async () => {
+    setError('');
+    try {
+      await FileService.findDuplicates(serverDrives.filter(d => scanDrives.has(d.id)), { minSize });
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const toggleMarked = (file) => {
+    setMarked(prev => {
+      const next = new Set(prev);
+      if (next.has(fileKey(file))) next.delete(fileKey(file));
+      else next.add(fileKey(file));
+      return next;
+    });
+  };
+
+  // Keep the oldest copy of every group, mark the rest
+  const markAllButOldest = () => {
+    setMarked(new Set(result.groups.flatMap(group => group.files.slice(1).map(fileKey))));
+  };
+
+  const markedFiles = (result?.groups || []).flatMap(group => group.files.filter(file => marked.has(fileKey(file))));
+  const markedSize = markedFiles.reduce((sum, file) => sum + file.size, 0);
+  const reclaimable = (result?.groups || []).reduce((sum, group) => sum + group.size * (group.files.length - 1), 0);
+
+  const handleDelete = async () => {
+    if (!confirm(t.confirmDeleteDuplicates.replace('{count}', markedFiles.length).replace('{size}', formatSize(markedSize)))) return;
+    setBusy(true);
+    setError('');
+    try {
+      // One trash job per drive
+      const byDrive = new Map();
+      markedFiles.forEach(file => byDrive.set(file.driveId, [...(byDrive.get(file.driveId) || []), file.path]));
+      for (const [driveId, paths] of byDrive) {
+        await FileService.delete(paths, drives.find(d => d.id === driveId));
+      }
+      setResult(prev => ({
+        ...prev,
+        groups: prev.groups
+          .map(group => ({ ...group, files: group.files.filter(file => !marked.has(fileKey(file))) }))
+          .filter(group => group.files.length > 1)
+      }));
+      setMarked(new Set());
+      onDeleted?.();
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const progressText = (job) => {
+    if (!job.progress) return t.jobStatus[job.status];
+    if (job.progress.phase === 'scan') return t.duplicatesScanning.replace('{count}', job.progress.done);
+    return t.duplicatesComparing.replace('{done}', job.progress.done).replace('{total}', job.progress.total);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.duplicates}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        <div className="px-6 pt-4 space-y-2">
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {serverDrives.map(d => (
+              <label key={d.id} className="flex items-center gap-1.5 text-sm text-slate-600">
+                <input type="checkbox" checked={scanDrives.has(d.id)} onChange={() => toggleDrive(d.id)} className="accent-indigo-600" />
+                {d.name}
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <select value={minSize} onChange={e => setMinSize(Number(e.target.value))} className={inputClassName}>
+              {MIN_SIZES.map(size => <option key={size} value={size}>{size ? t.duplicatesMinSize.replace('{size}', formatSize(size)) : t.duplicatesAnySize}</option>)}
+            </select>
+            {scanJob ? (
+              <>
+                <div className="flex-1 flex items-center gap-2 text-xs text-indigo-600 min-w-0">
+                  <ArrowPathIcon className="w-4 h-4 animate-spin shrink-0" />
+                  <span className="truncate">{progressText(scanJob)}</span>
+                </div>
+                <button onClick={() => onCancelJob(scanJob.id)} className="px-3 py-2 rounded-lg text-sm text-slate-500 hover:text-red-500 hover:bg-red-50">
+                  {t.cancel}
+                </button>
+              </>
+            ) : (
+              <button onClick={handleScan} disabled={scanDrives.size === 0} className="ml-auto px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200 disabled:opacity-50">
+                {t.duplicatesScan}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        {result && (
+          <div className="px-6 pt-3 flex items-center justify-between gap-2 text-[11px] text-slate-400">
+            <span>
+              {t.duplicatesSummary.replace('{groups}', result.groups.length).replace('{size}', formatSize(reclaimable))}
+              {' · '}{t.duplicatesScanned.replace('{count}', result.scanned).replace('{date}', new Date(result.scannedAt).toLocaleString())}
+            </span>
+            {result.groups.length > 0 && (
+              <button onClick={markAllButOldest} className="text-indigo-600 hover:text-indigo-700 shrink-0">{t.duplicatesKeepOldest}</button>
+            )}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {loading && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.loading}</div>}
+          {!loading && !result && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.duplicatesNotScanned}</div>}
+          {result && result.groups.length === 0 && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.duplicatesNone}</div>}
+          {result?.groups.map(group => {
+            const unmarked = group.files.filter(file => !marked.has(fileKey(file))).length;
+            return (
+              <div key={group.hash} className="mx-4 my-2 rounded-xl border border-slate-100">
+                <div className="px-3 py-2 flex items-center gap-2 text-xs text-slate-500 border-b border-slate-50">
+                  <DocumentDuplicateIcon className="w-4 h-4 text-slate-400 shrink-0" />
+                  <span className="font-medium text-slate-700">{t.duplicatesCopies.replace('{count}', group.files.length).replace('{size}', formatSize(group.size))}</span>
+                  <span className="ml-auto font-mono text-[10px] text-slate-300">{group.hash.slice(0, 12)}</span>
+                </div>
+                {group.files.map(file => {
+                  const isMarked = marked.has(fileKey(file));
+                  return (
+                    <label key={fileKey(file)} className={clsx("flex items-center gap-3 px-3 py-2 hover:bg-slate-50 transition-colors", isMarked && "bg-red-50/60")}>
+                      {/* The last unmarked copy of a group can't be marked: one always stays */}
+                      <input type="checkbox" checked={isMarked} disabled={!isMarked && unmarked === 1} onChange={() => toggleMarked(file)} className="accent-red-500 shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <div className={clsx("text-sm truncate", isMarked ? "text-red-600 line-through" : "text-slate-700")}>{file.path}</div>
+                        <div className="text-[11px] text-slate-400">{driveName(file.driveId)} · {new Date(file.mtime).toLocaleString()}</div>
+                      </div>
+                    </label>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+
+        {markedFiles.length > 0 && (
+          <div className="px-6 py-4 border-t border-slate-100 flex items-center justify-end gap-3">
+            <button onClick={() => setMarked(new Set())} className="text-sm text-slate-500 hover:text-slate-700">{t.cancel}</button>
+            <button onClick={handleDelete} disabled={busy} className="px-4 py-2 rounded-lg text-sm font-medium bg-red-500 text-white hover:bg-red-600 active:scale-95 transition-all disabled:opacity-50">
+              {t.duplicatesDelete.replace('{count}', markedFiles.length).replace('{size}', formatSize(markedSize))}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatesModal;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import clsx from 'clsx';
+import { ArrowPathIcon, QueueListIcon, XMarkIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { translations } from './i18n';
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+// Header indicator for background jobs (server drives); opens a list with
+// per-job progress, failed items and cancel / dismiss
+const JobsPanel = ({ jobs, drives = [], onCancel, onDismiss, lang = 'en' }) => {
+  const t = translations[lang];
+  const [isOpen, setIsOpen] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  if (jobs.length === 0) return null;
+  const activeCount = jobs.filter(isActive).length;
+  const hasErrors = jobs.some(job => job.status === 'failed');
+  const driveName = (id) => drives.find(d => d.id === id)?.name || id;
+
+  const describe = (job) => {
+    // A duplicate scan's items are drives
+    if (job.type === 'duplicates') return job.items.map(item => driveName(item.path)).join(', ');
+    if (job.type === 'usage') return `${driveName(job.driveId)} ${job.items[0]?.path}`;
+    const first = job.items[0]?.path.split('/').pop();
+    const target = job.destinationDriveId && job.destinationDriveId !== job.driveId ? ` → ${driveName(job.destinationDriveId)}` : '';
+    return `${first || ''}${job.total > 1 ? ` +${job.total - 1}` : ''}${target}`;
+  };
+
+  // Share of the work done; a job that reports its own { done, total } knows better than its item count
+  const progressOf = (job) => {
+    if (job.progress?.total) return job.progress.done / job.progress.total;
+    return job.total ? job.processed / job.total : 0;
+  };
+
+  return (
+    <div className="relative mr-2">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={clsx(
+          "flex items-center gap-1.5 text-xs rounded-full px-3 py-1 transition-colors",
+          hasErrors ? "text-red-600 bg-red-50" : activeCount > 0 ? "text-indigo-600 bg-indigo-50" : "text-slate-500 bg-slate-100"
+        )}
+        title={t.jobs}
+      >
+        {activeCount > 0 ? <ArrowPathIcon className="w-4 h-4 animate-spin" /> : hasErrors ? <ExclamationTriangleIcon className="w-4 h-4" /> : <QueueListIcon className="w-4 h-4" />}
+        <span className="hidden sm:inline">{activeCount > 0 ? t.jobsRunning.replace('{count}', activeCount) : t.jobs}</span>
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 w-80 max-h-[60vh] flex flex-col bg-white rounded-xl shadow-xl border border-slate-100 z-20 overflow-hidden">
+            <div className="px-4 py-2 border-b border-slate-100 flex items-center justify-between">
+              <span className="text-sm font-semibold text-slate-700">{t.jobs}</span>
+              {jobs.some(job => !isActive(job)) && (
+                <button onClick={() => jobs.filter(job => !isActive(job)).forEach(job => onDismiss(job.id))} className="text-xs text-indigo-600 hover:text-indigo-700">
+                  {t.clearFinished}
+                </button>
+              )}
+            </div>
+            <div className="flex-1 overflow-y-auto">
+              {jobs.map(job => {
+                const failedItems = job.items.filter(item => item.status === 'failed');
+                return (
+                  <div key={job.id} className="px-4 py-3 border-b border-slate-50 last:border-0">
+                    <div className="flex items-center gap-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-xs font-medium text-slate-700 truncate">{t.jobTypes[job.type] || job.type} · {describe(job)}</div>
+                        <div className={clsx("text-[11px]", job.status === 'failed' ? "text-red-500" : "text-slate-400")}>
+                          {t.jobStatus[job.status]} · {t.jobItems.replace('{done}', job.processed).replace('{total}', job.total)}
+                          {job.failed > 0 && (
+                            <button onClick={() => setExpandedId(prev => (prev === job.id ? null : job.id))} className="ml-1 underline">
+                              {t.jobFailedItems.replace('{count}', job.failed)}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {isActive(job) ? (
+                        <button onClick={() => onCancel(job.id)} className="text-[11px] text-slate-500 hover:text-red-500 px-2 py-1 rounded-lg hover:bg-red-50 shrink-0">
+                          {t.cancel}
+                        </button>
+                      ) : (
+                        <button onClick={() => onDismiss(job.id)} className="p-1 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100 shrink-0">
+                          <XMarkIcon className="w-3.5 h-3.5" />
+                        </button>
+                      )}
+                    </div>
+                    {isActive(job) && (
+                      <div className="mt-2 h-1 rounded-full bg-slate-100 overflow-hidden">
+                        <div className="h-full bg-indigo-500 transition-all" style={{ width: `${progressOf(job) * 100}%` }} />
+                      </div>
+                    )}
+                    {job.error && <div className="mt-1 text-[11px] text-red-500 break-words">{job.error}</div>}
+                    {expandedId === job.id && failedItems.map(item => (
+                      <div key={item.path} className="mt-1 text-[11px] text-red-500 break-words">{item.path}: {item.error}</div>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JobsPanel;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { ServerStackIcon, GlobeAltIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+// Sign-in for the server; on first run it creates the administrator account instead
+const LoginScreen = ({ setupRequired, onSignedIn, lang = 'en', onToggleLang }) => {
+  const t = translations[lang];
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (setupRequired && password !== confirmPassword) {
+      setError(t.passwordMismatch);
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const user = setupRequired
+        ? await FileService.setupAdmin(username, password)
+        : await FileService.login(username, password);
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex h-screen items-center justify-center bg-main-bg p-4 font-sans">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-sm overflow-hidden">
+        <div className="px-6 pt-6 pb-2 flex items-center gap-2">
+          <div className="w-8 h-8 bg-indigo-600 rounded-lg flex items-center justify-center text-white"><ServerStackIcon className="w-5 h-5" /></div>
+          <span className="text-lg font-bold text-slate-800 tracking-tight">{t.appTitle}</span>
+          <button
+            type="button"
+            onClick={onToggleLang}
+            className="ml-auto flex items-center gap-1.5 px-2 py-1 text-xs font-medium text-slate-500 hover:text-indigo-600 transition-colors"
+          >
+            <GlobeAltIcon className="w-4 h-4 shrink-0" />
+            <span className="translate-y-[1px]">{lang === 'en' ? '英' : '中'}</span>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <h2 className="text-base font-semibold text-slate-800">{setupRequired ? t.createAdmin : t.signIn}</h2>
+            {setupRequired && <p className="mt-1 text-xs text-slate-400">{t.tipCreateAdmin}</p>}
+          </div>
+
+          <div>
+            <label htmlFor="login-username" className="block text-xs font-medium text-slate-500 mb-1">{t.username}</label>
+            <input id="login-username" type="text" autoComplete="username" autoFocus required className={inputClassName}
+              value={username} onChange={e => setUsername(e.target.value)} />
+          </div>
+          <div>
+            <label htmlFor="login-password" className="block text-xs font-medium text-slate-500 mb-1">{t.password}</label>
+            <input id="login-password" type="password" autoComplete={setupRequired ? 'new-password' : 'current-password'} required className={inputClassName}
+              value={password} onChange={e => setPassword(e.target.value)} />
+          </div>
+          {setupRequired && (
+            <div>
+              <label htmlFor="login-confirm" className="block text-xs font-medium text-slate-500 mb-1">{t.confirmPassword}</label>
+              <input id="login-confirm" type="password" autoComplete="new-password" required className={inputClassName}
+                value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} />
+            </div>
+          )}
+
+          {error && <div className="p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? t.signingIn : (setupRequired ? t.createAdmin : t.signIn)}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -31,7 +31,16 @@ const PreviewModal = ({ file, onClose, drive = 'local', lang = 'en' }) => {
     const loadContent = async () => {
         setLoading(true);
         try {
-            if (isText) {
+            if (file.url) {
+                // Served from elsewhere (e.g. an entry inside an archive)
+                if (!isText) {
+                    setFileUrl(file.url);
+                } else {
+                    const response = await fetch(file.url);
+                    if (!response.ok) throw new Error(await response.text());
+                    setContent(await response.text());
+                }
+            } else if (isText) {
                 // Read as text
                 const data = await FileService.readFile(file.path, activeDriveConfig);
                 
@@ -51,7 +60,8 @@ const PreviewModal = ({ file, onClose, drive = 'local', lang = 'en' }) => {
                 }
             } else if (isImage || isVideo || isAudio || isPDF) {
                 // Get Blob/URL
-                if (activeDriveConfig.type === 'local') {
+                if (activeDriveConfig.type === 'local' || activeDriveConfig.server) {
+                    // Local files and server-managed drives have a direct (streamable) URL
                     const url = await FileService.getFileUrl(file.path, activeDriveConfig);
                     setFileUrl(url);
                 } else {
@@ -78,7 +88,7 @@ const PreviewModal = ({ file, onClose, drive = 'local', lang = 'en' }) => {
             URL.revokeObjectURL(fileUrl);
         }
     };
-  }, [file.path, activeDriveConfig, isText, isImage, isVideo, isAudio, isPDF]);
+  }, [file.path, file.url, activeDriveConfig, isText, isImage, isVideo, isAudio, isPDF]);
 
   // Handle ESC key
   useEffect(() => {
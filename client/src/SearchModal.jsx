@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import clsx from 'clsx';
+import { FolderIcon, DocumentIcon, PhotoIcon, VideoCameraIcon, MagnifyingGlassIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const SEARCH_TYPES = ['folder', 'file', 'image', 'video', 'audio', 'document', 'archive'];
+
+const getFileIcon = (file) => {
+  if (file.isDirectory) return <FolderIcon className="w-5 h-5 text-indigo-400 shrink-0" />;
+  if (file.type?.startsWith('image')) return <PhotoIcon className="w-5 h-5 text-pink-400 shrink-0" />;
+  if (file.type?.startsWith('video')) return <VideoCameraIcon className="w-5 h-5 text-blue-400 shrink-0" />;
+  return <DocumentIcon className="w-5 h-5 text-slate-400 shrink-0" />;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+// Snippet text with the matched words marked
+const Snippet = ({ snippet }) => {
+  const parts = [];
+  let last = 0;
+  snippet.highlights.forEach(([from, to]) => {
+    parts.push(snippet.text.slice(last, from));
+    parts.push(<mark key={from} className="bg-amber-100 text-slate-700 rounded-sm">{snippet.text.slice(from, to)}</mark>);
+    last = to;
+  });
+  parts.push(snippet.text.slice(last));
+  return <div className="text-[11px] text-slate-500 line-clamp-2 mt-0.5 break-words">{parts}</div>;
+};
+
+const megabytes = (value) => (value === '' ? undefined : Math.round(Number(value) * 1024 * 1024));
+
+// Recursive search of a drive (or the open folder) by name, or of the drive's
+// content index by the words inside files; clicking a result opens its folder
+const SearchModal = ({ drive, currentPath, initialQuery = '', onOpen, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const [query, setQuery] = useState(initialQuery);
+  const [mode, setMode] = useState('name');
+  const [indexStatus, setIndexStatus] = useState(null);
+  const canSearchContent = FileService.canSearchContent(drive);
+  const [scope, setScope] = useState('drive');
+  const [type, setType] = useState('');
+  const [minSize, setMinSize] = useState('');
+  const [maxSize, setMaxSize] = useState('');
+  const [modifiedAfter, setModifiedAfter] = useState('');
+  const [modifiedBefore, setModifiedBefore] = useState('');
+  const [results, setResults] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  const runSearch = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setResults([]);
+    setSummary(null);
+    setError('');
+    setSearching(true);
+    try {
+      if (mode === 'content') {
+        const data = await FileService.searchContent(query, drive);
+        if (controller.signal.aborted) return;
+        setResults(data.results);
+        setIndexStatus(data.status);
+        setSummary({ truncated: false });
+        return;
+      }
+      const criteria = {
+        q: query,
+        type,
+        minSize: megabytes(minSize),
+        maxSize: megabytes(maxSize),
+        // Whole days in the browser's time zone
+        modifiedAfter: modifiedAfter ? new Date(`${modifiedAfter}T00:00:00`).toISOString() : undefined,
+        modifiedBefore: modifiedBefore ? new Date(`${modifiedBefore}T23:59:59.999`).toISOString() : undefined
+      };
+      const root = scope === 'drive' ? '/' : currentPath;
+      const result = await FileService.search(root, drive, criteria, file => setResults(prev => [...prev, file]), controller.signal);
+      if (!controller.signal.aborted) setSummary(result);
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.response?.data?.error || err.message);
+    } finally {
+      if (controllerRef.current === controller) setSearching(false);
+    }
+  };
+
+  useEffect(() => {
+    if (initialQuery.trim()) runSearch();
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const switchMode = (next) => {
+    if (next === mode) return;
+    controllerRef.current?.abort();
+    setMode(next);
+    setResults([]);
+    setSummary(null);
+    setError('');
+    setSearching(false);
+    if (next === 'content') FileService.getContentIndexStatus(drive).then(setIndexStatus).catch(() => {});
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.searchDrive} · {drive.name}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="px-6 py-4 space-y-3 border-b border-slate-100">
+          {canSearchContent && (
+            <div className="flex gap-1 p-1 rounded-lg bg-slate-100 w-fit">
+              {['name', 'content'].map(key => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => switchMode(key)}
+                  className={clsx("px-3 py-1 rounded-md text-xs font-medium transition-colors", mode === key ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700")}
+                >
+                  {key === 'name' ? t.searchByName : t.searchByContent}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <div className="relative flex-1">
+              <MagnifyingGlassIcon className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input autoFocus value={query} onChange={e => setQuery(e.target.value)} placeholder={mode === 'content' ? t.contentSearchHint : t.searchNameHint} className={clsx(inputClassName, "w-full pl-9")} />
+            </div>
+            <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200">
+              {t.searchDrive}
+            </button>
+          </div>
+          {mode === 'name' && <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+            <select value={scope} onChange={e => setScope(e.target.value)} className={inputClassName}>
+              <option value="drive">{t.searchScopeDrive}</option>
+              <option value="folder" disabled={currentPath === '/'}>{t.searchScopeFolder}</option>
+            </select>
+            <select value={type} onChange={e => setType(e.target.value)} className={inputClassName}>
+              <option value="">{t.anyType}</option>
+              {SEARCH_TYPES.map(key => <option key={key} value={key}>{t.searchTypes[key]}</option>)}
+            </select>
+            <input type="number" min="0" step="any" value={minSize} onChange={e => setMinSize(e.target.value)} placeholder={t.minSizeMB} className={inputClassName} />
+            <input type="number" min="0" step="any" value={maxSize} onChange={e => setMaxSize(e.target.value)} placeholder={t.maxSizeMB} className={inputClassName} />
+            <label className="flex flex-col text-[11px] text-slate-400 gap-1">
+              {t.modifiedAfter}
+              <input type="date" value={modifiedAfter} onChange={e => setModifiedAfter(e.target.value)} className={inputClassName} />
+            </label>
+            <label className="flex flex-col text-[11px] text-slate-400 gap-1">
+              {t.modifiedBefore}
+              <input type="date" value={modifiedBefore} onChange={e => setModifiedBefore(e.target.value)} className={inputClassName} />
+            </label>
+          </div>}
+          {mode === 'content' && indexStatus && (
+            <div className="flex items-center gap-2 text-[11px] text-slate-400">
+              {indexStatus.state === 'indexing' && <ArrowPathIcon className="w-3.5 h-3.5 animate-spin" />}
+              <span>
+                {indexStatus.state === 'indexing' ? t.contentIndexing : t.contentIndexStatus.replace('{count}', indexStatus.documents)}
+                {indexStatus.indexedAt && ` · ${t.contentIndexUpdated.replace('{date}', new Date(indexStatus.indexedAt).toLocaleString())}`}
+              </span>
+              <button type="button" onClick={() => FileService.refreshContentIndex(drive).then(setIndexStatus)} className="text-indigo-600 hover:text-indigo-700">
+                {t.reindex}
+              </button>
+            </div>
+          )}
+        </form>
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="px-6 pt-3 flex items-center gap-2 text-[11px] text-slate-400">
+          {searching && <ArrowPathIcon className="w-3.5 h-3.5 animate-spin" />}
+          {searching ? `${t.searching} ${t.searchResultCount.replace('{count}', results.length)}`
+            : summary?.truncated ? t.searchTruncated.replace('{count}', results.length)
+            : summary ? t.searchResultCount.replace('{count}', results.length) : null}
+        </div>
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {summary && !searching && results.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.noSearchResults}</div>}
+          {results.map(file => (
+            <button key={file.path} onClick={() => onOpen(file)} className="w-full flex items-center gap-3 px-6 py-2.5 text-left hover:bg-slate-50 transition-colors">
+              {getFileIcon(file)}
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-slate-700 truncate">{file.name}</div>
+                <div className="text-[11px] text-slate-400 truncate">{file.path}</div>
+                {file.snippet && <Snippet snippet={file.snippet} />}
+              </div>
+              <div className="text-right shrink-0">
+                {!file.isDirectory && <div className="text-[11px] text-slate-400 tabular-nums">{formatSize(file.size)}</div>}
+                {file.mtime && <div className="text-[11px] text-slate-400">{new Date(file.mtime).toLocaleDateString()}</div>}
+              </div>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchModal;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import clsx from 'clsx';
+import { LinkIcon, ClipboardDocumentIcon, CheckIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const HOUR = 60 * 60 * 1000;
+const EXPIRY_OPTIONS = [
+  { key: 'expiresNever', ms: 0 },
+  { key: 'expiresHour', ms: HOUR },
+  { key: 'expiresDay', ms: 24 * HOUR },
+  { key: 'expiresWeek', ms: 7 * 24 * HOUR },
+  { key: 'expiresMonth', ms: 30 * 24 * HOUR }
+];
+
+// Create a public link for one file or folder of a server-managed drive
+const ShareModal = ({ file, drive, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const [expiry, setExpiry] = useState(EXPIRY_OPTIONS[3].ms);
+  const [password, setPassword] = useState('');
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [status, setStatus] = useState({ type: 'idle', msg: '' });
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setStatus({ type: 'loading', msg: '' });
+    try {
+      const share = await FileService.createShare(file.path, drive, {
+        expiresAt: expiry ? new Date(Date.now() + expiry).toISOString() : null,
+        password: password || null,
+        maxDownloads: maxDownloads || null
+      });
+      setLink(FileService.getShareLink(share.id));
+      setStatus({ type: 'idle', msg: '' });
+    } catch (err) {
+      setStatus({ type: 'error', msg: err.response?.data?.error || err.message });
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      prompt(t.copyLink, link); // Clipboard API needs a secure context
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md overflow-hidden flex flex-col">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.share} “{file.name}”</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        {link ? (
+          <div className="p-6 space-y-4">
+            <div className="flex gap-2">
+              <input type="text" readOnly value={link} onFocus={e => e.target.select()} className={inputClassName} />
+              <button onClick={handleCopy} className="p-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 shrink-0" title={t.copyLink}>
+                {copied ? <CheckIcon className="w-5 h-5" /> : <ClipboardDocumentIcon className="w-5 h-5" />}
+              </button>
+            </div>
+            <div className="flex justify-end">
+              <button onClick={onClose} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors">{t.close}</button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCreate} className="p-6 space-y-4">
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">{t.expiresIn}</label>
+              <select value={expiry} onChange={e => setExpiry(Number(e.target.value))} className={inputClassName}>
+                {EXPIRY_OPTIONS.map(option => <option key={option.key} value={option.ms}>{t[option.key]}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">{t.sharePassword}</label>
+              <input type="password" autoComplete="new-password" value={password} onChange={e => setPassword(e.target.value)} className={inputClassName} />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">{t.maxDownloads}</label>
+              <input type="number" min="1" value={maxDownloads} onChange={e => setMaxDownloads(e.target.value)} className={inputClassName} />
+            </div>
+
+            {status.type === 'error' && <div className="p-3 rounded-lg text-xs bg-red-50 text-red-600">{status.msg}</div>}
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={onClose} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors">{t.cancel}</button>
+              <button type="submit" disabled={status.type === 'loading'} className={clsx("flex items-center gap-1.5 px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200", status.type === 'loading' && "opacity-50")}>
+                <LinkIcon className="w-4 h-4" />{t.createLink}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareModal;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ServerStackIcon,
+  GlobeAltIcon,
+  FolderIcon,
+  DocumentIcon,
+  PhotoIcon,
+  VideoCameraIcon,
+  ChevronLeftIcon,
+  ArrowDownTrayIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const getFileIcon = (file) => {
+  if (file.isDirectory) return <FolderIcon className="w-6 h-6 text-indigo-400 shrink-0" />;
+  if (file.type?.startsWith('image')) return <PhotoIcon className="w-6 h-6 text-pink-400 shrink-0" />;
+  if (file.type?.startsWith('video')) return <VideoCameraIcon className="w-6 h-6 text-blue-400 shrink-0" />;
+  return <DocumentIcon className="w-6 h-6 text-slate-400 shrink-0" />;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/') || '/';
+
+// Public page for a share link (/s/<id>): no account, password prompt when the
+// link has one, then the shared file or a read-only listing of the shared folder
+const SharePage = ({ shareId }) => {
+  const [lang, setLang] = useState(() => localStorage.getItem('app_lang') || 'zh');
+  const t = translations[lang];
+  const [share, setShare] = useState(null);
+  const [path, setPath] = useState('/');
+  const [key, setKey] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const toggleLang = () => {
+    const next = lang === 'en' ? 'zh' : 'en';
+    setLang(next);
+    localStorage.setItem('app_lang', next);
+  };
+
+  const load = useCallback(async (nextPath, nextKey) => {
+    setLoading(true);
+    try {
+      setShare(await FileService.openShare(shareId, nextPath, nextKey));
+      setPath(nextPath);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || t.shareUnavailable);
+    } finally {
+      setLoading(false);
+    }
+  }, [shareId, t]);
+
+  useEffect(() => { load('/', null); }, [shareId]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    try {
+      const unlockKey = await FileService.unlockShare(shareId, password);
+      setKey(unlockKey);
+      await load('/', unlockKey);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const fileUrl = (filePath, download = false) => FileService.getSharedFileUrl(shareId, filePath, key, download);
+
+  const renderFile = (file) => (
+    <div className="p-6 flex flex-col items-center gap-4">
+      {file.type?.startsWith('image/') && <img src={fileUrl('/')} alt={file.name} className="max-w-full max-h-[60vh] object-contain rounded-lg" />}
+      {file.type?.startsWith('video/') && <video src={fileUrl('/')} controls className="max-w-full max-h-[60vh] rounded-lg bg-black" />}
+      {file.type?.startsWith('audio/') && <audio src={fileUrl('/')} controls className="w-full" />}
+      <div className="text-center">
+        <p className="text-base font-medium text-slate-700 break-all">{file.name}</p>
+        <p className="text-xs text-slate-400 mt-1">{formatSize(file.size)}</p>
+      </div>
+      <a href={fileUrl('/', true)} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200">
+        <ArrowDownTrayIcon className="w-4 h-4" />{t.download}
+      </a>
+    </div>
+  );
+
+  const renderFolder = () => (
+    <div className="flex flex-col max-h-[70vh]">
+      <div className="px-6 py-3 border-b border-slate-100 flex items-center gap-2 text-sm text-slate-500">
+        {path !== '/' && (
+          <button onClick={() => load(parentOf(path), key)} className="p-1 -ml-1 rounded-full hover:bg-slate-100">
+            <ChevronLeftIcon className="w-4 h-4" />
+          </button>
+        )}
+        <span className="truncate">{share.name}{path !== '/' ? path : ''}</span>
+      </div>
+      <div className="flex-1 overflow-y-auto py-2">
+        {share.files.map(file => (
+          file.isDirectory ? (
+            <button key={file.path} onClick={() => load(file.path, key)} className="w-full flex items-center gap-3 px-6 py-2.5 text-left hover:bg-slate-50 transition-colors">
+              {getFileIcon(file)}
+              <span className="flex-1 text-sm text-slate-700 truncate">{file.name}</span>
+            </button>
+          ) : (
+            <a key={file.path} href={fileUrl(file.path, true)} className="flex items-center gap-3 px-6 py-2.5 hover:bg-slate-50 transition-colors">
+              {getFileIcon(file)}
+              <span className="flex-1 text-sm text-slate-700 truncate">{file.name}</span>
+              <span className="text-[11px] text-slate-400 tabular-nums">{formatSize(file.size)}</span>
+              <ArrowDownTrayIcon className="w-4 h-4 text-slate-400 shrink-0" />
+            </a>
+          )
+        ))}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-main-bg p-4 font-sans">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden">
+        <div className="px-6 pt-6 pb-4 flex items-center gap-2 border-b border-slate-100">
+          <div className="w-8 h-8 bg-indigo-600 rounded-lg flex items-center justify-center text-white"><ServerStackIcon className="w-5 h-5" /></div>
+          <span className="text-lg font-bold text-slate-800 tracking-tight truncate">{share?.name || t.appTitle}</span>
+          <button
+            type="button"
+            onClick={toggleLang}
+            className="ml-auto flex items-center gap-1.5 px-2 py-1 text-xs font-medium text-slate-500 hover:text-indigo-600 transition-colors"
+          >
+            <GlobeAltIcon className="w-4 h-4 shrink-0" />
+            <span className="translate-y-[1px]">{lang === 'en' ? '英' : '中'}</span>
+          </button>
+        </div>
+
+        {share?.locked ? (
+          <form onSubmit={handleUnlock} className="p-6 space-y-4">
+            <div className="flex items-center gap-2 text-sm font-medium text-slate-600">
+              <LockClosedIcon className="w-4 h-4" />{t.passwordProtected}
+            </div>
+            <input type="password" autoFocus required placeholder={t.password} value={password} onChange={e => setPassword(e.target.value)} className={inputClassName} />
+            {error && <div className="p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+            <button type="submit" className="w-full py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200">
+              {t.unlock}
+            </button>
+          </form>
+        ) : error ? (
+          <div className="p-10 text-center text-sm text-slate-500">{error}</div>
+        ) : loading && !share ? (
+          <div className="p-10 text-center text-sm text-slate-400">{t.loading}</div>
+        ) : share?.isDirectory ? renderFolder() : share?.file ? renderFile(share.file) : null}
+      </div>
+    </div>
+  );
+};
+
+export default SharePage;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { FolderIcon, DocumentIcon, LockClosedIcon, ClipboardDocumentIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+// The signed-in user's public links (administrators see everyone's): copy or revoke
+const SharesModal = ({ onClose, drives = [], lang = 'en' }) => {
+  const t = translations[lang];
+  const [shares, setShares] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    FileService.listShares().then(setShares).catch(err => setError(err.response?.data?.error || err.message));
+  }, []);
+
+  const handleRevoke = async (share) => {
+    if (!confirm(t.confirmRevokeShare)) return;
+    try {
+      await FileService.revokeShare(share.id);
+      setShares(prev => prev.filter(s => s.id !== share.id));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleCopy = async (share) => {
+    const link = FileService.getShareLink(share.id);
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch (e) {
+      prompt(t.copyLink, link); // Clipboard API needs a secure context
+    }
+  };
+
+  const describe = (share) => {
+    const details = [];
+    const isExpired = share.expiresAt && new Date(share.expiresAt) <= new Date();
+    if (isExpired) details.push(t.expired);
+    else if (share.expiresAt) details.push(t.expiresAt.replace('{date}', new Date(share.expiresAt).toLocaleString()));
+    details.push(t.downloadsCount.replace('{count}', share.maxDownloads ? `${share.downloads}/${share.maxDownloads}` : share.downloads));
+    return details.join(' · ');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-800">{t.shareLinks}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        {error && <div className="mx-6 mt-4 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {shares.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.noShares}</div>}
+          {shares.map(share => {
+            const driveName = drives.find(d => d.id === share.driveId)?.name || share.driveId;
+            const inactive = (share.expiresAt && new Date(share.expiresAt) <= new Date()) || (share.maxDownloads && share.downloads >= share.maxDownloads);
+            return (
+              <div key={share.id} className={clsx("flex items-center gap-3 px-6 py-3 border-b border-slate-50 last:border-0", inactive && "opacity-50")}>
+                {share.isDirectory ? <FolderIcon className="w-5 h-5 text-indigo-400 shrink-0" /> : <DocumentIcon className="w-5 h-5 text-slate-400 shrink-0" />}
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-1.5 text-sm font-medium text-slate-700">
+                    <span className="truncate">{share.name}</span>
+                    {share.hasPassword && <LockClosedIcon className="w-3.5 h-3.5 text-slate-400 shrink-0" title={t.passwordProtected} />}
+                  </div>
+                  <div className="text-[11px] text-slate-400 truncate">{driveName}: {share.path}</div>
+                  <div className="text-[11px] text-slate-400">{describe(share)}</div>
+                </div>
+                <button onClick={() => handleCopy(share)} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.copyLink}>
+                  <ClipboardDocumentIcon className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleRevoke(share)} className="p-2 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500 shrink-0" title={t.revoke}>
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharesModal;
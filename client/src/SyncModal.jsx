@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { ArrowPathIcon, ArrowRightIcon, ArrowsRightLeftIcon, EyeIcon, TrashIcon, PlusIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import { FileService, isServerDrive } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+const INTERVALS = [0, 15, 60, 360, 1440]; // Minutes, 0 = manual
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+const emptyForm = (driveId) => ({ name: '', sourceDrive: driveId, sourcePath: '/', targetDrive: driveId, targetPath: '/', mode: 'two-way', interval: 0 });
+
+// Sync pairs between server drive folders: set them up, preview (dry run) or
+// run a sync, and see what is pending, what failed and which conflicts were kept
+const SyncModal = ({ drives, jobs, onCancelJob, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const serverDrives = drives.filter(isServerDrive);
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+  const driveName = (id) => drives.find(d => d.id === id)?.name || id;
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const loadPairs = () => FileService.listSyncPairs()
+    .then(setPairs)
+    .catch(err => setError(errorMessage(err)))
+    .finally(() => setLoading(false));
+
+  // Pairs change whenever one of their jobs starts or finishes
+  const activeJobIds = jobs.filter(isActive).map(job => job.id).join(',');
+  useEffect(() => {
+    loadPairs();
+  }, [activeJobIds]);
+
+  const handleRun = async (pair, dryRun) => {
+    setError('');
+    try {
+      await FileService.runSync(pair.id, { dryRun });
+      setExpandedId(pair.id);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleDelete = async (pair) => {
+    if (!confirm(t.confirmDeleteSyncPair.replace('{name}', pair.name))) return;
+    setError('');
+    try {
+      await FileService.deleteSyncPair(pair.id);
+      loadPairs();
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await FileService.createSyncPair({
+        name: form.name.trim() || undefined,
+        source: { drive: form.sourceDrive, path: form.sourcePath },
+        target: { drive: form.targetDrive, path: form.targetPath },
+        mode: form.mode,
+        interval: form.interval
+      });
+      setForm(null);
+      loadPairs();
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const progressText = (job) => {
+    if (!job.progress) return t.jobStatus[job.status];
+    if (job.progress.phase === 'scan') return t.syncListing.replace('{count}', job.progress.done);
+    return t.syncApplying.replace('{done}', job.progress.done).replace('{total}', job.progress.total);
+  };
+
+  // One planned change: what happens to which path, in which direction
+  const describeChange = (pair, change) => {
+    if (change.action === 'delete') return t.syncDeleteOn.replace('{drive}', driveName(pair[change.side].drive));
+    if (change.action === 'conflict') return t.syncConflictKept.replace('{path}', change.copyPath);
+    const to = change.from === 'source' ? 'target' : 'source';
+    return `${t.syncActions[change.action]} → ${driveName(pair[to].drive)}`;
+  };
+
+  const renderChanges = (pair, title, changes, className) => changes.length > 0 && (
+    <div>
+      <div className={clsx("text-[11px] font-medium mb-1", className)}>{title}</div>
+      {changes.map((change, i) => (
+        <div key={`${change.path}-${i}`} className="flex items-start gap-2 py-0.5 text-xs">
+          <span className="flex-1 min-w-0 truncate text-slate-600" title={change.path}>{change.path}</span>
+          <span className="shrink-0 text-slate-400">{describeChange(pair, change)}</span>
+          {change.error && <span className="basis-full text-[11px] text-red-500 truncate">{change.error}</span>}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-2xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.sync}</h2>
+          <div className="flex items-center gap-2 shrink-0">
+            {!form && serverDrives.length > 0 && (
+              <button onClick={() => setForm(emptyForm(serverDrives[0].id))} className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-sm font-medium text-indigo-600 hover:bg-indigo-50">
+                <PlusIcon className="w-4 h-4" />{t.syncNewPair}
+              </button>
+            )}
+            <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+              <span>✕</span>
+            </button>
+          </div>
+        </div>
+
+        {form && (
+          <form onSubmit={handleCreate} className="px-6 py-4 border-b border-slate-100 space-y-2 bg-slate-50/50">
+            <input value={form.name} onChange={e => updateForm('name', e.target.value)} placeholder={t.syncName} className={clsx(inputClassName, "w-full")} />
+            {['source', 'target'].map(side => (
+              <div key={side} className="flex items-center gap-2">
+                <span className="w-14 shrink-0 text-xs text-slate-500">{side === 'source' ? t.syncSource : t.syncTarget}</span>
+                <select value={form[`${side}Drive`]} onChange={e => updateForm(`${side}Drive`, e.target.value)} className={inputClassName}>
+                  {serverDrives.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                </select>
+                <input value={form[`${side}Path`]} onChange={e => updateForm(`${side}Path`, e.target.value)} placeholder="/" className={clsx(inputClassName, "flex-1 min-w-0")} />
+              </div>
+            ))}
+            <div className="flex flex-wrap items-center gap-2">
+              <select value={form.mode} onChange={e => updateForm('mode', e.target.value)} className={inputClassName}>
+                <option value="two-way">{t.syncModes['two-way']}</option>
+                <option value="mirror">{t.syncModes.mirror}</option>
+              </select>
+              <select value={form.interval} onChange={e => updateForm('interval', Number(e.target.value))} className={inputClassName}>
+                {INTERVALS.map(minutes => <option key={minutes} value={minutes}>{minutes ? t.syncEvery.replace('{minutes}', minutes) : t.syncManual}</option>)}
+              </select>
+              <div className="ml-auto flex items-center gap-3">
+                <button type="button" onClick={() => setForm(null)} className="text-sm text-slate-500 hover:text-slate-700">{t.cancel}</button>
+                <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200">
+                  {t.syncCreate}
+                </button>
+              </div>
+            </div>
+            <p className="text-[11px] text-slate-400">{form.mode === 'mirror' ? t.syncMirrorHint : t.syncTwoWayHint}</p>
+          </form>
+        )}
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {loading && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.loading}</div>}
+          {!loading && pairs.length === 0 && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.syncNoPairs}</div>}
+          {pairs.map(pair => {
+            const job = jobs.find(j => j.id === pair.jobId && isActive(j));
+            const run = pair.lastRun;
+            const isExpanded = expandedId === pair.id;
+            return (
+              <div key={pair.id} className="mx-4 my-2 rounded-xl border border-slate-100">
+                <div className="px-3 py-2.5 flex items-center gap-3">
+                  <button onClick={() => setExpandedId(isExpanded ? null : pair.id)} className="flex-1 min-w-0 text-left">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-slate-700 truncate">{pair.name}</span>
+                      <span className="px-1.5 py-0.5 rounded text-[10px] bg-slate-100 text-slate-500 shrink-0">{t.syncModes[pair.mode]}</span>
+                      <ChevronDownIcon className={clsx("w-3 h-3 text-slate-400 shrink-0 transition-transform", isExpanded && "rotate-180")} />
+                    </div>
+                    <div className="flex items-center gap-1 text-[11px] text-slate-400 min-w-0">
+                      <span className="truncate">{driveName(pair.source.drive)} {pair.source.path}</span>
+                      {pair.mode === 'mirror' ? <ArrowRightIcon className="w-3 h-3 shrink-0" /> : <ArrowsRightLeftIcon className="w-3 h-3 shrink-0" />}
+                      <span className="truncate">{driveName(pair.target.drive)} {pair.target.path}</span>
+                    </div>
+                  </button>
+                  {job ? (
+                    <>
+                      <div className="flex items-center gap-1.5 text-xs text-indigo-600 min-w-0">
+                        <ArrowPathIcon className="w-4 h-4 animate-spin shrink-0" />
+                        <span className="truncate">{progressText(job)}</span>
+                      </div>
+                      <button onClick={() => onCancelJob(job.id)} className="px-2 py-1 rounded-lg text-xs text-slate-500 hover:text-red-500 hover:bg-red-50 shrink-0">{t.cancel}</button>
+                    </>
+                  ) : (
+                    <div className="flex items-center gap-1 shrink-0">
+                      <button onClick={() => handleRun(pair, true)} className="p-1.5 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600" title={t.syncPreview}>
+                        <EyeIcon className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleRun(pair, false)} className="p-1.5 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600" title={t.syncNow}>
+                        <ArrowPathIcon className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleDelete(pair)} className="p-1.5 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500" title={t.delete}>
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div className="px-3 pb-2 text-[11px] text-slate-400">
+                  {pair.lastSyncAt ? t.syncLastSync.replace('{date}', new Date(pair.lastSyncAt).toLocaleString()) : t.syncNever}
+                  {pair.interval > 0 && <>{' · '}{t.syncEvery.replace('{minutes}', pair.interval)}</>}
+                  {run && !job && (
+                    <span className={clsx(run.status === 'failed' ? "text-red-500" : run.status === 'cancelled' ? "text-amber-500" : "text-slate-400")}>
+                      {' · '}
+                      {run.dryRun
+                        ? t.syncPreviewSummary.replace('{count}', run.planned)
+                        : t.syncRunSummary.replace('{applied}', run.applied).replace('{planned}', run.planned).replace('{failed}', run.failed.length)}
+                    </span>
+                  )}
+                </div>
+
+                {isExpanded && run && (
+                  <div className="px-3 pb-3 space-y-3 border-t border-slate-50 pt-2">
+                    {run.error && <div className="text-xs text-red-500">{run.error}</div>}
+                    {renderChanges(pair, t.syncPending, run.pending, "text-slate-500")}
+                    {renderChanges(pair, t.syncFailed, run.failed, "text-red-500")}
+                    {renderChanges(pair, t.syncConflicts, run.conflicts, "text-amber-600")}
+                    {!run.error && run.pending.length + run.failed.length + run.conflicts.length === 0 && (
+                      <div className="text-xs text-slate-400">{t.syncUpToDate}</div>
+                    )}
+                    {run.dryRun && run.pending.length > 0 && !job && (
+                      <button onClick={() => handleRun(pair, false)} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all">
+                        {t.syncApply.replace('{count}', run.planned)}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncModal;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { FolderIcon, DocumentIcon, ArrowUturnLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+// Recycle bin of one drive: restore items or delete them for good
+const TrashModal = ({ drive, onClose, onRestored, lang = 'en' }) => {
+  const t = translations[lang];
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+
+  useEffect(() => {
+    FileService.listTrash(drive)
+      .then(data => {
+        // Most recently deleted first
+        setItems([...data.items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+        setRetentionDays(data.retentionDays);
+      })
+      .catch(err => setError(errorMessage(err)))
+      .finally(() => setLoading(false));
+  }, [drive]);
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    setError('');
+    try {
+      await FileService.restoreFromTrash([item.id], drive);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+      onRestored?.();
+    } catch (err) {
+      setError(`${t.restoreFailed}: ${errorMessage(err)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!confirm(t.confirmDeleteForever.replace('{name}', item.name))) return;
+    setBusyId(item.id);
+    setError('');
+    try {
+      await FileService.deleteFromTrash([item.id], drive);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!confirm(t.confirmEmptyTrash)) return;
+    setBusyId('all');
+    setError('');
+    try {
+      await FileService.emptyTrash(drive);
+      setItems([]);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.trash} · {drive.name}</h2>
+          <div className="flex items-center gap-2 shrink-0">
+            {items.length > 0 && (
+              <button onClick={handleEmpty} disabled={!!busyId} className="px-3 py-1.5 rounded-lg text-xs font-medium border border-red-100 text-red-500 hover:bg-red-50 transition-colors disabled:opacity-50">
+                {t.emptyTrash}
+              </button>
+            )}
+            <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+              <span>✕</span>
+            </button>
+          </div>
+        </div>
+
+        {retentionDays !== null && (
+          <div className="px-6 pt-3 text-[11px] text-slate-400">
+            {retentionDays > 0 ? t.trashRetention.replace('{days}', retentionDays) : t.trashRetentionForever}
+          </div>
+        )}
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {loading && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.loading}</div>}
+          {!loading && items.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.trashIsEmpty}</div>}
+          {items.map(item => (
+            <div key={item.id} className={clsx("flex items-center gap-3 px-6 py-3 border-b border-slate-50 last:border-0", (busyId === item.id || busyId === 'all') && "opacity-50")}>
+              {item.isDirectory ? <FolderIcon className="w-5 h-5 text-indigo-400 shrink-0" /> : <DocumentIcon className="w-5 h-5 text-slate-400 shrink-0" />}
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-slate-700 truncate">{item.name}</div>
+                <div className="text-[11px] text-slate-400 truncate">{item.originalPath}</div>
+                <div className="text-[11px] text-slate-400">{t.deletedOn.replace('{date}', new Date(item.deletedAt).toLocaleString())}</div>
+              </div>
+              <button onClick={() => handleRestore(item)} disabled={!!busyId} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.restore}>
+                <ArrowUturnLeftIcon className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleDelete(item)} disabled={!!busyId} className="p-2 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500 shrink-0" title={t.deleteForever}>
+                <TrashIcon className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
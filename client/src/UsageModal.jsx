@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import clsx from 'clsx';
+import { ChevronLeftIcon, ArrowPathIcon, FolderOpenIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/') || '/';
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+const FOLDER_COLORS = ['bg-indigo-400', 'bg-sky-400', 'bg-violet-400', 'bg-teal-400', 'bg-blue-400', 'bg-purple-400'];
+
+// Helper: Lay out one row of tiles along the shorter side of the free rectangle
+const layoutRow = (row, rect, tiles) => {
+  const area = row.reduce((sum, r) => sum + r.area, 0);
+  if (rect.w >= rect.h) {
+    const width = area / rect.h;
+    let y = rect.y;
+    row.forEach(r => { tiles.push({ item: r.item, x: rect.x, y, w: width, h: r.area / width }); y += r.area / width; });
+    return { x: rect.x + width, y: rect.y, w: rect.w - width, h: rect.h };
+  }
+  const height = area / rect.w;
+  let x = rect.x;
+  row.forEach(r => { tiles.push({ item: r.item, x, y: rect.y, w: r.area / height, h: height }); x += r.area / height; });
+  return { x: rect.x, y: rect.y + height, w: rect.w, h: rect.h - height };
+};
+
+// Squarified treemap: `items` (largest first) as tiles of a `width` x `height` box
+const squarify = (items, width, height) => {
+  const total = items.reduce((sum, item) => sum + item.size, 0);
+  if (!total || !width || !height) return [];
+  const scale = (width * height) / total;
+  const worst = (row, side) => {
+    const area = row.reduce((sum, r) => sum + r.area, 0);
+    const max = Math.max(...row.map(r => r.area));
+    const min = Math.min(...row.map(r => r.area));
+    return Math.max((side * side * max) / (area * area), (area * area) / (side * side * min));
+  };
+  const tiles = [];
+  let rect = { x: 0, y: 0, w: width, h: height };
+  let row = [];
+  for (const item of items) {
+    const next = { item, area: item.size * scale };
+    const side = Math.min(rect.w, rect.h);
+    if (row.length && worst([...row, next], side) > worst(row, side)) {
+      rect = layoutRow(row, rect, tiles);
+      row = [];
+    }
+    row.push(next);
+  }
+  if (row.length) layoutRow(row, rect, tiles);
+  return tiles;
+};
+
+// Disk usage of a server drive folder as a treemap: drill into subfolders,
+// rescan, or open the folder in the file browser
+const UsageModal = ({ drive, initialPath = '/', jobs, onOpenFolder, onClose, lang = 'en' }) => {
+  const t = translations[lang];
+  const [path, setPath] = useState(initialPath);
+  const [folder, setFolder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [scanJobId, setScanJobId] = useState(null);
+  const [error, setError] = useState('');
+  const [box, setBox] = useState({ width: 0, height: 0 });
+  const boxRef = useRef(null);
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+  const scanJob = jobs.find(job => job.id === scanJobId);
+  const scanning = !!scanJob && isActive(scanJob);
+
+  const startScan = async (scanPath, refresh = false) => {
+    setError('');
+    try {
+      const job = await FileService.scanUsage(scanPath, drive, { refresh });
+      setScanJobId(job.id);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  // Cached usage of the folder; a folder nobody scanned yet is scanned now
+  const loadFolder = async (folderPath, { scanIfMissing = true } = {}) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await FileService.getUsage(folderPath, drive);
+      setFolder(data);
+      if (!data && scanIfMissing) await startScan(folderPath);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadFolder(path);
+  }, [path, drive]);
+
+  // The scan finished: show its result
+  useEffect(() => {
+    if (scanJob && !isActive(scanJob)) {
+      setScanJobId(null);
+      if (scanJob.status === 'failed') setError(scanJob.items[0]?.error || scanJob.error);
+      loadFolder(path, { scanIfMissing: false });
+    }
+  }, [scanJob?.status]);
+
+  useEffect(() => {
+    if (!boxRef.current) return;
+    const observer = new ResizeObserver(([entry]) => setBox({ width: entry.contentRect.width, height: entry.contentRect.height }));
+    observer.observe(boxRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const tiles = useMemo(() => {
+    if (!folder) return [];
+    const items = folder.children.filter(child => child.size > 0);
+    if (folder.other?.size) items.push({ name: t.usageOther.replace('{count}', folder.other.count), size: folder.other.size, isOther: true });
+    return squarify(items, box.width, box.height);
+  }, [folder, box, t]);
+
+  const crumbs = path === '/' ? [] : path.split('/').slice(1);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-3xl overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.usage} · {drive.name}</h2>
+          <div className="flex items-center gap-2 shrink-0">
+            <button onClick={() => startScan(path, true)} disabled={scanning} className="p-1.5 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 disabled:opacity-50" title={t.usageRescan}>
+              <ArrowPathIcon className={clsx("w-4 h-4", scanning && "animate-spin")} />
+            </button>
+            <button onClick={() => onOpenFolder(path)} className="p-1.5 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600" title={t.usageOpenFolder}>
+              <FolderOpenIcon className="w-4 h-4" />
+            </button>
+            <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+              <span>✕</span>
+            </button>
+          </div>
+        </div>
+
+        <div className="px-6 pt-3 flex items-center gap-1 text-xs text-slate-500 min-w-0">
+          <button onClick={() => setPath(parentOf(path))} disabled={path === '/'} className="p-1 rounded-lg hover:bg-slate-100 disabled:opacity-30 shrink-0">
+            <ChevronLeftIcon className="w-4 h-4" />
+          </button>
+          <button onClick={() => setPath('/')} className="hover:text-indigo-600 shrink-0">{drive.name}</button>
+          {crumbs.map((name, i) => (
+            <React.Fragment key={i}>
+              <span className="text-slate-300">/</span>
+              <button onClick={() => setPath(`/${crumbs.slice(0, i + 1).join('/')}`)} className="hover:text-indigo-600 truncate">{name}</button>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="px-6 pt-2 text-[11px] text-slate-400">
+          {scanning && t.usageScanning.replace('{count}', scanJob.progress?.done || 0)}
+          {!scanning && folder && (
+            <>
+              {t.usageSummary.replace('{size}', formatSize(folder.size)).replace('{files}', folder.files).replace('{folders}', folder.folders)}
+              {' · '}{t.usageScannedAt.replace('{date}', new Date(folder.scannedAt).toLocaleString())}
+              {folder.unreadable > 0 && <span className="text-amber-500">{' · '}{t.usageUnreadable.replace('{count}', folder.unreadable)}</span>}
+            </>
+          )}
+        </div>
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          <div ref={boxRef} className="relative h-80 rounded-xl bg-slate-50 overflow-hidden">
+            {!loading && !scanning && folder && tiles.length === 0 && (
+              <div className="absolute inset-0 flex items-center justify-center text-sm text-slate-400">{t.usageEmpty}</div>
+            )}
+            {tiles.map((tile, i) => (
+              <button
+                key={tile.item.path || 'other'}
+                onClick={() => tile.item.isDirectory && setPath(tile.item.path)}
+                className={clsx(
+                  "absolute border border-white text-left text-white overflow-hidden transition-opacity hover:opacity-80 p-1",
+                  tile.item.isOther ? "bg-slate-300" : tile.item.isDirectory ? FOLDER_COLORS[i % FOLDER_COLORS.length] : "bg-slate-400",
+                  !tile.item.isDirectory && "cursor-default"
+                )}
+                style={{ left: tile.x, top: tile.y, width: tile.w, height: tile.h }}
+                title={`${tile.item.name} · ${formatSize(tile.item.size)}`}
+              >
+                {tile.w > 60 && tile.h > 28 && (
+                  <>
+                    <div className="text-xs font-medium truncate">{tile.item.name}</div>
+                    <div className="text-[10px] opacity-80">{formatSize(tile.item.size)}</div>
+                  </>
+                )}
+              </button>
+            ))}
+          </div>
+
+          {folder && folder.children.length > 0 && (
+            <div className="mt-4 space-y-1">
+              {folder.children.map(child => (
+                <button
+                  key={child.path}
+                  onClick={() => child.isDirectory && setPath(child.path)}
+                  className={clsx("w-full flex items-center gap-3 px-2 py-1.5 rounded-lg text-left", child.isDirectory ? "hover:bg-slate-50" : "cursor-default")}
+                >
+                  <span className={clsx("flex-1 min-w-0 truncate text-sm", child.isDirectory ? "text-slate-700 font-medium" : "text-slate-500")}>{child.name}</span>
+                  <span className="w-32 h-1.5 rounded-full bg-slate-100 overflow-hidden shrink-0">
+                    <span className="block h-full bg-indigo-400" style={{ width: `${folder.size ? (child.size / folder.size) * 100 : 0}%` }} />
+                  </span>
+                  <span className="w-20 text-right text-[11px] text-slate-400 tabular-nums shrink-0">{formatSize(child.size)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsageModal;
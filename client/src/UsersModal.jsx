@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { TrashIcon, PlusIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import { translations } from './i18n';
+
+const inputClassName = "w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-50 outline-none transition-all text-sm";
+
+// Helper: Server error message from an axios failure
+const errorMessage = (err) => err.response?.data?.error || err.message;
+
+// One account: role, home folder, path grants and password reset
+const UserEditor = ({ user, isSelf, t, onSaved, onDeleted }) => {
+  const [role, setRole] = useState(user.role);
+  const [home, setHome] = useState(user.home || '');
+  const [grants, setGrants] = useState(user.grants || []);
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState({ type: 'idle', msg: '' });
+
+  const updateGrant = (index, changes) => setGrants(prev => prev.map((g, i) => (i === index ? { ...g, ...changes } : g)));
+
+  const handleSave = async () => {
+    setStatus({ type: 'saving', msg: t.saving });
+    try {
+      const updates = { role, home, grants: grants.filter(g => g.path.trim()) };
+      if (password) updates.password = password;
+      onSaved(await FileService.updateUser(user.id, updates));
+      setPassword('');
+      setStatus({ type: 'success', msg: t.saved });
+    } catch (err) {
+      setStatus({ type: 'error', msg: errorMessage(err) });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(t.confirmDeleteUser.replace('{name}', user.username))) return;
+    try {
+      await FileService.deleteUser(user.id);
+      onDeleted(user.id);
+    } catch (err) {
+      setStatus({ type: 'error', msg: errorMessage(err) });
+    }
+  };
+
+  return (
+    <div className="px-4 pb-4 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">{t.role}</label>
+          <select value={role} onChange={e => setRole(e.target.value)} disabled={isSelf} className={inputClassName}>
+            <option value="user">{t.roleUser}</option>
+            <option value="admin">{t.roleAdmin}</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">{t.homeFolder}</label>
+          <input type="text" value={home} onChange={e => setHome(e.target.value)} placeholder="/CloudDriveHomes/name" className={inputClassName} />
+        </div>
+      </div>
+
+      {role !== 'admin' && (
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">{t.pathGrants}</label>
+          <div className="space-y-2">
+            {grants.map((grant, index) => (
+              <div key={index} className="flex gap-2">
+                <input type="text" value={grant.path} onChange={e => updateGrant(index, { path: e.target.value })} placeholder="/Shared" className={inputClassName} />
+                <select value={grant.access} onChange={e => updateGrant(index, { access: e.target.value })} className={clsx(inputClassName, "w-32 shrink-0")}>
+                  <option value="read">{t.readOnly}</option>
+                  <option value="write">{t.readWrite}</option>
+                </select>
+                <button type="button" onClick={() => setGrants(prev => prev.filter((_, i) => i !== index))} className="p-2 rounded-lg hover:bg-red-50 text-slate-400 hover:text-red-500 shrink-0">
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button type="button" onClick={() => setGrants(prev => [...prev, { path: '', access: 'read' }])} className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-700">
+              <PlusIcon className="w-3.5 h-3.5" />{t.addGrant}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs font-medium text-slate-500 mb-1">{t.resetPassword}</label>
+        <input type="password" autoComplete="new-password" value={password} onChange={e => setPassword(e.target.value)} className={inputClassName} />
+      </div>
+
+      {status.type !== 'idle' && (
+        <div className={clsx("p-3 rounded-lg text-xs", status.type === 'error' ? "bg-red-50 text-red-600" : status.type === 'success' ? "bg-green-50 text-green-600" : "bg-slate-50 text-slate-500")}>
+          {status.msg}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {!isSelf && (
+          <button type="button" onClick={handleDelete} className="mr-auto px-4 py-2 rounded-lg text-sm font-medium border border-red-100 text-red-500 hover:bg-red-50 transition-colors">
+            {t.deleteUser}
+          </button>
+        )}
+        <button type="button" onClick={handleSave} disabled={status.type === 'saving'} className="px-4 py-2 rounded-lg text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 active:scale-95 transition-all shadow-md shadow-indigo-200 disabled:opacity-50">
+          {t.save}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Administrators: manage accounts, home folders and folder permissions
+const UsersModal = ({ onClose, currentUser, lang = 'en' }) => {
+  const t = translations[lang];
+  const [users, setUsers] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'user' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    FileService.listUsers().then(setUsers).catch(err => setError(errorMessage(err)));
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const created = await FileService.createUser(newUser);
+      setUsers(prev => [...prev, created]);
+      setNewUser({ username: '', password: '', role: 'user' });
+      setExpandedId(created.id);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-slate-800">{t.manageUsers}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        <form onSubmit={handleCreate} className="px-6 py-4 border-b border-slate-100 flex gap-2 items-end">
+          <input type="text" required placeholder={t.username} value={newUser.username} onChange={e => setNewUser(prev => ({ ...prev, username: e.target.value }))} className={inputClassName} />
+          <input type="password" required autoComplete="new-password" placeholder={t.password} value={newUser.password} onChange={e => setNewUser(prev => ({ ...prev, password: e.target.value }))} className={inputClassName} />
+          <select value={newUser.role} onChange={e => setNewUser(prev => ({ ...prev, role: e.target.value }))} className={clsx(inputClassName, "w-28 shrink-0")}>
+            <option value="user">{t.roleUser}</option>
+            <option value="admin">{t.roleAdmin}</option>
+          </select>
+          <button type="submit" className="p-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 shrink-0" title={t.addUser}>
+            <PlusIcon className="w-5 h-5" />
+          </button>
+        </form>
+
+        {error && <div className="mx-6 mt-4 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {users.map(user => (
+            <div key={user.id} className="border-b border-slate-50 last:border-0">
+              <button
+                onClick={() => setExpandedId(prev => (prev === user.id ? null : user.id))}
+                className="w-full flex items-center gap-3 px-6 py-3 text-left hover:bg-slate-50 transition-colors"
+              >
+                <span className="flex-1 text-sm font-medium text-slate-700 truncate">{user.username}</span>
+                <span className={clsx("text-[10px] px-2 py-0.5 rounded-full", user.role === 'admin' ? "bg-indigo-50 text-indigo-600" : "bg-slate-100 text-slate-500")}>
+                  {user.role === 'admin' ? t.roleAdmin : t.roleUser}
+                </span>
+                {expandedId === user.id ? <ChevronUpIcon className="w-4 h-4 text-slate-400" /> : <ChevronDownIcon className="w-4 h-4 text-slate-400" />}
+              </button>
+              {expandedId === user.id && (
+                <UserEditor
+                  user={user}
+                  isSelf={user.id === currentUser?.id}
+                  t={t}
+                  onSaved={(saved) => setUsers(prev => prev.map(u => (u.id === saved.id ? saved : u)))}
+                  onDeleted={(id) => setUsers(prev => prev.filter(u => u.id !== id))}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsersModal;
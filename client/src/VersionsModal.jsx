@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { ClockIcon, ArrowUturnLeftIcon, ArrowDownTrayIcon, EyeIcon } from '@heroicons/react/24/outline';
+import { FileService } from './services/FileSystemService';
+import PreviewModal from './PreviewModal';
+import { translations } from './i18n';
+
+const formatSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+// Earlier contents of one file on a server drive: preview, download or restore them
+const VersionsModal = ({ file, drive, onClose, onRestored, lang = 'en' }) => {
+  const t = translations[lang];
+  const [versions, setVersions] = useState([]);
+  const [keep, setKeep] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [previewVersion, setPreviewVersion] = useState(null);
+
+  const errorMessage = (err) => err.response?.data?.error || err.message;
+
+  const loadVersions = () => FileService.listVersions(file.path, drive)
+    .then(data => {
+      setVersions(data.versions);
+      setKeep(data.keep);
+    })
+    .catch(err => setError(errorMessage(err)))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadVersions();
+  }, [file.path, drive]);
+
+  // Esc closes the version preview first, then this dialog
+  useEffect(() => {
+    if (previewVersion) return;
+    const handleEsc = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleEsc);
+    return () => window.removeEventListener('keydown', handleEsc);
+  }, [previewVersion, onClose]);
+
+  const handleRestore = async (version) => {
+    if (!confirm(t.confirmRestoreVersion.replace('{date}', new Date(version.savedAt).toLocaleString()))) return;
+    setBusyId(version.id);
+    setError('');
+    try {
+      await FileService.restoreVersion(file.path, drive, version.id);
+      onRestored?.();
+      // The replaced content is now a version too
+      await loadVersions();
+    } catch (err) {
+      setError(`${t.restoreFailed}: ${errorMessage(err)}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-lg overflow-hidden flex flex-col max-h-[90vh]">
+        <div className="px-6 py-4 border-b border-slate-100 flex items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-slate-800 truncate">{t.versions} · {file.name}</h2>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100 text-slate-400 hover:text-slate-600 transition-colors">
+            <span>✕</span>
+          </button>
+        </div>
+
+        {keep !== null && (
+          <div className="px-6 pt-3 text-[11px] text-slate-400">
+            {keep > 0 ? t.versionsKept.replace('{count}', keep) : t.versionsDisabled}
+          </div>
+        )}
+
+        {error && <div className="mx-6 mt-3 p-3 rounded-lg text-xs bg-red-50 text-red-600">{error}</div>}
+
+        <div className="flex-1 overflow-y-auto py-2">
+          {loading && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.loading}</div>}
+          {!loading && versions.length === 0 && !error && <div className="px-6 py-8 text-center text-sm text-slate-400">{t.noVersions}</div>}
+          {versions.map(version => (
+            <div key={version.id} className={clsx("flex items-center gap-3 px-6 py-3 border-b border-slate-50 last:border-0", busyId === version.id && "opacity-50")}>
+              <ClockIcon className="w-5 h-5 text-slate-400 shrink-0" />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-slate-700 truncate">{new Date(version.savedAt).toLocaleString()}</div>
+                <div className="text-[11px] text-slate-400 truncate">
+                  {formatSize(version.size)} · {t.versionReasons[version.reason] || version.reason}{version.savedBy ? ` · ${version.savedBy}` : ''}
+                </div>
+              </div>
+              <button onClick={() => setPreviewVersion({ ...file, size: version.size, url: FileService.getVersionUrl(file.path, drive, version.id) })} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.preview}>
+                <EyeIcon className="w-4 h-4" />
+              </button>
+              <a href={FileService.getVersionUrl(file.path, drive, version.id, { download: true })} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.download}>
+                <ArrowDownTrayIcon className="w-4 h-4" />
+              </a>
+              <button onClick={() => handleRestore(version)} disabled={!!busyId} className="p-2 rounded-lg hover:bg-slate-100 text-slate-400 hover:text-indigo-600 shrink-0" title={t.restore}>
+                <ArrowUturnLeftIcon className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {previewVersion && <div className="fixed inset-0 z-[70]"><PreviewModal file={previewVersion} onClose={() => setPreviewVersion(null)} drive={drive.id} lang={lang} /></div>}
+    </div>
+  );
+};
+
+export default VersionsModal;
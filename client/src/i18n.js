@@ -5,29 +5,34 @@ export const translations = {
     drives: "Drives",
     storage: "Storage",
     settings: "Settings",
-    addDrive: "Add WebDAV Drive",
+    addDrive: "Add Drive",
     searchPlaceholder: "Search...",
     selected: "{count} Selected",
     cancel: "Cancel",
     cancelMove: "Cancel Move",
+    cancelCopy: "Cancel Copy",
     uploading: "Uploading...",
+    transferring: "Transferring...",
+    unfinishedUploads: "{count} unfinished uploads. Drop the same files again to resume",
     loading: "Loading...",
     noResults: "No results found",
     emptyFolder: "Empty Folder",
     delete: "Delete",
     rename: "Rename",
     move: "Move",
+    copy: "Copy",
     paste: "Paste Here",
     folder: "Folder",
     file: "File",
     close: "Close",
     noDrives: "No drives (Server offline?)",
     confirmRemoveDrive: "Remove this drive?",
-    confirmDeleteItems: "Delete {count} items?",
+    confirmDeleteItems: "Move {count} items to the trash?",
     confirmOverwrite: "Overwrite {count} existing files?",
     uploadFailed: "Upload failed",
     deleteFailed: "Delete failed",
     moveFailed: "Move failed",
+    copyFailed: "Copy failed",
     renameFailed: "Rename failed",
     createFolderFailed: "Create folder failed",
     folderExists: "Folder already exists!",
@@ -35,7 +40,7 @@ export const translations = {
     renamePrompt: "Rename to:",
     folderNamePrompt: "Folder Name:",
     // Modal
-    modalTitle: "Add WebDAV Drive",
+    modalTitle: "Add Drive",
     displayName: "Display Name",
     webdavUrl: "WebDAV URL",
     username: "Username",
@@ -53,6 +58,21 @@ export const translations = {
     nameTaken: "Display Name is already taken",
     failedToAdd: "Failed to add drive",
     tipRoot: "Tip: Some drives (e.g., Jianguoyun) may restrict file creation in the root directory. Using sub-folders is recommended.",
+    endpoint: "Endpoint",
+    bucket: "Bucket",
+    region: "Region",
+    accessKey: "Access Key",
+    secretKey: "Secret Key",
+    tipS3Endpoint: "Leave empty for AWS S3. For MinIO and other S3-compatible services, enter the server URL.",
+    requiredFields: "Please fill in all required fields",
+    host: "Host",
+    port: "Port",
+    privateKey: "Private Key",
+    passphrase: "Key Passphrase",
+    remoteRoot: "Remote Folder",
+    tipRemoteRoot: "Optional. The folder shown as the drive root (defaults to /).",
+    explicitTls: "Use explicit TLS (FTPS)",
+    allowSelfSigned: "Accept self-signed certificates",
     // Preview
     noPreview: "No Preview Available",
     download: "Download File",
@@ -62,7 +82,244 @@ export const translations = {
     // Sort
     name: "Name",
     date: "Date",
-    type: "Type"
+    type: "Type",
+    // Sign-in
+    signIn: "Sign In",
+    signingIn: "Signing in...",
+    signOut: "Sign Out",
+    createAdmin: "Create Administrator",
+    tipCreateAdmin: "First run: this account can sign in here and to the /webdav mount.",
+    confirmPassword: "Confirm Password",
+    passwordMismatch: "Passwords do not match",
+    // Users
+    manageUsers: "Users & Permissions",
+    addUser: "Add User",
+    deleteUser: "Delete User",
+    confirmDeleteUser: "Delete user \"{name}\" and their drives? Files in their home folder are kept.",
+    role: "Role",
+    roleUser: "User",
+    roleAdmin: "Administrator",
+    homeFolder: "Home Folder",
+    pathGrants: "Folder Permissions",
+    addGrant: "Grant access to a folder",
+    readOnly: "Read-only",
+    readWrite: "Read-write",
+    resetPassword: "New Password (leave empty to keep)",
+    save: "Save",
+    saving: "Saving...",
+    saved: "Saved",
+    // Share links
+    share: "Share",
+    shareLinks: "Share links",
+    createLink: "Create link",
+    expiresIn: "Expires",
+    expiresNever: "Never",
+    expiresHour: "In 1 hour",
+    expiresDay: "In 1 day",
+    expiresWeek: "In 7 days",
+    expiresMonth: "In 30 days",
+    sharePassword: "Password (optional)",
+    maxDownloads: "Download limit (optional)",
+    copyLink: "Copy link",
+    copied: "Copied",
+    revoke: "Revoke",
+    confirmRevokeShare: "Revoke this link? Anyone using it will lose access.",
+    noShares: "No share links yet",
+    expiresAt: "Expires {date}",
+    expired: "Expired",
+    downloadsCount: "{count} downloads",
+    passwordProtected: "Password protected",
+    unlock: "Open",
+    shareUnavailable: "This link is not available",
+    sharedFolder: "Shared folder",
+    // Trash
+    trash: "Trash",
+    emptyTrash: "Empty trash",
+    restore: "Restore",
+    deleteForever: "Delete forever",
+    confirmEmptyTrash: "Permanently delete everything in the trash?",
+    confirmDeleteForever: "Permanently delete \"{name}\"? This cannot be undone.",
+    trashIsEmpty: "The trash is empty",
+    deletedOn: "Deleted {date}",
+    trashRetention: "Items are deleted permanently {days} days after they were moved here.",
+    trashRetentionForever: "Items stay here until you delete them.",
+    restoreFailed: "Restore failed",
+    // Jobs
+    jobs: "Operations",
+    jobsRunning: "{count} running",
+    clearFinished: "Clear finished",
+    jobItems: "{done}/{total} items",
+    jobFailedItems: "{count} failed",
+    jobTypes: {
+      trash: "Move to trash",
+      delete: "Delete",
+      move: "Move",
+      copy: "Copy",
+      'transfer-move': "Move to drive",
+      'transfer-copy': "Copy to drive",
+      rename: "Rename",
+      upload: "Upload",
+      extract: "Extract",
+      compress: "Compress",
+      duplicates: "Find duplicates",
+      usage: "Disk usage",
+      sync: "Sync",
+      'sync-preview': "Sync preview"
+    },
+    jobStatus: {
+      queued: "Queued",
+      running: "Running",
+      completed: "Done",
+      failed: "Failed",
+      cancelled: "Cancelled"
+    },
+    // Drive search
+    searchDrive: "Search drive",
+    searchDriveHint: "Press Enter to search the whole drive",
+    searchScopeDrive: "Whole drive",
+    searchScopeFolder: "This folder",
+    searchNameHint: "Name contains, or a pattern like *.pdf",
+    anyType: "Any type",
+    searchTypes: {
+      folder: "Folders",
+      file: "Files",
+      image: "Images",
+      video: "Videos",
+      audio: "Audio",
+      document: "Documents",
+      archive: "Archives"
+    },
+    minSizeMB: "Min size (MB)",
+    maxSizeMB: "Max size (MB)",
+    modifiedAfter: "Modified after",
+    modifiedBefore: "Modified before",
+    searching: "Searching…",
+    searchResultCount: "{count} results",
+    searchTruncated: "Showing the first {count} results, refine the search to see more",
+    noSearchResults: "No matches",
+    searchByName: "Names",
+    searchByContent: "Contents",
+    contentSearchHint: "Words inside text files and PDFs",
+    contentIndexStatus: "{count} files indexed",
+    contentIndexUpdated: "updated {date}",
+    contentIndexing: "Indexing…",
+    reindex: "Re-index",
+    // Archives
+    compress: "Compress",
+    archiveNamePrompt: "Archive name:",
+    compressFailed: "Compress failed",
+    extractTo: "Extract to",
+    extractAll: "Extract all",
+    extractFolder: "Extract this folder",
+    extractSelected: "Extract {count} selected",
+    extractFailed: "Extract failed",
+    // Versions
+    versions: "Versions",
+    noVersions: "No earlier versions of this file",
+    versionsKept: "The last {count} versions are kept when the file is replaced.",
+    versionsDisabled: "Version history is turned off on this server.",
+    preview: "Preview",
+    confirmRestoreVersion: "Restore the version from {date}? The current content is kept as a version.",
+    versionReasons: {
+      upload: "Replaced by upload",
+      move: "Replaced by move",
+      copy: "Replaced by copy",
+      rename: "Replaced by rename",
+      extract: "Replaced by extracting an archive",
+      webdav: "Replaced over WebDAV",
+      restore: "Before restore",
+      sync: "Replaced by sync"
+    },
+    // Audit log
+    auditLog: "Audit log",
+    auditFrom: "From",
+    auditTo: "To",
+    auditPath: "Path",
+    auditAllActions: "All actions",
+    auditSearch: "Search",
+    auditEmpty: "No matching entries",
+    auditTruncated: "Only the newest entries are shown; narrow the filters to see older ones",
+    auditOk: "OK",
+    auditFailed: "Failed",
+    auditActions: {
+      upload: "uploaded",
+      mkdir: "created folder",
+      rename: "renamed",
+      move: "moved",
+      copy: "copied",
+      trash: "moved to trash",
+      delete: "deleted",
+      extract: "extracted",
+      compress: "compressed",
+      'trash-restore': "restored from trash",
+      'trash-delete': "deleted from trash",
+      'version-restore': "restored a version",
+      sync: "synced",
+      'drive-add': "added drive",
+      'drive-rename': "renamed drive",
+      'drive-remove': "removed drive"
+    },
+    // Duplicates
+    duplicates: "Duplicates",
+    duplicatesScan: "Scan",
+    duplicatesAnySize: "Any size",
+    duplicatesMinSize: "At least {size}",
+    duplicatesScanning: "Listing files… {count} found",
+    duplicatesComparing: "Comparing contents… {done}/{total}",
+    duplicatesSummary: "{groups} groups, {size} can be freed",
+    duplicatesScanned: "{count} files scanned {date}",
+    duplicatesKeepOldest: "Keep only the oldest copies",
+    duplicatesNotScanned: "Pick the drives to compare and start a scan.",
+    duplicatesNone: "No duplicates found",
+    duplicatesCopies: "{count} copies · {size} each",
+    duplicatesDelete: "Move {count} to trash ({size})",
+    confirmDeleteDuplicates: "Move {count} selected copies ({size}) to the trash?",
+    // Disk usage
+    usage: "Disk usage",
+    usageScanning: "Scanning… {count} folders",
+    usageRescan: "Rescan",
+    usageOpenFolder: "Open in file browser",
+    usageSummary: "{size} in {files} files and {folders} folders",
+    usageScannedAt: "scanned {date}",
+    usageUnreadable: "{count} folders could not be read",
+    usageOther: "{count} more",
+    usageEmpty: "This folder is empty",
+    // Sync
+    sync: "Sync",
+    syncNewPair: "New pair",
+    syncName: "Name (optional)",
+    syncSource: "Source",
+    syncTarget: "Target",
+    syncModes: {
+      'two-way': "Two-way",
+      mirror: "Mirror"
+    },
+    syncTwoWayHint: "Changes and deletions on either side are carried to the other. Files changed on both sides are kept twice.",
+    syncMirrorHint: "The target becomes a copy of the source: changes and extra files on the target are undone (replaced files keep a version, removed ones go to the trash).",
+    syncManual: "Manual",
+    syncEvery: "Every {minutes} min",
+    syncCreate: "Create",
+    syncNoPairs: "No sync pairs yet",
+    syncPreview: "Preview changes",
+    syncNow: "Sync now",
+    syncApply: "Apply {count} changes",
+    syncNever: "Never synced",
+    syncLastSync: "Last sync {date}",
+    syncPreviewSummary: "{count} changes pending",
+    syncRunSummary: "{applied}/{planned} changes applied, {failed} failed",
+    syncListing: "Listing… {count} folders",
+    syncApplying: "Syncing… {done}/{total}",
+    syncPending: "Pending",
+    syncFailed: "Failed",
+    syncConflicts: "Conflicts (both copies kept)",
+    syncUpToDate: "Everything is in sync",
+    syncActions: {
+      copy: "Copy",
+      mkdir: "Create folder"
+    },
+    syncDeleteOn: "Delete on {drive}",
+    syncConflictKept: "Other copy kept as {path}",
+    confirmDeleteSyncPair: "Remove the sync pair \"{name}\"? Files stay where they are."
   },
   zh: {
     appTitle: "云盘管理",
@@ -70,29 +327,34 @@ export const translations = {
     drives: "网盘列表",
     storage: "存储空间",
     settings: "设置",
-    addDrive: "添加 WebDAV 网盘",
+    addDrive: "添加网盘",
     searchPlaceholder: "搜索...",
     selected: "已选 {count} 项",
     cancel: "取消",
     cancelMove: "取消移动",
+    cancelCopy: "取消复制",
     uploading: "上传中...",
+    transferring: "传输中...",
+    unfinishedUploads: "{count} 个上传未完成，重新拖入相同文件即可续传",
     loading: "加载中...",
     noResults: "未找到结果",
     emptyFolder: "空文件夹",
     delete: "删除",
     rename: "重命名",
     move: "移动",
+    copy: "复制",
     paste: "粘贴到此处",
     folder: "文件夹",
     file: "文件",
     close: "关闭",
     noDrives: "无网盘 (服务离线?)",
     confirmRemoveDrive: "确定移除此网盘吗？",
-    confirmDeleteItems: "确定删除 {count} 项吗？",
+    confirmDeleteItems: "确定将 {count} 项移到回收站吗？",
     confirmOverwrite: "覆盖 {count} 个已存在的文件？",
     uploadFailed: "上传失败",
     deleteFailed: "删除失败",
     moveFailed: "移动失败",
+    copyFailed: "复制失败",
     renameFailed: "重命名失败",
     createFolderFailed: "创建文件夹失败",
     folderExists: "文件夹已存在！",
@@ -100,7 +362,7 @@ export const translations = {
     renamePrompt: "重命名为：",
     folderNamePrompt: "文件夹名称：",
     // Modal
-    modalTitle: "添加 WebDAV 网盘",
+    modalTitle: "添加网盘",
     displayName: "显示名称",
     webdavUrl: "WebDAV 地址",
     username: "用户名",
@@ -118,6 +380,21 @@ export const translations = {
     nameTaken: "该显示名称已存在",
     failedToAdd: "添加失败",
     tipRoot: "提示：部分网盘（如坚果云）可能限制根目录写入，建议使用子目录。",
+    endpoint: "服务地址",
+    bucket: "存储桶",
+    region: "区域",
+    accessKey: "Access Key",
+    secretKey: "Secret Key",
+    tipS3Endpoint: "使用 AWS S3 时留空；MinIO 等 S3 兼容服务请填写服务器地址。",
+    requiredFields: "请填写所有必填项",
+    host: "主机",
+    port: "端口",
+    privateKey: "私钥",
+    passphrase: "私钥密码",
+    remoteRoot: "远程目录",
+    tipRemoteRoot: "可选，作为网盘根目录显示的文件夹（默认为 /）。",
+    explicitTls: "使用显式 TLS (FTPS)",
+    allowSelfSigned: "接受自签名证书",
     // Preview
     noPreview: "无法预览",
     download: "下载文件",
@@ -127,6 +404,243 @@ export const translations = {
     // Sort
     name: "名称",
     date: "日期",
-    type: "类型"
+    type: "类型",
+    // Sign-in
+    signIn: "登录",
+    signingIn: "登录中...",
+    signOut: "退出登录",
+    createAdmin: "创建管理员",
+    tipCreateAdmin: "首次运行：此账号可登录本页面及 /webdav 挂载。",
+    confirmPassword: "确认密码",
+    passwordMismatch: "两次输入的密码不一致",
+    // Users
+    manageUsers: "用户与权限",
+    addUser: "添加用户",
+    deleteUser: "删除用户",
+    confirmDeleteUser: "删除用户“{name}”及其网盘？其主目录中的文件会保留。",
+    role: "角色",
+    roleUser: "普通用户",
+    roleAdmin: "管理员",
+    homeFolder: "主目录",
+    pathGrants: "文件夹权限",
+    addGrant: "授权访问文件夹",
+    readOnly: "只读",
+    readWrite: "读写",
+    resetPassword: "新密码（留空则不修改）",
+    save: "保存",
+    saving: "保存中...",
+    saved: "已保存",
+    // Share links
+    share: "分享",
+    shareLinks: "分享链接",
+    createLink: "创建链接",
+    expiresIn: "有效期",
+    expiresNever: "永久有效",
+    expiresHour: "1 小时",
+    expiresDay: "1 天",
+    expiresWeek: "7 天",
+    expiresMonth: "30 天",
+    sharePassword: "访问密码（可选）",
+    maxDownloads: "下载次数上限（可选）",
+    copyLink: "复制链接",
+    copied: "已复制",
+    revoke: "取消分享",
+    confirmRevokeShare: "取消此分享？使用该链接的人将无法再访问。",
+    noShares: "暂无分享链接",
+    expiresAt: "{date} 过期",
+    expired: "已过期",
+    downloadsCount: "已下载 {count} 次",
+    passwordProtected: "已设置密码",
+    unlock: "打开",
+    shareUnavailable: "此链接不可用",
+    sharedFolder: "共享文件夹",
+    // Trash
+    trash: "回收站",
+    emptyTrash: "清空回收站",
+    restore: "还原",
+    deleteForever: "彻底删除",
+    confirmEmptyTrash: "彻底删除回收站中的所有内容？",
+    confirmDeleteForever: "彻底删除“{name}”？此操作无法撤销。",
+    trashIsEmpty: "回收站为空",
+    deletedOn: "删除于 {date}",
+    trashRetention: "移入回收站 {days} 天后的项目将被自动彻底删除。",
+    trashRetentionForever: "项目会一直保留，直到你手动删除。",
+    restoreFailed: "还原失败",
+    // Jobs
+    jobs: "任务",
+    jobsRunning: "{count} 个任务进行中",
+    clearFinished: "清除已完成",
+    jobItems: "{done}/{total} 项",
+    jobFailedItems: "{count} 项失败",
+    jobTypes: {
+      trash: "移到回收站",
+      delete: "删除",
+      move: "移动",
+      copy: "复制",
+      'transfer-move': "移动到其他网盘",
+      'transfer-copy': "复制到其他网盘",
+      rename: "重命名",
+      upload: "上传",
+      extract: "解压",
+      compress: "压缩",
+      duplicates: "查找重复文件",
+      usage: "磁盘占用分析",
+      sync: "同步",
+      'sync-preview': "同步预览"
+    },
+    jobStatus: {
+      queued: "排队中",
+      running: "进行中",
+      completed: "已完成",
+      failed: "失败",
+      cancelled: "已取消"
+    },
+    // Drive search
+    searchDrive: "搜索网盘",
+    searchDriveHint: "按回车搜索整个网盘",
+    searchScopeDrive: "整个网盘",
+    searchScopeFolder: "当前文件夹",
+    searchNameHint: "名称包含，或通配符如 *.pdf",
+    anyType: "全部类型",
+    searchTypes: {
+      folder: "文件夹",
+      file: "文件",
+      image: "图片",
+      video: "视频",
+      audio: "音频",
+      document: "文档",
+      archive: "压缩包"
+    },
+    minSizeMB: "最小 (MB)",
+    maxSizeMB: "最大 (MB)",
+    modifiedAfter: "修改于此后",
+    modifiedBefore: "修改于此前",
+    searching: "搜索中…",
+    searchResultCount: "{count} 个结果",
+    searchTruncated: "仅显示前 {count} 个结果，请缩小搜索范围",
+    noSearchResults: "没有匹配的文件",
+    searchByName: "文件名",
+    searchByContent: "文件内容",
+    contentSearchHint: "文本文件和 PDF 中的文字",
+    contentIndexStatus: "已索引 {count} 个文件",
+    contentIndexUpdated: "更新于 {date}",
+    contentIndexing: "正在建立索引…",
+    reindex: "重新索引",
+    // Archives
+    compress: "压缩",
+    archiveNamePrompt: "压缩包名称：",
+    compressFailed: "压缩失败",
+    extractTo: "解压到",
+    extractAll: "全部解压",
+    extractFolder: "解压此文件夹",
+    extractSelected: "解压选中的 {count} 项",
+    extractFailed: "解压失败",
+    // Versions
+    versions: "历史版本",
+    noVersions: "此文件没有历史版本",
+    versionsKept: "文件被覆盖时保留最近 {count} 个版本。",
+    versionsDisabled: "服务器未开启版本历史。",
+    preview: "预览",
+    confirmRestoreVersion: "恢复 {date} 的版本？当前内容会保存为一个版本。",
+    versionReasons: {
+      upload: "被上传覆盖",
+      move: "被移动覆盖",
+      copy: "被复制覆盖",
+      rename: "被重命名覆盖",
+      extract: "被解压覆盖",
+      webdav: "通过 WebDAV 覆盖",
+      restore: "恢复前的内容",
+      sync: "被同步覆盖"
+    },
+    // Audit log
+    auditLog: "操作日志",
+    auditFrom: "开始日期",
+    auditTo: "结束日期",
+    auditPath: "路径",
+    auditAllActions: "全部操作",
+    auditSearch: "查询",
+    auditEmpty: "没有符合条件的记录",
+    auditTruncated: "仅显示最新的记录，缩小筛选范围可查看更早的记录",
+    auditOk: "成功",
+    auditFailed: "失败",
+    auditActions: {
+      upload: "上传",
+      mkdir: "新建文件夹",
+      rename: "重命名",
+      move: "移动",
+      copy: "复制",
+      trash: "移入回收站",
+      delete: "删除",
+      extract: "解压",
+      compress: "压缩",
+      'trash-restore': "从回收站还原",
+      'trash-delete': "从回收站彻底删除",
+      'version-restore': "恢复历史版本",
+      sync: "同步",
+      'drive-add': "添加网盘",
+      'drive-rename': "重命名网盘",
+      'drive-remove': "移除网盘"
+    },
+    // Duplicates
+    duplicates: "重复文件",
+    duplicatesScan: "扫描",
+    duplicatesAnySize: "不限大小",
+    duplicatesMinSize: "至少 {size}",
+    duplicatesScanning: "正在列出文件… 已找到 {count} 个",
+    duplicatesComparing: "正在比较内容… {done}/{total}",
+    duplicatesSummary: "{groups} 组重复，可释放 {size}",
+    duplicatesScanned: "{date} 扫描了 {count} 个文件",
+    duplicatesKeepOldest: "只保留最早的副本",
+    duplicatesNotScanned: "选择要比较的网盘，然后开始扫描。",
+    duplicatesNone: "没有发现重复文件",
+    duplicatesCopies: "{count} 个副本 · 每个 {size}",
+    duplicatesDelete: "将 {count} 个移入回收站（{size}）",
+    confirmDeleteDuplicates: "将选中的 {count} 个副本（{size}）移入回收站？",
+    // Disk usage
+    usage: "磁盘占用",
+    usageScanning: "正在扫描… 已扫描 {count} 个文件夹",
+    usageRescan: "重新扫描",
+    usageOpenFolder: "在文件浏览器中打开",
+    usageSummary: "{files} 个文件、{folders} 个文件夹，共 {size}",
+    usageScannedAt: "扫描于 {date}",
+    usageUnreadable: "{count} 个文件夹无法读取",
+    usageOther: "其余 {count} 项",
+    usageEmpty: "此文件夹为空",
+    // Sync
+    sync: "同步",
+    syncNewPair: "新建同步",
+    syncName: "名称（可选）",
+    syncSource: "源",
+    syncTarget: "目标",
+    syncModes: {
+      'two-way': "双向",
+      mirror: "镜像"
+    },
+    syncTwoWayHint: "任意一侧的修改与删除都会同步到另一侧。两侧都修改过的文件会保留两份。",
+    syncMirrorHint: "目标成为源的副本：目标上的修改与多余文件会被撤销（被覆盖的文件保留历史版本，被删除的移入回收站）。",
+    syncManual: "手动",
+    syncEvery: "每 {minutes} 分钟",
+    syncCreate: "创建",
+    syncNoPairs: "尚未设置同步",
+    syncPreview: "预览变更",
+    syncNow: "立即同步",
+    syncApply: "执行 {count} 项变更",
+    syncNever: "从未同步",
+    syncLastSync: "上次同步于 {date}",
+    syncPreviewSummary: "{count} 项变更待同步",
+    syncRunSummary: "已执行 {applied}/{planned} 项变更，{failed} 项失败",
+    syncListing: "正在列出… 已扫描 {count} 个文件夹",
+    syncApplying: "正在同步… {done}/{total}",
+    syncPending: "待同步",
+    syncFailed: "失败",
+    syncConflicts: "冲突（两份均已保留）",
+    syncUpToDate: "已全部同步",
+    syncActions: {
+      copy: "复制",
+      mkdir: "创建文件夹"
+    },
+    syncDeleteOn: "在 {drive} 上删除",
+    syncConflictKept: "另一份保存为 {path}",
+    confirmDeleteSyncPair: "移除同步“{name}”？文件不会被删除。"
   }
 };
@@ -1,10 +1,14 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SharePage from './SharePage.jsx'
 import './index.css'
 
+// Public share links (/s/<id>) open without signing in
+const shareMatch = window.location.pathname.match(/^\/s\/([\w-]+)/)
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {shareMatch ? <SharePage shareId={shareMatch[1]} /> : <App />}
   </React.StrictMode>,
 )
@@ -2,8 +2,65 @@ import { createClient } from 'webdav';
 import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
 import { Preferences } from '@capacitor/preferences';
 import { Capacitor } from '@capacitor/core';
+import axios from 'axios';
+import { DRIVE_SECRET_FIELDS, isEncrypted, decryptSecret, sealDrive, redactDrive } from './SecretStore';
 
 const STORAGE_KEY_DRIVES = 'cloud_mgr_drives';
+const STORAGE_KEY_UPLOADS = 'cloud_mgr_pending_uploads';
+
+// Resumable uploads: chunk size, and how long the server keeps an idle upload
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const PENDING_UPLOAD_TTL = 60 * 60 * 1000;
+
+// How often WebDAV folders the app reads directly are checked for changes
+const WATCH_POLL_INTERVAL = 15 * 1000;
+
+// Drive types the browser/app cannot reach directly; they live in server/drives.json
+export const SERVER_DRIVE_TYPES = ['s3', 'sftp', 'ftp'];
+
+// REST client for the Node server (server-managed drives). The session cookie
+// set by /api/auth/login rides along with every same-origin request.
+const api = axios.create({ baseURL: '/api' });
+
+// A 401 outside /auth (and public share links) means the session expired: let the app show the login screen
+let unauthorizedHandler = null;
+api.interceptors.response.use(null, (error) => {
+    const url = error.config.url;
+    if (error.response?.status === 401 && !url.startsWith('/auth/') && !url.startsWith('/public/') && unauthorizedHandler) {
+        unauthorizedHandler();
+    }
+    return Promise.reject(error);
+});
+
+// Server drives, plus "Local" in the browser (which is the server's storage directory)
+export const isServerDrive = (drive) => !!drive && (!!drive.server || (drive.type === 'local' && !Capacitor.isNativePlatform()));
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/') || '/';
+const joinPath = (dir, name) => (dir === '/' ? `/${name}` : `${dir.replace(/\/+$/, '')}/${name}`);
+
+// Unfinished uploads are remembered in the browser so a reload can resume them
+const readPendingUploads = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_UPLOADS)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+const writePendingUploads = (pending) => localStorage.setItem(STORAGE_KEY_UPLOADS, JSON.stringify(pending));
+const updatePendingUpload = (key, entry) => {
+    const pending = readPendingUploads();
+    if (entry) pending[key] = entry;
+    else delete pending[key];
+    writePendingUploads(pending);
+};
+// Same drive, target path, size and modification time = same file
+const uploadFingerprint = (path, fileObj, drive) => [drive.id, path, fileObj.size, fileObj.lastModified].join('|');
+
+// Helper: Capacitor reads binary files as Base64 strings
+const base64ToBlob = (data) => {
+    const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0));
+    return new Blob([bytes]);
+};
 
 // Helper: Normalize file info to match existing UI
 const normalizeWebDAVFile = (item) => ({
@@ -12,6 +69,7 @@ const normalizeWebDAVFile = (item) => ({
     isDirectory: item.type === 'directory',
     size: item.size || 0,
     mtime: item.lastmod,
+    etag: item.etag || undefined,
     type: item.type === 'directory' ? 'folder' : (item.mime || 'application/octet-stream')
 });
 
@@ -40,50 +98,501 @@ export const createWebDAVClient = (drive) => {
     });
 };
 
+// --- Saved (client-side) Drives ---
+// Preferences hold drives with encrypted credentials; the rest of the app only
+// ever sees them redacted. Decrypted passwords stay in memory, per drive id.
+const decryptedSecrets = new Map();
+
+const saveDrives = (drives) => Preferences.set({ key: STORAGE_KEY_DRIVES, value: JSON.stringify(drives) });
+
+const loadSavedDrives = async () => {
+    const { value } = await Preferences.get({ key: STORAGE_KEY_DRIVES });
+    const drives = value ? JSON.parse(value) : [];
+    // Migration: earlier versions saved passwords in plaintext
+    if (drives.some(d => DRIVE_SECRET_FIELDS.some(field => d[field] && !isEncrypted(d[field])))) {
+        try {
+            const sealed = await Promise.all(drives.map(sealDrive));
+            await saveDrives(sealed);
+            return sealed;
+        } catch (e) {
+            console.warn('Could not encrypt saved drive credentials', e.message);
+        }
+    }
+    return drives;
+};
+
+// Helper: WebDAV client for a drive, decrypting its saved credentials when needed
+const webdavClientFor = async (drive) => {
+    if (drive.password !== undefined) return createWebDAVClient(drive);
+    if (!decryptedSecrets.has(drive.id)) {
+        const saved = (await loadSavedDrives()).find(d => d.id === drive.id) || {};
+        const secrets = {};
+        for (const field of DRIVE_SECRET_FIELDS) {
+            if (saved[field]) secrets[field] = await decryptSecret(saved[field]);
+        }
+        decryptedSecrets.set(drive.id, secrets);
+    }
+    return createWebDAVClient({ ...drive, ...decryptedSecrets.get(drive.id) });
+};
+
+// --- Trash on Client-Side Drives ---
+// Drives this client reaches directly (WebDAV saved on device, app sandbox) use
+// the same bin layout as the server (server/trash.js): /.clouddrive-trash/<id>/<name>
+// plus index.json. Without a server the default retention period applies.
+const TRASH_DIR = '/.clouddrive-trash';
+const TRASH_INDEX = `${TRASH_DIR}/index.json`;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const isTrashPath = (path) => path === TRASH_DIR || path.startsWith(`${TRASH_DIR}/`);
+
+// Helper: The few file operations the bin needs, on a client-side drive
+const clientStorage = async (drive) => {
+    if (drive.type === 'local') {
+        const at = (path) => ({ path, directory: Directory.Documents });
+        return {
+            exists: (path) => Filesystem.stat(at(path)).then(() => true, () => false),
+            readText: async (path) => (await Filesystem.readFile({ ...at(path), encoding: Encoding.UTF8 })).data,
+            writeText: (path, text) => Filesystem.writeFile({ ...at(path), data: text, encoding: Encoding.UTF8, recursive: true }),
+            mkdir: (path) => Filesystem.mkdir({ ...at(path), recursive: true }),
+            move: (from, to) => Filesystem.rename({ from, to, directory: Directory.Documents }),
+            async remove(path) {
+                const { type } = await Filesystem.stat(at(path));
+                if (type === 'directory') await Filesystem.rmdir({ ...at(path), recursive: true });
+                else await Filesystem.deleteFile(at(path));
+            }
+        };
+    }
+    const client = await webdavClientFor(drive);
+    return {
+        exists: (path) => client.exists(path),
+        readText: (path) => client.getFileContents(path, { format: 'text' }),
+        writeText: (path, text) => client.putFileContents(path, text, { overwrite: true }),
+        mkdir: (path) => client.createDirectory(path, { recursive: true }),
+        move: (from, to) => client.moveFile(from, to),
+        remove: (path) => client.deleteFile(path)
+    };
+};
+
+const readClientTrash = async (storage) => ((await storage.exists(TRASH_INDEX)) ? JSON.parse(await storage.readText(TRASH_INDEX)) : []);
+const writeClientTrash = (storage, items) => storage.writeText(TRASH_INDEX, JSON.stringify(items, null, 2));
+const trashSlot = (item) => `${TRASH_DIR}/${item.id}`;
+
+// Helper: Drop expired items (and their files) from a bin index
+const purgeClientTrash = async (storage, items) => {
+    const maxAge = DEFAULT_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expired = items.filter(item => Date.now() - Date.parse(item.deletedAt) > maxAge);
+    for (const item of expired) await storage.remove(trashSlot(item)).catch(() => {});
+    return items.filter(item => !expired.includes(item));
+};
+
+// Helper: "report.pdf" -> "report (restored).pdf", "report (restored 2).pdf", ... (first free name)
+const availableRestorePath = async (storage, target) => {
+    if (!(await storage.exists(target))) return target;
+    const name = target.split('/').pop();
+    const dot = name.lastIndexOf('.');
+    const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    for (let n = 1; ; n++) {
+        const candidate = joinPath(parentOf(target), `${base} (restored${n > 1 ? ` ${n}` : ''})${ext}`);
+        if (!(await storage.exists(candidate))) return candidate;
+    }
+};
+
+// Drive search for drives the app reads directly (the server does the same for its drives, server/search.js)
+const SEARCH_TYPE_FILTERS = {
+    folder: f => f.isDirectory,
+    file: f => !f.isDirectory,
+    image: f => f.type.startsWith('image/'),
+    video: f => f.type.startsWith('video/'),
+    audio: f => f.type.startsWith('audio/'),
+    document: f => !f.isDirectory && /^text\/|pdf$|msword|officedocument|opendocument|rtf$|json$|xml$/.test(f.type),
+    archive: f => !f.isDirectory && /zip$|x-tar$|gzip$|x-7z|x-rar|x-bzip|x-xz$/.test(f.type)
+};
+
+const searchMatcher = ({ q = '', type, minSize, maxSize, modifiedAfter, modifiedBefore }) => {
+    const query = q.trim().toLowerCase();
+    const glob = /[*?]/.test(query)
+        ? new RegExp(`^${query.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i')
+        : null;
+    const after = modifiedAfter ? Date.parse(modifiedAfter) : null;
+    const before = modifiedBefore ? Date.parse(modifiedBefore) : null;
+    return (f) => {
+        if (glob ? !glob.test(f.name) : !f.name.toLowerCase().includes(query)) return false;
+        if (type && !SEARCH_TYPE_FILTERS[type](f)) return false;
+        if ((minSize != null || maxSize != null) && f.isDirectory) return false;
+        if (minSize != null && f.size < minSize) return false;
+        if (maxSize != null && f.size > maxSize) return false;
+        const mtime = new Date(f.mtime).getTime();
+        if (after !== null && !(mtime >= after)) return false;
+        if (before !== null && !(mtime <= before)) return false;
+        return true;
+    };
+};
+
+// One EventSource for all job listeners (EventSource reconnects by itself)
+const jobListeners = new Set();
+let jobEvents = null;
+
 export const FileService = {
+    // --- Server Session ---
+
+    // { user, setupRequired }; offline when the server cannot be reached (e.g. in the native app)
+    async getSession() {
+        try {
+            const { data } = await api.get('/auth/session');
+            return { ...data, offline: false };
+        } catch (e) {
+            return { user: null, setupRequired: false, offline: true };
+        }
+    },
+
+    // First run: create the administrator account and sign in
+    async setupAdmin(username, password) {
+        const { data } = await api.post('/auth/setup', { username, password });
+        return data.user;
+    },
+
+    async login(username, password) {
+        const { data } = await api.post('/auth/login', { username, password });
+        return data.user;
+    },
+
+    async logout() {
+        await api.post('/auth/logout');
+    },
+
+    onUnauthorized(handler) {
+        unauthorizedHandler = handler;
+    },
+
+    // --- Users (administrators) ---
+
+    async listUsers() {
+        const { data } = await api.get('/users');
+        return data;
+    },
+
+    async createUser(user) {
+        const { data } = await api.post('/users', user);
+        return data;
+    },
+
+    // updates: { role, home, grants: [{ path, access: 'read' | 'write' }], password }
+    async updateUser(userId, updates) {
+        const { data } = await api.patch(`/users/${userId}`, updates);
+        return data;
+    },
+
+    async deleteUser(userId) {
+        await api.delete(`/users/${userId}`);
+    },
+
+    // filters: { from, to, path, action, user, drive, limit } -> { entries, truncated } (newest first)
+    async getAuditLog(filters = {}) {
+        const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+        const { data } = await api.get('/audit', { params });
+        return data;
+    },
+
+    // --- Change Notifications ---
+    // Server drives push a `change` event when the open folder changes (watched on
+    // the server); WebDAV drives the app talks to directly are polled here instead.
+
+    // Call `onChange()` when the listing of `path` changes; returns a stop function
+    watchDirectory(path, drive, onChange) {
+        if (isServerDrive(drive)) {
+            const events = new EventSource(`/api/watch?${new URLSearchParams({ path, drive: drive.id })}`);
+            events.addEventListener('change', () => onChange());
+            return () => events.close();
+        }
+        if (drive.type !== 'webdav') return () => {};
+
+        // Same idea as the server: compare ETag / last-modified of every entry
+        const signature = (files) => files.map(f => `${f.path}|${f.etag || ''}|${f.mtime}|${f.size}`).sort().join('\n');
+        let last;
+        const poll = () => this.listFiles(path, drive)
+            .then(files => {
+                const current = signature(files);
+                if (last !== undefined && current !== last) onChange();
+                last = current;
+            })
+            .catch(() => {});
+        poll();
+        const interval = setInterval(poll, WATCH_POLL_INTERVAL);
+        return () => clearInterval(interval);
+    },
+
+    // --- Drive Search ---
+
+    /**
+     * Search `path` and everything below it. criteria: { q (substring or glob),
+     * type, minSize, maxSize (bytes), modifiedAfter, modifiedBefore (dates) }.
+     * `onMatch(file)` is called as results arrive; resolves to { scanned, truncated }.
+     */
+    async search(path, drive, criteria, onMatch, signal) {
+        if (!isServerDrive(drive)) {
+            const matches = searchMatcher(criteria);
+            const pending = [path];
+            let scanned = 0;
+            while (pending.length && !signal?.aborted) {
+                const files = await this.listFiles(pending.shift(), drive).catch(() => []);
+                for (const f of files) {
+                    scanned++;
+                    if (f.isDirectory) pending.push(f.path);
+                    if (matches(f)) onMatch(f);
+                }
+            }
+            return { scanned, truncated: false };
+        }
+
+        // Results stream in as newline-delimited JSON
+        const params = new URLSearchParams({ path, drive: drive.id });
+        Object.entries(criteria).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        const response = await fetch(`/api/search?${params}`, { signal });
+        if (!response.ok) {
+            if (response.status === 401 && unauthorizedHandler) unauthorizedHandler();
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || response.statusText);
+        }
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            const lines = (buffered + value).split('\n');
+            buffered = lines.pop();
+            for (const line of lines.filter(Boolean)) {
+                const message = JSON.parse(line);
+                if (message.type === 'match') onMatch(message.file);
+                else if (message.type === 'error') throw new Error(message.error);
+                else if (message.type === 'done') return message;
+            }
+        }
+        return { truncated: false };
+    },
+
+    // --- Content Search (server local and WebDAV drives) ---
+
+    canSearchContent(drive) {
+        return isServerDrive(drive) && ['local', 'webdav'].includes(drive.type);
+    },
+
+    // -> { results: [{ path, name, size, mtime, score, snippet: { text, highlights: [[from, to]] } }], status }
+    async searchContent(query, drive) {
+        const { data } = await api.get('/content-search', { params: { q: query, drive: drive.id } });
+        return data;
+    },
+
+    async getContentIndexStatus(drive) {
+        const { data } = await api.get('/content-index/status', { params: { drive: drive.id } });
+        return data;
+    },
+
+    async refreshContentIndex(drive) {
+        const { data } = await api.post('/content-index/refresh', { drive: drive.id });
+        return data;
+    },
+
+    // --- Background Jobs (server drives) ---
+    // Delete, move, copy, transfer and rename on server drives return a job right
+    // away; its progress arrives over one shared Server-Sent Events connection.
+
+    // `listener(job)` for every job update; returns an unsubscribe function
+    subscribeJobs(listener) {
+        jobListeners.add(listener);
+        if (!jobEvents) {
+            jobEvents = new EventSource('/api/jobs/events');
+            jobEvents.addEventListener('job', (event) => {
+                const job = JSON.parse(event.data);
+                jobListeners.forEach(fn => fn(job));
+            });
+        }
+        return () => {
+            jobListeners.delete(listener);
+            if (jobListeners.size === 0 && jobEvents) {
+                jobEvents.close();
+                jobEvents = null;
+            }
+        };
+    },
+
+    async cancelJob(jobId) {
+        const { data } = await api.post(`/jobs/${jobId}/cancel`);
+        return data;
+    },
+
+    async dismissJob(jobId) {
+        await api.delete(`/jobs/${jobId}`);
+    },
+
+    // Resolves once a job has completed; rejects when it failed or was cancelled
+    waitForJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const check = (job) => {
+                if (job.id !== jobId || !['completed', 'failed', 'cancelled'].includes(job.status)) return;
+                unsubscribe();
+                if (job.status === 'completed') resolve(job);
+                else reject(new Error(job.error || job.items.find(item => item.error)?.error || job.status));
+            };
+            const unsubscribe = this.subscribeJobs(check);
+            // It may have finished before the subscription started
+            api.get(`/jobs/${jobId}`).then(({ data }) => check(data)).catch(() => {});
+        });
+    },
+
+    // --- Duplicates (server drives) ---
+
+    // Start a scan of whole drives -> background job
+    async findDuplicates(drives, { minSize } = {}) {
+        const { data } = await api.post('/duplicates', { drives: drives.map(d => d.id), minSize });
+        return data;
+    },
+
+    // The latest scan: { jobId, scannedAt, scanned, skipped, groups: [{ size, hash, files }] } or null
+    async getDuplicates() {
+        const { data } = await api.get('/duplicates');
+        return data;
+    },
+
+    // --- Disk Usage (server drives) ---
+
+    // Size up a folder and everything below it -> background job
+    async scanUsage(path, drive, { refresh = false } = {}) {
+        const { data } = await api.post('/usage', { path, drive: drive.id, refresh });
+        return data;
+    },
+
+    // A scanned folder: { path, size, files, folders, unreadable, scannedAt, children, other } or null
+    async getUsage(path, drive) {
+        const { data } = await api.get('/usage', { params: { path, drive: drive.id } });
+        return data;
+    },
+
+    // --- Folder Sync (server drives) ---
+
+    // [{ id, name, source: { drive, path }, target, mode, interval, lastSyncAt, lastRun, jobId }]
+    async listSyncPairs() {
+        const { data } = await api.get('/sync');
+        return data;
+    },
+
+    // pair: { name, source: { drive, path }, target: { drive, path }, mode: 'mirror' | 'two-way', interval }
+    async createSyncPair(pair) {
+        const { data } = await api.post('/sync', pair);
+        return data;
+    },
+
+    async deleteSyncPair(pairId) {
+        await api.delete(`/sync/${pairId}`);
+    },
+
+    // Sync a pair (or only plan it) -> background job
+    async runSync(pairId, { dryRun = false } = {}) {
+        const { data } = await api.post(`/sync/${pairId}/run`, { dryRun });
+        return data;
+    },
+
+    // --- Share Links (server drives) ---
+
+    // options: { expiresAt, password, maxDownloads }
+    async createShare(path, drive, options = {}) {
+        const { data } = await api.post('/shares', { path, drive: drive.id, ...options });
+        return data;
+    },
+
+    async listShares() {
+        const { data } = await api.get('/shares');
+        return data;
+    },
+
+    async revokeShare(shareId) {
+        await api.delete(`/shares/${shareId}`);
+    },
+
+    getShareLink(shareId) {
+        return `${window.location.origin}/s/${shareId}`;
+    },
+
+    // Public side of a link (no account): info + folder listing, unlock, file URL
+    async openShare(shareId, path = '/', key) {
+        const { data } = await api.get(`/public/shares/${shareId}`, { params: { path, key } });
+        return data;
+    },
+
+    async unlockShare(shareId, password) {
+        const { data } = await api.post(`/public/shares/${shareId}/unlock`, { password });
+        return data.key;
+    },
+
+    getSharedFileUrl(shareId, path = '/', key, download = false) {
+        const params = new URLSearchParams({ path });
+        if (key) params.set('key', key);
+        if (download) params.set('download', '1');
+        return `/api/public/shares/${shareId}/raw?${params}`;
+    },
+
     // --- Drive Configuration (Local Only) ---
     async getDrives() {
         // 1. Always have Local Storage (App Sandbox or Browser Memory)
         const defaultLocal = { id: 'local', name: 'Local Device', type: 'local', path: '/' };
         
-        // 2. Load Saved WebDAV Drives from Secure Storage
-        const { value } = await Preferences.get({ key: STORAGE_KEY_DRIVES });
-        const savedDrives = value ? JSON.parse(value) : [];
+        // 2. Load Saved WebDAV Drives (credentials stay encrypted, see webdavClientFor)
+        const savedDrives = (await loadSavedDrives()).map(redactDrive);
+
+        // 3. Drives managed by the Node server (WebDAV, S3, ...). Server may be offline.
+        let serverDrives = [];
+        try {
+            const { data } = await api.get('/drives');
+            const serverLocal = data.find(d => d.id === 'local');
+            if (serverLocal && isServerDrive(defaultLocal)) defaultLocal.quota = serverLocal.quota;
+            serverDrives = data
+                .filter(d => d.id !== 'local')
+                .map(d => ({ ...d, server: true }));
+        } catch (e) {
+            console.warn('Server drives unavailable', e.message);
+        }
         
-        return [defaultLocal, ...savedDrives];
+        return [defaultLocal, ...savedDrives, ...serverDrives];
+    },
+
+    // Test a server-managed drive config without saving it
+    async testDrive(driveConfig) {
+        await api.post('/drives/test', driveConfig);
     },
 
     async addDrive(driveConfig) {
-        const drives = await this.getDrives();
-        // Remove 'local' from list before saving (it's always dynamic)
-        const newDrives = [...drives.filter(d => d.id !== 'local'), driveConfig];
-        await Preferences.set({
-            key: STORAGE_KEY_DRIVES,
-            value: JSON.stringify(newDrives)
-        });
-        return newDrives; // Return full list for UI
+        if (SERVER_DRIVE_TYPES.includes(driveConfig.type)) {
+            const { data } = await api.post('/drives', driveConfig);
+            return { ...data, server: true };
+        }
+        const savedDrives = await loadSavedDrives();
+        await saveDrives([...savedDrives, await sealDrive(driveConfig)]);
+        return redactDrive(driveConfig); // Safe to keep in UI state
     },
 
     async removeDrive(driveId) {
         const drives = await this.getDrives();
-        const newDrives = drives.filter(d => d.id !== driveId && d.id !== 'local');
-        await Preferences.set({
-            key: STORAGE_KEY_DRIVES,
-            value: JSON.stringify(newDrives)
-        });
+        if (isServerDrive(drives.find(d => d.id === driveId))) {
+            await api.delete(`/drives/${driveId}`);
+            return;
+        }
+        const savedDrives = await loadSavedDrives();
+        await saveDrives(savedDrives.filter(d => d.id !== driveId));
+        decryptedSecrets.delete(driveId);
     },
     
     async updateDrive(driveId, updates) {
         const drives = await this.getDrives();
         const index = drives.findIndex(d => d.id === driveId);
+        if (isServerDrive(drives[index])) {
+            await api.patch(`/drives/${driveId}`, updates);
+            return;
+        }
         if (index !== -1 && drives[index].id !== 'local') {
-            drives[index] = { ...drives[index], ...updates };
-            // Save only non-local drives
-            const savedDrives = drives.filter(d => d.id !== 'local');
-            await Preferences.set({
-                key: STORAGE_KEY_DRIVES,
-                value: JSON.stringify(savedDrives)
-            });
+            const savedDrives = await loadSavedDrives();
+            await saveDrives(await Promise.all(savedDrives.map(d => (d.id === driveId ? sealDrive({ ...d, ...updates }) : d))));
+            decryptedSecrets.delete(driveId);
         }
     },
     
@@ -91,7 +600,10 @@ export const FileService = {
     
     // List Files
     async listFiles(path, drive) {
-        if (drive.type === 'local') {
+        if (isServerDrive(drive)) {
+            const { data } = await api.get('/files', { params: { path, drive: drive.id } });
+            return data.files;
+        } else if (drive.type === 'local') {
              // Capacitor Filesystem (App) or Mock (Browser)
              if (Capacitor.isNativePlatform()) {
                  try {
@@ -99,7 +611,7 @@ export const FileService = {
                         path: path,
                         directory: Directory.Documents // Sandbox limit
                     });
-                    return result.files.map(f => normalizeLocalFile(f, path));
+                    return result.files.map(f => normalizeLocalFile(f, path)).filter(f => !isTrashPath(f.path));
                  } catch (e) {
                     console.error('FS Read Error', e);
                     return [];
@@ -110,16 +622,18 @@ export const FileService = {
                  return [];
              }
         } else if (drive.type === 'webdav') {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             const items = await client.getDirectoryContents(path);
-            return items.map(normalizeWebDAVFile);
+            return items.map(normalizeWebDAVFile).filter(f => !isTrashPath(f.path));
         }
         return [];
     },
 
     // Create Directory
     async createDirectory(path, drive) {
-        if (drive.type === 'local') {
+        if (isServerDrive(drive)) {
+            await api.post('/mkdir', { path, drive: drive.id });
+        } else if (drive.type === 'local') {
             if (Capacitor.isNativePlatform()) {
                 await Filesystem.mkdir({
                     path: path,
@@ -128,14 +642,19 @@ export const FileService = {
                 });
             }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             await client.createDirectory(path);
         }
     },
 
-    // Delete
-    async delete(items, drive) {
-         if (drive.type === 'local') {
+    // Delete (into the drive's trash unless `permanent`)
+    async delete(items, drive, { permanent = false } = {}) {
+         if (isServerDrive(drive)) {
+            const { data } = await api.post('/delete', { items, drive: drive.id, permanent });
+            return data; // Background job
+        } else if (!permanent && (drive.type !== 'local' || Capacitor.isNativePlatform())) {
+            await this.moveToClientTrash(items, drive);
+        } else if (drive.type === 'local') {
             if (Capacitor.isNativePlatform()) {
                 await Promise.all(items.map(path => Filesystem.deleteFile({
                     path: path,
@@ -143,29 +662,122 @@ export const FileService = {
                 })));
             }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             await Promise.all(items.map(itemPath => client.deleteFile(itemPath)));
         }
     },
 
+    // --- Trash ---
+
+    // { retentionDays, items: [{ id, name, originalPath, isDirectory, size, deletedAt }] }
+    async listTrash(drive) {
+        if (isServerDrive(drive)) {
+            const { data } = await api.get('/trash', { params: { drive: drive.id } });
+            return data;
+        }
+        const storage = await clientStorage(drive);
+        const items = await readClientTrash(storage);
+        const kept = await purgeClientTrash(storage, items);
+        if (kept.length !== items.length) await writeClientTrash(storage, kept);
+        return { retentionDays: DEFAULT_TRASH_RETENTION_DAYS, items: kept };
+    },
+
+    // Client-side drives: move items into /.clouddrive-trash and record them in its index
+    async moveToClientTrash(paths, drive) {
+        const storage = await clientStorage(drive);
+        const items = await purgeClientTrash(storage, await readClientTrash(storage));
+        try {
+            for (const path of paths) {
+                const entry = (await this.listFiles(parentOf(path), drive)).find(f => f.path === path) || {};
+                const item = {
+                    id: `${Date.now().toString(36)}-${Math.random().toString(16).slice(2, 10)}`,
+                    name: path.split('/').pop(),
+                    originalPath: path,
+                    isDirectory: !!entry.isDirectory,
+                    size: entry.size || 0,
+                    deletedAt: new Date().toISOString()
+                };
+                await storage.mkdir(trashSlot(item));
+                await storage.move(path, joinPath(trashSlot(item), item.name));
+                items.push(item);
+            }
+        } finally {
+            // Record whatever was moved, even when a later item failed
+            await writeClientTrash(storage, items);
+        }
+    },
+
+    // Put items back at their original path; returns the paths they were restored to
+    async restoreFromTrash(ids, drive) {
+        if (isServerDrive(drive)) {
+            const { data } = await api.post('/trash/restore', { ids, drive: drive.id });
+            return data.restored.map(r => r.path);
+        }
+        const storage = await clientStorage(drive);
+        let items = await readClientTrash(storage);
+        const restored = [];
+        try {
+            for (const item of items.filter(i => ids.includes(i.id))) {
+                const target = await availableRestorePath(storage, item.originalPath);
+                if (!(await storage.exists(parentOf(target)))) await storage.mkdir(parentOf(target));
+                await storage.move(joinPath(trashSlot(item), item.name), target);
+                await storage.remove(trashSlot(item)).catch(() => {});
+                items = items.filter(i => i.id !== item.id);
+                restored.push(target);
+            }
+        } finally {
+            if (restored.length) await writeClientTrash(storage, items);
+        }
+        return restored;
+    },
+
+    // Permanently delete items from the trash
+    async deleteFromTrash(ids, drive) {
+        if (isServerDrive(drive)) {
+            await api.post('/trash/delete', { ids, drive: drive.id });
+            return;
+        }
+        const storage = await clientStorage(drive);
+        const items = await readClientTrash(storage);
+        for (const item of items.filter(i => ids.includes(i.id))) {
+            await storage.remove(trashSlot(item)).catch(() => {});
+        }
+        await writeClientTrash(storage, items.filter(i => !ids.includes(i.id)));
+    },
+
+    async emptyTrash(drive) {
+        if (isServerDrive(drive)) {
+            await api.post('/trash/empty', { drive: drive.id });
+            return;
+        }
+        const { items } = await this.listTrash(drive);
+        await this.deleteFromTrash(items.map(i => i.id), drive);
+    },
+
     // Rename (Same Dir)
     async rename(oldPath, newName, drive) {
-         const parent = oldPath.split('/').slice(0, -1).join('/') || '/';
+         const parent = parentOf(oldPath);
          const newPath = parent === '/' ? `/${newName}` : `${parent}/${newName}`;
          
-         if (drive.type === 'local') {
+         if (isServerDrive(drive)) {
+            const { data } = await api.post('/rename', { oldPath, newName, drive: drive.id });
+            return data; // Background job
+        } else if (drive.type === 'local') {
             if (Capacitor.isNativePlatform()) {
                 await Filesystem.rename({ from: oldPath, to: newPath, directory: Directory.Documents });
             }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             await client.moveFile(oldPath, newPath);
         }
     },
 
     // Move (Different Dir)
     async move(items, destination, drive) {
-        if (drive.type === 'local') {
+        if (isServerDrive(drive)) {
+            const { data } = await api.post('/move', { items, destination, drive: drive.id });
+            return data; // Background job
+        } else if (drive.type === 'local') {
             if (Capacitor.isNativePlatform()) {
                 await Promise.all(items.map(item => {
                     const name = item.split('/').pop();
@@ -174,7 +786,7 @@ export const FileService = {
                 }));
             }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             await Promise.all(items.map(item => {
                  const name = item.split('/').pop();
                  const destPath = destination.replace(/\/+$/, '') + '/' + name;
@@ -183,9 +795,181 @@ export const FileService = {
         }
     },
     
+    // Copy (Recursive, Same Drive)
+    async copy(items, destination, drive) {
+        if (isServerDrive(drive)) {
+            const { data } = await api.post('/copy', { items, destination, drive: drive.id });
+            return data; // Background job
+        }
+
+        // Pasting into the source folder keeps both: "a.txt" -> "a (copy).txt"
+        const existing = new Set((await this.listFiles(destination, drive)).map(f => f.name));
+        const targetFor = (item) => {
+            const name = item.split('/').pop();
+            if (!existing.has(name)) return joinPath(destination, name);
+            const dot = name.lastIndexOf('.');
+            const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+            let n = 1;
+            let candidate;
+            do {
+                candidate = `${base} (copy${n > 1 ? ` ${n}` : ''})${ext}`;
+                n++;
+            } while (existing.has(candidate));
+            existing.add(candidate);
+            return joinPath(destination, candidate);
+        };
+
+        if (drive.type === 'local') {
+            if (Capacitor.isNativePlatform()) {
+                await Promise.all(items.map(item => Filesystem.copy({ from: item, to: targetFor(item), directory: Directory.Documents })));
+            }
+        } else {
+            const client = await webdavClientFor(drive);
+            await Promise.all(items.map(async item => {
+                const target = targetFor(item);
+                try {
+                    await client.copyFile(item, target);
+                } catch (err) {
+                    // No WebDAV COPY support: fall back to download + upload
+                    await this.copyThroughClient(item, await this.isDirectory(item, drive), drive, target, drive);
+                }
+            }));
+        }
+    },
+
+    // Transfer (Cross-Drive Move/Copy)
+    async transfer(items, sourceDrive, destination, destDrive, mode = 'move') {
+        if (isServerDrive(sourceDrive) && isServerDrive(destDrive)) {
+            // Server streams between the two drives without buffering whole files
+            const { data } = await api.post('/transfer', {
+                items,
+                destination,
+                sourceDrive: sourceDrive.id,
+                destinationDrive: destDrive.id,
+                mode
+            });
+            return data; // Background job
+        }
+
+        // Fallback for drives only this client can reach (app sandbox, WebDAV saved on device)
+        for (const item of items) {
+            const target = joinPath(destination, item.split('/').pop());
+            await this.copyThroughClient(item, await this.isDirectory(item, sourceDrive), sourceDrive, target, destDrive);
+        }
+        if (mode === 'move') await this.delete(items, sourceDrive, { permanent: true });
+    },
+
+    // Recursive copy done by this client: folders are walked here, each file passes through memory once
+    async copyThroughClient(path, isDirectory, sourceDrive, target, destDrive) {
+        if (isDirectory) {
+            await this.createDirectory(target, destDrive);
+            const children = await this.listFiles(path, sourceDrive);
+            for (const child of children) {
+                await this.copyThroughClient(child.path, child.isDirectory, sourceDrive, joinPath(target, child.name), destDrive);
+            }
+            return;
+        }
+        const data = await this.readFile(path, sourceDrive);
+        const blob = typeof data === 'string' ? base64ToBlob(data) : new Blob([data]);
+        await this.uploadFile(target, blob, destDrive);
+    },
+
+    // Look an entry up in its parent listing (paths alone don't say file vs folder)
+    async isDirectory(path, drive) {
+        const name = path.split('/').pop();
+        const siblings = await this.listFiles(parentOf(path), drive);
+        const entry = siblings.find(f => f.path === path || f.name === name);
+        return !!entry?.isDirectory;
+    },
+    
+    // Resized preview of an image (or PDF) on a server drive; the URL changes with
+    // the file's mtime and size, so the browser can cache it
+    getThumbnailUrl(file, driveId, size = 256) {
+        const version = `${file.mtime ? new Date(file.mtime).getTime() : ''}-${file.size}`;
+        return `/api/thumbnail?${new URLSearchParams({ path: file.path, drive: driveId || 'local', size, v: version })}`;
+    },
+
+    // Download items of a server drive: a single file as is, anything else as one
+    // streamed archive (a form POST, so the browser handles the download natively)
+    downloadItems(items, drive, { name, format = 'zip' } = {}) {
+        if (items.length === 1 && !items[0].isDirectory) {
+            window.location.assign(`/api/raw?${new URLSearchParams({ path: items[0].path, drive: drive.id, download: '1' })}`);
+            return;
+        }
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = '/api/archive';
+        const fields = { drive: drive.id, format, paths: JSON.stringify(items.map(item => item.path)), ...(name ? { name } : {}) };
+        Object.entries(fields).forEach(([key, value]) => {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = key;
+            input.value = value;
+            form.appendChild(input);
+        });
+        document.body.appendChild(form);
+        form.submit();
+        form.remove();
+    },
+
+    // --- Archives (server drives) ---
+
+    isArchive(file) {
+        return !file.isDirectory && /\.(zip|tar|tar\.gz|tgz)$/i.test(file.name);
+    },
+
+    // One folder inside a ZIP / tar / tar.gz; entry paths are relative to the archive
+    async listArchive(path, drive, inner = '/') {
+        const { data } = await api.get('/archive/entries', { params: { path, drive: drive.id, inner } });
+        return data.files;
+    },
+
+    getArchiveEntryUrl(path, drive, inner, { download = false } = {}) {
+        return `/api/archive/raw?${new URLSearchParams({ path, drive: drive.id, inner, ...(download ? { download: '1' } : {}) })}`;
+    },
+
+    // Extract entries (default: everything) into a folder, possibly on another drive
+    async extractArchive(path, drive, { inner, destination, destinationDrive = drive }) {
+        const { data } = await api.post('/archive/extract', {
+            path,
+            drive: drive.id,
+            inner,
+            destination,
+            destinationDrive: destinationDrive.id
+        });
+        return data; // Background job
+    },
+
+    // Pack items into "<destination>/<name>.zip" (or .tar.gz) on the same drive
+    async createArchive(items, destination, drive, { name, format = 'zip' } = {}) {
+        const { data } = await api.post('/archive/create', { items, destination, drive: drive.id, name, format });
+        return data; // Background job
+    },
+
+    // --- File Versions (server drives) ---
+
+    // Earlier contents of a file, newest first: { keep, versions }
+    async listVersions(path, drive) {
+        const { data } = await api.get('/versions', { params: { path, drive: drive.id } });
+        return data;
+    },
+
+    getVersionUrl(path, drive, id, { download = false } = {}) {
+        return `/api/versions/raw?${new URLSearchParams({ path, drive: drive.id, id, ...(download ? { download: '1' } : {}) })}`;
+    },
+
+    // Put a version back; the content it replaces is kept as a version too
+    async restoreVersion(path, drive, id) {
+        const { data } = await api.post('/versions/restore', { path, drive: drive.id, id });
+        return data.path;
+    },
+
     // Get File URL (for Preview)
     async getFileUrl(path, drive) {
-        if (drive.type === 'local') {
+        if (isServerDrive(drive)) {
+            // Server streams the file itself, so the URL can be used directly
+            return `/api/raw?path=${encodeURIComponent(path)}&drive=${drive.id}`;
+        } else if (drive.type === 'local') {
              if (Capacitor.isNativePlatform()) {
                  const uri = await Filesystem.getUri({
                      path: path,
@@ -205,7 +989,10 @@ export const FileService = {
 
     // Read File (for Preview/Download)
     async readFile(path, drive) {
-        if (drive.type === 'local') {
+        if (isServerDrive(drive)) {
+            const { data } = await api.get('/raw', { params: { path, drive: drive.id }, responseType: 'arraybuffer' });
+            return data;
+        } else if (drive.type === 'local') {
             if (Capacitor.isNativePlatform()) {
                 const contents = await Filesystem.readFile({
                     path: path,
@@ -215,15 +1002,104 @@ export const FileService = {
                 return contents.data;
             }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             const buff = await client.getFileContents(path);
             return buff;
         }
     },
 
+    // Unfinished resumable uploads for a drive (dropping the same file again resumes it)
+    getPendingUploads(driveId) {
+        const now = Date.now();
+        return Object.values(readPendingUploads())
+            .filter(entry => entry.drive === driveId && now - entry.updatedAt < PENDING_UPLOAD_TTL);
+    },
+
+    hasPendingUpload(path, fileObj, drive) {
+        return !!readPendingUploads()[uploadFingerprint(path, fileObj, drive)];
+    },
+
+    // Chunked upload (tus-style): the server tracks the offset, so dropped
+    // connections and page reloads continue where they stopped
+    async uploadResumable(path, fileObj, drive, onProgress) {
+        const key = uploadFingerprint(path, fileObj, drive);
+        // How many bytes the server has, and the job storing the file once it has them all
+        const headState = async (id) => {
+            const res = await api.head(`/uploads/${id}`);
+            return { offset: parseInt(res.headers['upload-offset'], 10) || 0, jobId: res.headers['upload-job'] || null };
+        };
+        // The session is gone after the last chunk: see whether the file made it to the drive
+        const isStored = async () => {
+            const siblings = await this.listFiles(parentOf(path), drive);
+            return siblings.some(f => f.path === path && !f.isDirectory && f.size === fileObj.size);
+        };
+
+        let id = readPendingUploads()[key]?.id;
+        let offset = 0;
+        let jobId = null;
+        if (id) {
+            try {
+                ({ offset, jobId } = await headState(id));
+            } catch (e) {
+                id = null; // Finished, expired or server restarted: start over
+            }
+        }
+        if (!id) {
+            const { data } = await api.post('/uploads', {
+                drive: drive.id,
+                path: parentOf(path),
+                name: path.split('/').pop(),
+                size: fileObj.size
+            });
+            id = data.id;
+        }
+
+        let retries = 0;
+        while (offset < fileObj.size) {
+            updatePendingUpload(key, { id, drive: drive.id, path, size: fileObj.size, offset, updatedAt: Date.now() });
+            if (onProgress) onProgress(offset);
+            try {
+                const res = await api.patch(`/uploads/${id}`, fileObj.slice(offset, offset + UPLOAD_CHUNK_SIZE), {
+                    headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': offset }
+                });
+                offset = parseInt(res.headers['upload-offset'], 10);
+                if (res.status === 202) jobId = res.data.id;
+                retries = 0;
+            } catch (err) {
+                const status = err.response?.status;
+                if (status === 409) {
+                    offset = parseInt(err.response.headers['upload-offset'], 10);
+                    continue;
+                }
+                // Refused (403, 404, 413...) or failed on the server: sending again won't help.
+                // 423 means the server still works on a request whose connection dropped.
+                if (status && status !== 423 && status < 502) {
+                    updatePendingUpload(key, null);
+                    throw err;
+                }
+                if (++retries > 5) throw err;
+                // Connection dropped mid-chunk: wait, then ask how much the server kept
+                await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+                try {
+                    ({ offset, jobId } = await headState(id));
+                } catch (headErr) {
+                    if (headErr.response?.status !== 404) continue;
+                    updatePendingUpload(key, null);
+                    if (await isStored()) break;
+                    throw err;
+                }
+            }
+        }
+        updatePendingUpload(key, null);
+        if (jobId) await this.waitForJob(jobId);
+        if (onProgress) onProgress(fileObj.size);
+    },
+
     // Upload File
-    async uploadFile(path, fileObj, drive) {
-         if (drive.type === 'local') {
+    async uploadFile(path, fileObj, drive, onProgress) {
+         if (isServerDrive(drive)) {
+             await this.uploadResumable(path, fileObj, drive, onProgress);
+        } else if (drive.type === 'local') {
              if (Capacitor.isNativePlatform()) {
                  // Convert File/Blob to Base64
                  const toBase64 = file => new Promise((resolve, reject) => {
@@ -241,7 +1117,7 @@ export const FileService = {
                  });
              }
         } else {
-            const client = createWebDAVClient(drive);
+            const client = await webdavClientFor(drive);
             // webdav client accepts ArrayBuffer or String
             const arrayBuffer = await fileObj.arrayBuffer();
             await client.putFileContents(path, arrayBuffer);
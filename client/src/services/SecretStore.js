@@ -0,0 +1,87 @@
+// --- Drive Credentials at Rest (client) ---
+// Passwords of drives saved in Capacitor Preferences are encrypted with an
+// AES-GCM device key. The key is generated once and kept in IndexedDB as a
+// non-extractable CryptoKey, so the stored value is useless without this
+// browser profile / app install, and the raw key can never be read back.
+
+const DB_NAME = 'cloud_mgr_keys';
+const DB_STORE = 'keys';
+const DEVICE_KEY_ID = 'drive-secrets';
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Fields of a client-side (WebDAV) drive that hold credentials
+export const DRIVE_SECRET_FIELDS = ['password'];
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+// Helper: Promise wrapper for an IndexedDB request
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const openKeyDatabase = () => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    return request(req);
+};
+
+let deviceKeyPromise = null;
+
+const loadDeviceKey = async () => {
+    if (!globalThis.crypto?.subtle || !globalThis.indexedDB) {
+        throw new Error('Credential encryption needs a secure context (HTTPS or localhost)');
+    }
+    const db = await openKeyDatabase();
+    try {
+        const existing = await request(db.transaction(DB_STORE).objectStore(DB_STORE).get(DEVICE_KEY_ID));
+        if (existing) return existing;
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+        await request(db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE).put(key, DEVICE_KEY_ID));
+        return key;
+    } finally {
+        db.close();
+    }
+};
+
+const getDeviceKey = () => {
+    if (!deviceKeyPromise) {
+        deviceKeyPromise = loadDeviceKey().catch(err => {
+            deviceKeyPromise = null; // Allow a retry (e.g. after the page moves to HTTPS)
+            throw err;
+        });
+    }
+    return deviceKeyPromise;
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+export const encryptSecret = async (plaintext) => {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getDeviceKey(), new TextEncoder().encode(plaintext));
+    return `${ENCRYPTED_PREFIX}${toBase64(iv)}:${toBase64(ciphertext)}`;
+};
+
+export const decryptSecret = async (value) => {
+    if (!isEncrypted(value)) return value;
+    const [iv, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await getDeviceKey(), fromBase64(ciphertext));
+    return new TextDecoder().decode(plaintext);
+};
+
+// Drive as written to Preferences
+export const sealDrive = async (drive) => {
+    const sealed = { ...drive };
+    for (const field of DRIVE_SECRET_FIELDS) {
+        if (sealed[field] && !isEncrypted(sealed[field])) sealed[field] = await encryptSecret(sealed[field]);
+    }
+    return sealed;
+};
+
+// Drive without its credentials (safe for React state and localStorage caches)
+export const redactDrive = (drive) => {
+    const redacted = { ...drive };
+    for (const field of DRIVE_SECRET_FIELDS) delete redacted[field];
+    return redacted;
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const { v2: webdavServer } = require('webdav-server');
+
+// --- Path Permissions (local drive) ---
+// Administrators can reach the whole storage directory. Other users get
+// read-write access to their home folder plus the paths an administrator
+// granted them ({ path, access: 'read' | 'write' }); the most specific rule
+// wins. Folders above those paths can be opened ("traverse") but only list
+// the entries that lead to them. Paths are web paths relative to STORAGE_DIR.
+
+const ACCESS_LEVELS = { traverse: 1, read: 2, write: 3 };
+
+const normalizePath = (filePath) => path.posix.normalize(path.posix.join('/', filePath || '/')).replace(/(.)\/+$/, '$1');
+
+const isWithin = (child, parent) => parent === '/' || child === parent || child.startsWith(`${parent}/`);
+
+const forbidden = (filePath) => Object.assign(new Error(`Permission denied: ${filePath}`), { status: 403, code: 'EACCES' });
+
+// 'write' | 'read' | 'traverse' | null
+const resolveAccess = (user, filePath) => {
+    if (user.role === 'admin') return 'write';
+    const target = normalizePath(filePath);
+    const rules = [
+        ...(user.home ? [{ path: user.home, access: 'write' }] : []),
+        ...(user.grants || [])
+    ].map(rule => ({ ...rule, path: normalizePath(rule.path) }));
+
+    const match = rules
+        .filter(rule => isWithin(target, rule.path))
+        .sort((a, b) => b.path.length - a.path.length)[0];
+    if (match) return match.access;
+    return rules.some(rule => isWithin(rule.path, target)) ? 'traverse' : null;
+};
+
+const assertAccess = (user, filePath, need) => {
+    const access = resolveAccess(user, filePath);
+    if (!access || ACCESS_LEVELS[access] < ACCESS_LEVELS[need]) throw forbidden(normalizePath(filePath));
+    return access;
+};
+
+// The home folder and granted folders themselves can't be deleted or moved away, only their contents
+const assertRemovable = (user, filePath) => {
+    assertAccess(user, filePath, 'write');
+    const target = normalizePath(filePath);
+    const roots = [user.home, ...(user.grants || []).map(grant => grant.path)].filter(Boolean).map(normalizePath);
+    if (user.role !== 'admin' && roots.includes(target)) throw forbidden(target);
+};
+
+// Provider whose every operation is checked against the user's permissions
+const guardProvider = (provider, user) => ({
+    ...provider,
+    async list(dir, options) {
+        const access = assertAccess(user, dir, 'traverse');
+        const files = await provider.list(dir, options);
+        return access === 'traverse' ? files.filter(file => resolveAccess(user, file.path)) : files;
+    },
+    async stat(filePath) {
+        assertAccess(user, filePath, 'traverse');
+        return provider.stat(filePath);
+    },
+    async readStream(filePath, options) {
+        assertAccess(user, filePath, 'read');
+        return provider.readStream(filePath, options);
+    },
+    async writeStream(filePath, source) {
+        assertAccess(user, filePath, 'write');
+        return provider.writeStream(filePath, source);
+    },
+    async mkdir(dir) {
+        assertAccess(user, dir, 'write');
+        return provider.mkdir(dir);
+    },
+    async delete(filePath) {
+        assertRemovable(user, filePath);
+        return provider.delete(filePath);
+    },
+    async move(from, to) {
+        assertRemovable(user, from);
+        assertAccess(user, to, 'write');
+        return provider.move(from, to);
+    },
+    async copy(from, to) {
+        assertAccess(user, from, 'read');
+        assertAccess(user, to, 'write');
+        return provider.copy(from, to);
+    },
+    localPath: provider.localPath && ((filePath) => {
+        assertAccess(user, filePath, 'read');
+        return provider.localPath(filePath);
+    })
+});
+
+// WebDAV mount (same tree as the local drive): map webdav-server privileges onto
+// the rules above. `lookupUser(uid)` returns the account behind a DAV user.
+class AclPrivilegeManager extends webdavServer.PrivilegeManager {
+    constructor(lookupUser) {
+        super();
+        this.lookupUser = lookupUser;
+    }
+
+    _can(fullPath, davUser, resource, privilege, callback) {
+        const user = davUser && this.lookupUser(davUser.uid);
+        if (!user) return callback(null, false);
+        const need = privilege.startsWith('canWrite') ? 'write'
+            : ['canReadProperties', 'canReadLocks'].includes(privilege) ? 'traverse' : 'read';
+        const access = resolveAccess(user, fullPath.toString());
+        callback(null, !!access && ACCESS_LEVELS[access] >= ACCESS_LEVELS[need]);
+    }
+}
+
+// WebDAV mount: hide entries the user can't reach (webdav-server aborts a whole
+// PROPFIND listing on the first child it is not allowed to read)
+class AclFileSystem extends webdavServer.PhysicalFileSystem {
+    constructor(rootPath, lookupUser) {
+        super(rootPath);
+        this.lookupUser = lookupUser;
+    }
+
+    _readDir(dirPath, info, callback) {
+        super._readDir(dirPath, info, (e, names) => {
+            const davUser = info.context.user;
+            const user = davUser && this.lookupUser(davUser.uid);
+            if (e || !user || user.role === 'admin') return callback(e, names);
+            callback(null, names.filter(name => resolveAccess(user, dirPath.getChildPath(name).toString())));
+        });
+    }
+}
+
+module.exports = { normalizePath, resolveAccess, assertAccess, assertRemovable, guardProvider, AclPrivilegeManager, AclFileSystem };
@@ -0,0 +1,269 @@
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const mime = require('mime-types');
+const { fileEntry, joinPath, isNotFound } = require('./providers/common');
+const { isTrashPath } = require('./trash');
+const { isVersionsPath } = require('./versions');
+const { existingEntries } = require('./transfer');
+
+// --- Archives ---
+// Streams a ZIP or tar.gz of files and folders of any drive straight into a
+// response: entries are added one at a time, each read from its provider as
+// the archive is written out, so nothing is buffered or written to disk.
+// Archives on a drive can also be opened in place: ZIPs through ranged reads
+// (central directory, then just the entries needed), tar / tar.gz by streaming
+// through them.
+
+const FORMATS = {
+    zip: { extension: 'zip', type: 'application/zip', create: () => archiver('zip', { zlib: { level: 6 } }) },
+    'tar.gz': { extension: 'tar.gz', type: 'application/gzip', create: () => archiver('tar', { gzip: true, gzipOptions: { level: 6 } }) }
+};
+
+const cancelledError = () => Object.assign(new Error('Archive cancelled'), { code: 'ECANCELED' });
+
+/**
+ * Write `entries` (provider entries, e.g. from stat) and everything below them
+ * as a `format` archive into `output`. Each entry becomes a top-level item
+ * under its own name. Stops with an error once `isCancelled()` returns true.
+ */
+const streamArchive = async (provider, entries, format, output, { isCancelled = () => false } = {}) => {
+    const archive = FORMATS[format].create();
+    archive.pipe(output);
+
+    const add = async (entry, name) => {
+        if (isCancelled()) throw cancelledError();
+        if (isTrashPath(entry.path) || isVersionsPath(entry.path)) return;
+        const date = entry.mtime ? new Date(entry.mtime) : new Date();
+        if (entry.isDirectory) {
+            archive.append(null, { name: `${name}/`, type: 'directory', date });
+            await once(archive, 'entry');
+            for (const child of await provider.list(entry.path, { hidden: true })) {
+                await add(child, `${name}/${child.name}`);
+            }
+            return;
+        }
+        archive.append(await provider.readStream(entry.path), { name, date });
+        await once(archive, 'entry'); // One open source stream at a time (SFTP/FTP have one connection)
+    };
+
+    try {
+        for (const entry of entries) await add(entry, entry.name);
+        await archive.finalize();
+    } catch (err) {
+        archive.abort();
+        throw err;
+    }
+};
+
+// Helper: Write an archive of `entries` (on `source`) as a file on `target`
+const createArchiveFile = async (source, entries, format, target, destPath) => {
+    const output = new PassThrough();
+    await Promise.all([
+        streamArchive(source, entries, format, output).catch((err) => {
+            output.destroy(err);
+            throw err;
+        }),
+        target.writeStream(destPath, output)
+    ]);
+};
+
+// --- Reading Archives ---
+
+const archiveKind = (name) => {
+    if (/\.zip$/i.test(name)) return 'zip';
+    if (/\.(tar\.gz|tgz)$/i.test(name)) return 'tgz';
+    if (/\.tar$/i.test(name)) return 'tar';
+    return null;
+};
+
+const isArchive = (entry) => !entry.isDirectory && !!archiveKind(entry.name);
+
+// Helper: Entry name -> absolute path inside the archive ("../" can't climb out of it)
+const innerPath = (name) => path.posix.normalize(`/${name.replace(/\\/g, '/')}`).replace(/(.)\/+$/, '$1');
+
+// yauzl reader backed by ranged provider reads, so only the parts needed are fetched
+class ProviderReader extends yauzl.RandomAccessReader {
+    constructor(provider, filePath) {
+        super();
+        this.provider = provider;
+        this.filePath = filePath;
+    }
+
+    _readStreamForRange(start, end) {
+        const output = new PassThrough();
+        Promise.resolve(this.provider.readStream(this.filePath, { start, end: end - 1 }))
+            .then(stream => pipeline(stream, output))
+            .catch(err => output.destroy(err));
+        return output;
+    }
+}
+
+const walkZip = (provider, entry, fn) => new Promise((resolve, reject) => {
+    const options = { lazyEntries: true, autoClose: false };
+    yauzl.fromRandomAccessReader(new ProviderReader(provider, entry.path), entry.size, options, (err, zip) => {
+        if (err) return reject(err);
+        const done = (error) => {
+            zip.close();
+            if (error) reject(error);
+            else resolve();
+        };
+        zip.on('error', done);
+        zip.on('end', () => done());
+        zip.on('entry', (zipEntry) => {
+            const item = {
+                path: innerPath(zipEntry.fileName),
+                isDirectory: zipEntry.fileName.endsWith('/'),
+                size: zipEntry.uncompressedSize,
+                mtime: zipEntry.getLastModDate()
+            };
+            const open = () => new Promise((res, rej) => zip.openReadStream(zipEntry, (error, stream) => (error ? rej(error) : res(stream))));
+            Promise.resolve(item.path === '/' || fn(item, open))
+                .then(next => (next === false ? done() : zip.readEntry()), done);
+        });
+        zip.readEntry();
+    });
+});
+
+const walkTar = async (provider, entry, gzip, fn) => {
+    const source = await provider.readStream(entry.path);
+    const extract = tar.extract();
+    const piping = pipeline(...[source, gzip && zlib.createGunzip(), extract].filter(Boolean)).catch(() => {});
+    try {
+        for await (const stream of extract) {
+            const { header } = stream;
+            if (!['file', 'directory'].includes(header.type)) {
+                stream.resume();
+                continue;
+            }
+            const item = { path: innerPath(header.name), isDirectory: header.type === 'directory', size: header.size, mtime: header.mtime };
+            const next = item.path === '/' || await fn(item, async () => stream);
+            stream.resume(); // Skip whatever `fn` didn't read
+            if (next === false) break;
+        }
+    } finally {
+        source.destroy();
+        await piping;
+    }
+};
+
+/**
+ * Call `fn(item, open)` for each file and folder entry of an archive in order;
+ * item: { path (inside the archive), isDirectory, size, mtime }, `open()`
+ * resolves to the entry's content stream. Returning false stops the walk.
+ */
+const walkArchive = (provider, entry, fn) => {
+    const kind = archiveKind(entry.name);
+    if (!kind) throw Object.assign(new Error('Not a ZIP or tar archive'), { status: 400 });
+    return kind === 'zip' ? walkZip(provider, entry, fn) : walkTar(provider, entry, kind === 'tgz', fn);
+};
+
+// Listings of recently opened archives (tar.gz has to be read in full to list it)
+const listings = new Map(); // "drive|path|mtime|size" -> items
+const MAX_LISTINGS = 10;
+
+// All entries of an archive, with the folders only implied by file paths added
+const listArchive = async (provider, driveId, entry) => {
+    const key = [driveId, entry.path, entry.mtime ? new Date(entry.mtime).getTime() : '', entry.size].join('|');
+    if (listings.has(key)) return listings.get(key);
+
+    const items = new Map();
+    await walkArchive(provider, entry, (item) => {
+        items.set(item.path, item);
+        for (let dir = path.posix.dirname(item.path); dir !== '/' && !items.has(dir); dir = path.posix.dirname(dir)) {
+            items.set(dir, { path: dir, isDirectory: true, size: 0, mtime: item.mtime });
+        }
+    });
+    const list = [...items.values()];
+    listings.set(key, list);
+    if (listings.size > MAX_LISTINGS) listings.delete(listings.keys().next().value);
+    return list;
+};
+
+// One folder of an archive as file entries (paths are inside the archive)
+const listArchiveFolder = (items, dir) => {
+    const folder = innerPath(dir);
+    return items
+        .filter(item => item.path !== '/' && path.posix.dirname(item.path) === folder)
+        .map(item => fileEntry({ ...item, name: path.posix.basename(item.path) }));
+};
+
+// Content stream of one file inside an archive
+const openArchiveEntry = (provider, entry, filePath) => new Promise((resolve, reject) => {
+    const target = innerPath(filePath);
+    let found = false;
+    walkArchive(provider, entry, async (item, open) => {
+        if (item.isDirectory || item.path !== target) return true;
+        found = true;
+        const output = new PassThrough();
+        resolve({ stream: output, size: item.size, type: mime.lookup(item.path) || 'application/octet-stream' });
+        await pipeline(await open(), output).catch(() => {}); // tar: hold the walk until the entry is read
+        return false;
+    }).then(() => {
+        if (!found) reject(Object.assign(new Error('No such entry in the archive'), { status: 404 }));
+    }, (err) => {
+        if (!found) reject(err);
+    });
+});
+
+// Helper: Create a folder and its missing parents on a provider (known ones skipped)
+const ensureFolder = async (provider, dir, created) => {
+    if (dir === '/' || created.has(dir)) return;
+    await ensureFolder(provider, path.posix.dirname(dir), created);
+    try {
+        await provider.stat(dir);
+    } catch (err) {
+        if (!isNotFound(err)) throw err;
+        await provider.mkdir(dir);
+    }
+    created.add(dir);
+};
+
+/**
+ * Extract `selected` (a path inside the archive; "/" = everything) into
+ * `destination` on `target`. A selected folder keeps its name, so "/docs"
+ * lands in "<destination>/docs". Existing files are overwritten, each after
+ * `beforeReplace(path)`.
+ */
+const extractArchive = async (source, entry, selected, target, destination, { isCancelled = () => false, beforeReplace } = {}) => {
+    const prefix = innerPath(selected);
+    const base = prefix === '/' ? '/' : path.posix.dirname(prefix);
+    const created = new Set();
+    const existing = new Map(); // target folder -> entries it held before the first file was extracted into it
+    let matched = false;
+    await walkArchive(source, entry, async (item, open) => {
+        if (isCancelled()) return false;
+        if (prefix !== '/' && item.path !== prefix && !item.path.startsWith(`${prefix}/`)) return true;
+        matched = true;
+        const destPath = joinPath(destination, path.posix.relative(base, item.path));
+        if (item.isDirectory) {
+            await ensureFolder(target, destPath, created);
+        } else {
+            const dir = path.posix.dirname(destPath);
+            await ensureFolder(target, dir, created);
+            if (beforeReplace) {
+                if (!existing.has(dir)) existing.set(dir, await existingEntries(target, dir));
+                if (existing.get(dir).has(path.posix.basename(destPath))) await beforeReplace(destPath);
+            }
+            await target.writeStream(destPath, await open());
+        }
+        return true;
+    });
+    if (!matched) throw Object.assign(new Error(`"${prefix}" is not in the archive`), { status: 404 });
+};
+
+module.exports = {
+    FORMATS,
+    streamArchive,
+    createArchiveFile,
+    isArchive,
+    listArchive,
+    listArchiveFolder,
+    openArchiveEntry,
+    extractArchive
+};
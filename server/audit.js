@@ -0,0 +1,97 @@
+const path = require('path');
+const readline = require('readline');
+const fs = require('fs-extra');
+
+// --- Audit Log ---
+// Every change to files and drives (drive add / remove / rename, mkdir, delete,
+// move, copy, rename, upload, archive extract / compress, trash and version
+// restores, writes through the /webdav mount) is appended to a local log, one
+// JSON object per line:
+//   { at, userId, username, action, drive, path, destinationDrive, destination, detail, result, error, via }
+// `detail` says what a path can't (e.g. a drive's name), `result` is "ok" or
+// "failed", `via` is "api" or "webdav". Lines are only ever appended; set
+// AUDIT_LOG to keep the file somewhere else.
+
+const AUDIT_FILE = process.env.AUDIT_LOG || path.join(__dirname, 'audit.log');
+const MAX_RESULTS = 1000;
+
+// Appends run one after another, so lines never interleave
+let tail = Promise.resolve();
+
+/**
+ * Append an entry for `user` (the acting account, if any). `error` marks the
+ * operation as failed. Never throws: a full disk must not break file operations.
+ */
+const record = (user, { action, drive, path: filePath, destinationDrive, destination, detail, error, via = 'api' }) => {
+    const entry = {
+        at: new Date().toISOString(),
+        userId: user?.id || null,
+        username: user?.username || null,
+        action,
+        drive,
+        path: filePath,
+        destinationDrive: destinationDrive !== drive ? destinationDrive : undefined,
+        destination,
+        detail,
+        result: error ? 'failed' : 'ok',
+        error: error ? (error.message || String(error)) : undefined,
+        via
+    };
+    tail = tail
+        .then(() => fs.appendFile(AUDIT_FILE, `${JSON.stringify(entry)}\n`))
+        .catch(err => console.warn('[WARN] Could not write audit log:', err.message));
+    return tail;
+};
+
+// Helper: Is `filePath` the folder `prefix` or inside it?
+const isWithin = (filePath, prefix) => !!filePath && (prefix === '/' || filePath === prefix || filePath.startsWith(`${prefix}/`));
+
+// Helper: Start of the day after a bare date ("2026-10-19" includes that whole day)
+const endOf = (value) => {
+    const time = Date.parse(value);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time;
+};
+
+/**
+ * Entries matching every given filter, newest first: `from` / `to` (dates or
+ * timestamps), `path` (source or destination at or below it), `action`, `user`
+ * (username), `drive`. At most `limit` are returned; `truncated` says whether
+ * older matches were left out.
+ */
+const query = async ({ from, to, path: prefix, action, user, drive, limit = 200 } = {}) => {
+    const max = Math.min(Math.max(parseInt(limit, 10) || 200, 1), MAX_RESULTS);
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = to ? endOf(to) : Infinity;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) throw Object.assign(new Error('Invalid date'), { status: 400 });
+
+    await tail;
+    if (!(await fs.pathExists(AUDIT_FILE))) return { entries: [], truncated: false };
+
+    // Keep the newest `max` matches while reading the log front to back
+    const matches = [];
+    let truncated = false;
+    const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            continue; // A line cut short (e.g. by a crash) is skipped
+        }
+        const time = Date.parse(entry.at);
+        if (time < fromTime || time >= toTime) continue;
+        if (action && entry.action !== action) continue;
+        if (user && entry.username !== user) continue;
+        if (drive && entry.drive !== drive && entry.destinationDrive !== drive) continue;
+        if (prefix && !isWithin(entry.path, prefix) && !isWithin(entry.destination, prefix)) continue;
+        matches.push(entry);
+        if (matches.length > max) {
+            matches.shift();
+            truncated = true;
+        }
+    }
+    return { entries: matches.reverse(), truncated };
+};
+
+module.exports = { AUDIT_FILE, record, query };
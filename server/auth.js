@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { Errors: DavErrors } = require('webdav-server').v2;
+const { normalizePath } = require('./acl');
+
+// --- Authentication ---
+// Accounts live in users.json with scrypt password hashes. A login creates a
+// random session token that the browser keeps in an HttpOnly cookie (so
+// <img>/<video> requests to /api/raw carry it too); scripts can send it as
+// "Authorization: Bearer <token>" instead. Sessions are kept in memory.
+// The embedded WebDAV server checks Basic credentials against the same store.
+// Each account has a role ('admin' | 'user'), a home folder on the local drive
+// and path grants (see acl.js).
+
+const USERS_FILE = path.join(__dirname, 'users.json');
+const SESSION_COOKIE = 'cdc_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // Sliding: renewed on every request
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_FAILURES = 5; // Per client address and username within LOGIN_WINDOW
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const CREDENTIAL_CACHE_TTL = 5 * 60 * 1000; // WebDAV clients send Basic auth on every request
+const USER_HOMES = normalizePath(process.env.USER_HOMES || '/CloudDriveHomes'); // Under STORAGE_DIR
+const GRANT_ACCESS = ['read', 'write'];
+
+// Helper: Default home folder (administrators see the whole storage directory)
+const defaultHome = (username, role) => (role === 'admin' ? '/' : `${USER_HOMES === '/' ? '' : USER_HOMES}/${username}`);
+
+// Accounts created before homes and grants existed get the defaults
+let users = (fs.existsSync(USERS_FILE) ? fs.readJsonSync(USERS_FILE) : []).map(user => ({
+    home: defaultHome(user.username, user.role),
+    grants: [],
+    ...user
+}));
+const sessions = new Map();
+const loginFailures = new Map();
+const credentialCache = new Map();
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (now - session.lastSeen > SESSION_TTL) sessions.delete(token);
+    }
+    for (const [key, entry] of loginFailures) {
+        if (now - entry.since > LOGIN_WINDOW) loginFailures.delete(key);
+    }
+    for (const [key, entry] of credentialCache) {
+        if (now > entry.expires) credentialCache.delete(key);
+    }
+}, 60 * 1000).unref();
+
+// Helper: Fail with an HTTP status the route can pass through
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+// --- Password Hashing ---
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Compared against for unknown usernames so lookups take the same time
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// --- User Store ---
+
+const saveUsers = () => fs.writeJson(USERS_FILE, users, { spaces: 2 });
+
+// Account creation checks the store, then writes it: one at a time, so two
+// requests can't both pass the check (e.g. two first administrators)
+let accountQueue = Promise.resolve();
+const withAccountLock = (fn) => {
+    const run = accountQueue.then(fn, fn);
+    accountQueue = run.catch(() => {});
+    return run;
+};
+
+// Helper: User fields that are safe to send to the browser
+const publicUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    home: user.home,
+    grants: user.grants,
+    createdAt: user.createdAt
+});
+
+const hasUsers = () => users.length > 0;
+
+const listUsers = () => users.map(publicUser);
+
+const findUser = (id) => users.find(u => u.id === id);
+
+const getUser = (id) => {
+    const user = findUser(id);
+    return user ? publicUser(user) : null;
+};
+
+const validateCredentials = (username, password) => {
+    if (typeof username !== 'string' || !username.trim()) throw authError(400, 'Username required');
+    if (/[:\s]/.test(username.trim())) throw authError(400, 'Username must not contain spaces or colons');
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw authError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+};
+
+const validateGrants = (grants) => {
+    if (!Array.isArray(grants)) throw authError(400, 'Grants must be a list');
+    return grants.map(grant => {
+        if (!grant || typeof grant.path !== 'string' || !GRANT_ACCESS.includes(grant.access)) {
+            throw authError(400, `Invalid grant: ${JSON.stringify(grant)}`);
+        }
+        return { path: normalizePath(grant.path), access: grant.access };
+    });
+};
+
+const addUser = async ({ username, password, role = 'user', home, grants = [] }) => {
+    validateCredentials(username, password);
+    username = username.trim();
+    if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        throw authError(409, 'Username is already taken');
+    }
+    role = role === 'admin' ? 'admin' : 'user';
+    const user = {
+        id: crypto.randomUUID(),
+        username,
+        role,
+        home: home ? normalizePath(home) : defaultHome(username, role),
+        grants: validateGrants(grants),
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    await saveUsers();
+    return publicUser(user);
+};
+
+const createUser = fields => withAccountLock(() => addUser(fields));
+
+// The first administrator, only while there are no accounts at all
+const createFirstAdmin = ({ username, password }) => withAccountLock(() => {
+    if (hasUsers()) throw authError(409, 'Setup already completed');
+    return addUser({ username, password, role: 'admin' });
+});
+
+const deleteUser = async (id) => {
+    const user = findUser(id);
+    if (!user) throw authError(404, 'User not found');
+    if (user.role === 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+        throw authError(400, 'Cannot delete the last administrator');
+    }
+    users = users.filter(u => u.id !== id);
+    await saveUsers();
+    destroyUserSessions(id);
+};
+
+// Administrators: change role, home folder, grants or reset the password
+const updateUser = async (id, { role, home, grants, password }) => {
+    const user = findUser(id);
+    if (!user) throw authError(404, 'User not found');
+    const updated = { ...user };
+    if (role !== undefined) {
+        updated.role = role === 'admin' ? 'admin' : 'user';
+        if (user.role === 'admin' && updated.role !== 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+            throw authError(400, 'Cannot demote the last administrator');
+        }
+    }
+    if (home !== undefined) updated.home = home ? normalizePath(home) : null;
+    if (grants !== undefined) updated.grants = validateGrants(grants);
+    if (password !== undefined) {
+        validateCredentials(user.username, password);
+        updated.passwordHash = await hashPassword(password);
+        destroyUserSessions(id);
+        credentialCache.clear();
+    }
+    Object.assign(user, updated);
+    await saveUsers();
+    return publicUser(user);
+};
+
+// Signs the user out everywhere except the session `keepToken` the change was made in
+const changePassword = async (id, currentPassword, newPassword, keepToken) => {
+    const user = findUser(id);
+    if (!user || !(await verifyPassword(currentPassword || '', user.passwordHash))) {
+        throw authError(403, 'Current password is incorrect');
+    }
+    validateCredentials(user.username, newPassword);
+    user.passwordHash = await hashPassword(newPassword);
+    await saveUsers();
+    destroyUserSessions(id, keepToken);
+    credentialCache.clear();
+};
+
+// Resolves to the user for valid credentials, null otherwise
+const authenticate = async (username, password) => {
+    const user = users.find(u => u.username.toLowerCase() === String(username || '').trim().toLowerCase());
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : await DUMMY_HASH);
+    return user && valid ? user : null;
+};
+
+// --- Login Throttling ---
+
+const checkLoginAllowed = (key) => {
+    const entry = loginFailures.get(key);
+    if (entry && entry.count >= MAX_LOGIN_FAILURES && Date.now() - entry.since < LOGIN_WINDOW) {
+        throw authError(429, 'Too many failed logins, try again later');
+    }
+};
+
+const recordLoginFailure = (key) => {
+    const entry = loginFailures.get(key);
+    if (!entry || Date.now() - entry.since > LOGIN_WINDOW) loginFailures.set(key, { count: 1, since: Date.now() });
+    else entry.count++;
+};
+
+// Failures count per address and account (behind the Vite proxy every client is 127.0.0.1)
+const loginKey = (clientAddress, username) => `${clientAddress}|${String(username || '').trim().toLowerCase()}`;
+
+const login = async (username, password, clientAddress) => {
+    const clientKey = loginKey(clientAddress, username);
+    checkLoginAllowed(clientKey);
+    const user = await authenticate(username, password);
+    if (!user) {
+        recordLoginFailure(clientKey);
+        throw authError(401, 'Invalid username or password');
+    }
+    loginFailures.delete(clientKey);
+    return createSession(user);
+};
+
+// --- Sessions ---
+
+const createSession = (user) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    sessions.set(token, { userId: user.id, lastSeen: Date.now() });
+    return { token, user: publicUser(user) };
+};
+
+const destroySession = (token) => sessions.delete(token);
+
+const destroyUserSessions = (userId, exceptToken) => {
+    for (const [token, session] of sessions) {
+        if (session.userId === userId && token !== exceptToken) sessions.delete(token);
+    }
+};
+
+// Helper: Session token from the Authorization header or the session cookie
+const readToken = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    const cookies = (req.headers.cookie || '').split(';').map(c => c.trim());
+    const cookie = cookies.find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+// Resolves the request's session user (or null), renewing the session
+const getSessionUser = (req) => {
+    const token = readToken(req);
+    const session = token && sessions.get(token);
+    if (!session || Date.now() - session.lastSeen > SESSION_TTL) return null;
+    const user = findUser(session.userId);
+    if (!user) return null;
+    session.lastSeen = Date.now();
+    return user;
+};
+
+const setSessionCookie = (res, token) => res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_TTL
+});
+
+const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict' });
+
+// --- Middleware ---
+
+const requireAuth = (req, res, next) => {
+    const user = getSessionUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    req.user = publicUser(user);
+    next();
+};
+
+const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') return res.status(403).json({ error: 'Administrator only' });
+    next();
+};
+
+// --- WebDAV Mount ---
+// Same shape as webdav-server's HTTPBasicAuthentication, but checks users.json
+// (the bundled parser also rejects base64 containing "+" or "/").
+
+const DEFAULT_DAV_USER = { uid: '__default', username: '', isDefaultUser: true, isAdministrator: false };
+
+const webdavAuthentication = (realm) => ({
+    askForAuthentication: () => ({ 'WWW-Authenticate': `Basic realm="${realm}"` }),
+    getUser(ctx, callback) {
+        // The server maps these error objects to 401 + askForAuthentication()
+        const fail = (error) => callback(error, DEFAULT_DAV_USER);
+        const header = ctx.headers.find('Authorization');
+        if (!header) return fail(DavErrors.MissingAuthorisationHeader);
+        const match = /^Basic\s+(\S+)\s*$/i.exec(header);
+        if (!match) return fail(DavErrors.WrongHeaderFormat);
+
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const username = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+        // Non-administrators are checked path by path (acl.AclPrivilegeManager)
+        const toDavUser = (user) => ({ uid: user.id, username: user.username, isAdministrator: user.role === 'admin', isDefaultUser: false });
+
+        const cacheKey = crypto.createHash('sha256').update(decoded).digest('hex');
+        const cached = credentialCache.get(cacheKey);
+        const cachedUser = cached && Date.now() < cached.expires && findUser(cached.userId);
+        if (cachedUser) return callback(null, toDavUser(cachedUser));
+
+        // Throttled like the login form (a locked-out client gets 401 without a hash check)
+        const clientKey = loginKey(ctx.request.socket.remoteAddress, username);
+        try {
+            checkLoginAllowed(clientKey);
+        } catch (err) {
+            return fail(DavErrors.BadAuthentication);
+        }
+        authenticate(username, password)
+            .then(user => {
+                if (!user) {
+                    recordLoginFailure(clientKey);
+                    return fail(DavErrors.BadAuthentication);
+                }
+                loginFailures.delete(clientKey);
+                credentialCache.set(cacheKey, { userId: user.id, expires: Date.now() + CREDENTIAL_CACHE_TTL });
+                callback(null, toDavUser(user));
+            })
+            .catch(() => fail(DavErrors.BadAuthentication));
+    }
+});
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    hasUsers,
+    listUsers,
+    getUser,
+    createUser,
+    createFirstAdmin,
+    updateUser,
+    deleteUser,
+    changePassword,
+    login,
+    createSession,
+    destroySession,
+    readToken,
+    getSessionUser,
+    publicUser,
+    setSessionCookie,
+    clearSessionCookie,
+    requireAuth,
+    requireAdmin,
+    webdavAuthentication
+};
@@ -0,0 +1,300 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { isTrashPath } = require('./trash');
+const { extractPdfText } = require('./pdfText');
+
+// --- Full-Text Content Index ---
+// A background indexer extracts the text of text files (the `isText` rule of
+// PreviewModal.jsx) and PDFs on local and WebDAV drives into an inverted index,
+// one per drive, kept on disk:
+//   content-index/<drive>/index.json   ({ nextId, indexedAt, docs: { id: { path, mtime, size, etag, length, terms } },
+//                                         postings: { term: { id: count } } })
+//   content-index/<drive>/text/<id>.txt (extracted text, for snippets)
+// A refresh walks the drive from CONTENT_INDEX_ROOT and only re-reads files whose
+// size, mtime or ETag changed, so it is cheap to run after every change. Words are
+// lowercased; Chinese/Japanese/Korean text is indexed as overlapping character pairs.
+// On a local drive the crawl never enters the index itself or the folders passed
+// as `exclude` (the server's own directory with its users, drives and shares).
+
+const INDEX_DIR = process.env.CONTENT_INDEX_DIR || path.join(__dirname, '.content-index');
+const INDEX_ROOT = `/${(process.env.CONTENT_INDEX_ROOT || '').split('/').filter(Boolean).join('/')}`; // Folder of each drive that is indexed
+const INDEXED_TYPES = ['local', 'webdav'];
+const TEXT_EXTENSIONS = /\.(json|js|jsx|ts|tsx|py|md|css|html|xml|yml|yaml|ini|conf|sh|bash|zsh)$/i; // Same as PreviewModal.jsx
+const MAX_TEXT_SIZE = 2 * 1024 * 1024;
+const MAX_PDF_SIZE = 20 * 1024 * 1024;
+const MAX_STORED_TEXT = 256 * 1024; // Characters indexed per file
+const SKIP_DIRS = ['node_modules'];
+const SAVE_EVERY = 200; // Documents between saves during a long refresh
+
+const indexes = new Map(); // drive id -> loaded index + refresh state
+
+const isPdf = (file) => file.type === 'application/pdf';
+const isIndexable = (file) => !file.isDirectory &&
+    (file.type.startsWith('text/') || TEXT_EXTENSIONS.test(file.name) || (isPdf(file) && file.size <= MAX_PDF_SIZE)) &&
+    (isPdf(file) || file.size <= MAX_TEXT_SIZE);
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Helper: Text -> index terms (words of 2-40 characters, CJK runs as character pairs)
+const tokenize = (text) => {
+    const terms = [];
+    const words = text.toLowerCase().matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}_]+/gu);
+    for (const [word] of words) {
+        if (CJK.test(word[0])) {
+            if (word.length === 1) terms.push(word);
+            for (let i = 0; i < word.length - 1; i++) terms.push(word.slice(i, i + 2));
+        } else if (word.length >= 2 && word.length <= 40) {
+            terms.push(word);
+        }
+    }
+    return terms;
+};
+
+const driveDir = (driveId) => path.join(INDEX_DIR, driveId.replace(/[^\w.-]/g, '_'));
+const textFile = (driveId, id) => path.join(driveDir(driveId), 'text', `${id}.txt`);
+
+const load = async (driveId) => {
+    if (indexes.has(driveId)) return indexes.get(driveId);
+    const stored = await fs.readJson(path.join(driveDir(driveId), 'index.json')).catch(() => null);
+    const index = {
+        nextId: stored?.nextId || 1,
+        indexedAt: stored?.indexedAt || null,
+        docs: stored?.docs || {},
+        // A Map: terms are arbitrary words ("constructor", "__proto__")
+        postings: new Map(Object.entries(stored?.postings || {})),
+        state: 'idle',
+        progress: null
+    };
+    index.byPath = new Map(Object.entries(index.docs).map(([id, doc]) => [doc.path, id]));
+    indexes.set(driveId, index);
+    return index;
+};
+
+const save = async (driveId, index) => {
+    const file = path.join(driveDir(driveId), 'index.json');
+    const { nextId, indexedAt, docs, postings } = index;
+    await fs.outputJson(`${file}.tmp`, { nextId, indexedAt, docs, postings: Object.fromEntries(postings) });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+};
+
+const removeDoc = (driveId, index, id) => {
+    const doc = index.docs[id];
+    for (const term of doc.terms) {
+        const list = index.postings.get(term);
+        delete list[id];
+        if (Object.keys(list).length === 0) index.postings.delete(term);
+    }
+    delete index.docs[id];
+    index.byPath.delete(doc.path);
+    return fs.remove(textFile(driveId, id));
+};
+
+// Helper: The first `limit` bytes of a file
+const readHead = async (provider, filePath, limit) => {
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of await provider.readStream(filePath)) {
+        chunks.push(Buffer.from(chunk));
+        total += chunk.length;
+        if (total >= limit) break;
+    }
+    return Buffer.concat(chunks).subarray(0, limit);
+};
+
+const extractText = async (provider, file) => {
+    if (isPdf(file)) return extractPdfText(await readHead(provider, file.path, MAX_PDF_SIZE));
+    const buffer = await readHead(provider, file.path, MAX_TEXT_SIZE);
+    // A NUL byte near the start: binary despite its name
+    if (buffer.subarray(0, 8192).includes(0)) return '';
+    return buffer.toString('utf8');
+};
+
+const addDoc = async (driveId, index, provider, file) => {
+    const text = (await extractText(provider, file)).slice(0, MAX_STORED_TEXT);
+    const counts = new Map();
+    const terms = tokenize(text);
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+
+    const id = String(index.nextId++);
+    for (const [term, count] of counts) {
+        if (!index.postings.has(term)) index.postings.set(term, {});
+        index.postings.get(term)[id] = count;
+    }
+    index.docs[id] = {
+        path: file.path,
+        mtime: file.mtime ? new Date(file.mtime).getTime() : null,
+        size: file.size,
+        etag: file.etag,
+        length: terms.length,
+        terms: [...counts.keys()]
+    };
+    index.byPath.set(file.path, id);
+    await fs.outputFile(textFile(driveId, id), text);
+};
+
+const isUnchanged = (doc, file) => doc.size === file.size && doc.etag === file.etag &&
+    doc.mtime === (file.mtime ? new Date(file.mtime).getTime() : null);
+
+// Helper: Whether a local absolute path is `dir` or inside it
+const isInside = (localPath, dir) => {
+    const relative = path.relative(path.resolve(dir), localPath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+const crawl = async (driveId, index, provider, exclude) => {
+    const seen = new Set();
+    const unreadable = []; // Folders that failed to list keep their documents
+    const excluded = [INDEX_DIR, ...exclude];
+    const isExcluded = (dir) => Boolean(provider.localPath) && excluded.some(skip => isInside(provider.localPath(dir), skip));
+    const pending = [INDEX_ROOT];
+    let changed = 0;
+    index.progress = { scanned: 0, indexed: 0 };
+
+    while (pending.length) {
+        const dir = pending.shift();
+        if (isExcluded(dir)) continue;
+        let files;
+        try {
+            files = await provider.list(dir);
+        } catch (err) {
+            unreadable.push(dir);
+            continue;
+        }
+        for (const file of files) {
+            if (file.name.startsWith('.') || isTrashPath(file.path)) continue;
+            if (file.isDirectory) {
+                if (!SKIP_DIRS.includes(file.name)) pending.push(file.path);
+                continue;
+            }
+            if (!isIndexable(file)) continue;
+            index.progress.scanned++;
+            seen.add(file.path);
+            const existing = index.byPath.get(file.path);
+            if (existing && isUnchanged(index.docs[existing], file)) continue;
+            try {
+                if (existing) await removeDoc(driveId, index, existing);
+                await addDoc(driveId, index, provider, file);
+                index.progress.indexed++;
+            } catch (err) {
+                console.error(`[Index ${driveId}] ${file.path}:`, err.message);
+            }
+            if (++changed % SAVE_EVERY === 0) await save(driveId, index);
+        }
+    }
+
+    const within = (filePath, dir) => dir === '/' || filePath.startsWith(`${dir}/`);
+    for (const [filePath, id] of [...index.byPath]) {
+        if (!seen.has(filePath) && !unreadable.some(dir => within(filePath, dir))) {
+            await removeDoc(driveId, index, id);
+            changed++;
+        }
+    }
+    index.indexedAt = new Date().toISOString();
+    await save(driveId, index);
+};
+
+/**
+ * Bring a drive's index up to date. A refresh asked for while one is running
+ * runs again right after it (so the latest changes are picked up).
+ * `exclude` lists local folders a local drive's crawl must not enter.
+ */
+const refresh = async (driveId, provider, { exclude = [] } = {}) => {
+    const index = await load(driveId);
+    if (index.running) {
+        index.again = true;
+        return index.running;
+    }
+    index.state = 'indexing';
+    index.running = (async () => {
+        try {
+            do {
+                index.again = false;
+                await crawl(driveId, index, provider, exclude);
+            } while (index.again);
+        } finally {
+            index.state = 'idle';
+            index.progress = null;
+            index.running = null;
+        }
+    })();
+    return index.running;
+};
+
+const status = async (driveId) => {
+    const index = await load(driveId);
+    return {
+        state: index.state,
+        documents: index.byPath.size,
+        indexedAt: index.indexedAt,
+        progress: index.progress
+    };
+};
+
+// Helper: ~200 characters around the first hit, with the ranges of every hit in it
+const snippet = (text, terms) => {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1));
+    const center = Number.isFinite(first) ? first : 0;
+    const start = Math.max(0, center - 60);
+    const end = Math.min(text.length, center + 140);
+    const snippetText = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+
+    const lowerSnippet = snippetText.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+        for (let pos = lowerSnippet.indexOf(term); pos !== -1; pos = lowerSnippet.indexOf(term, pos + term.length)) {
+            ranges.push([pos, pos + term.length]);
+        }
+    }
+    // Merge overlapping ranges (CJK pairs overlap)
+    const highlights = [];
+    for (const [from, to] of ranges.sort((a, b) => a[0] - b[0])) {
+        const last = highlights[highlights.length - 1];
+        if (last && from <= last[1]) last[1] = Math.max(last[1], to);
+        else highlights.push([from, to]);
+    }
+    return { text: snippetText, highlights };
+};
+
+/**
+ * Documents containing every word of `query`, best first (tf-idf), each with a
+ * snippet. `canRead(path)` drops documents the user may not see.
+ */
+const search = async (driveId, query, { limit = 50, canRead = () => true } = {}) => {
+    const index = await load(driveId);
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+    const postings = terms.map(term => index.postings.get(term) || {});
+    if (postings.some(list => Object.keys(list).length === 0)) return [];
+
+    const total = index.byPath.size;
+    const [rarest, ...others] = [...postings].sort((a, b) => Object.keys(a).length - Object.keys(b).length);
+    const results = [];
+    for (const id of Object.keys(rarest)) {
+        const doc = index.docs[id];
+        if (!others.every(list => list[id]) || !canRead(doc.path)) continue;
+        const score = postings.reduce((sum, list) => {
+            const idf = Math.log(1 + total / Object.keys(list).length);
+            return sum + (1 + Math.log(list[id])) * idf;
+        }, 0) / Math.log(2 + doc.length);
+        results.push({ id, doc, score });
+    }
+
+    const top = results.sort((a, b) => b.score - a.score).slice(0, limit);
+    return Promise.all(top.map(async ({ id, doc, score }) => ({
+        path: doc.path,
+        name: path.posix.basename(doc.path),
+        size: doc.size,
+        mtime: doc.mtime ? new Date(doc.mtime).toISOString() : null,
+        score: Math.round(score * 1000) / 1000,
+        snippet: snippet(await fs.readFile(textFile(driveId, id), 'utf8').catch(() => ''), terms)
+    })));
+};
+
+// Forget a removed drive
+const removeDrive = async (driveId) => {
+    indexes.delete(driveId);
+    await fs.remove(driveDir(driveId));
+};
+
+module.exports = { INDEXED_TYPES, refresh, status, search, removeDrive, tokenize };
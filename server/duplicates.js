@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { joinPath } = require('./providers/common');
+const { isTrashPath } = require('./trash');
+const { isVersionsPath } = require('./versions');
+
+// --- Duplicate Finder ---
+// A scan walks whole drives (one or several), groups their files by size and
+// confirms candidates by content: a hash of the first QUICK_HASH_BYTES rules
+// out most of them cheaply, a SHA-256 of the whole file decides the rest.
+// Empty files are ignored. The latest result of each user is kept in memory
+// for review; files deleted or moved away afterwards drop out of it.
+
+const QUICK_HASH_BYTES = 64 * 1024;
+
+const results = new Map(); // userId -> { jobId, drives, scannedAt, scanned, skipped, groups }
+
+/**
+ * Add every file below `root` on a drive to `files` as { driveId, path, name,
+ * size, mtime } (files under `minSize` bytes are left out). Folders that can't
+ * be listed are skipped. Resolves with the number of those.
+ */
+const collectFiles = async (provider, driveId, root, files, { minSize = 1, isCancelled = () => false, onFile = () => {} } = {}) => {
+    const pending = [joinPath(root)];
+    let skipped = 0;
+    while (pending.length) {
+        if (isCancelled()) break;
+        const dir = pending.shift();
+        let entries;
+        try {
+            entries = await provider.list(dir);
+        } catch (err) {
+            skipped++;
+            continue;
+        }
+        for (const entry of entries) {
+            if (isTrashPath(entry.path) || isVersionsPath(entry.path)) continue;
+            if (entry.isDirectory) pending.push(entry.path);
+            else if (entry.size >= Math.max(minSize, 1)) {
+                files.push({ driveId, path: entry.path, name: entry.name, size: entry.size, mtime: entry.mtime });
+                onFile(files.length);
+            }
+        }
+    }
+    return skipped;
+};
+
+// Helper: SHA-256 of a file, or of its first `limit` bytes (servers that ignore
+// the range still only count up to `limit`)
+const hashFile = async (provider, filePath, limit) => {
+    const hash = crypto.createHash('sha256');
+    const stream = await provider.readStream(filePath, limit ? { start: 0, end: limit - 1 } : undefined);
+    let read = 0;
+    for await (const data of stream) {
+        const chunk = Buffer.from(data);
+        const take = limit ? Math.min(chunk.length, limit - read) : chunk.length;
+        hash.update(take < chunk.length ? chunk.subarray(0, take) : chunk);
+        read += take;
+        if (limit && read >= limit) {
+            stream.destroy?.();
+            break;
+        }
+    }
+    return hash.digest('hex');
+};
+
+// Helper: Files grouped by `keyOf(file)`, keeping only groups of two or more
+const groupsOf = (files, keyOf) => {
+    const groups = new Map();
+    for (const file of files) {
+        const key = keyOf(file);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(file);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+};
+
+/**
+ * Confirm duplicates among collected `files` by hashing them through
+ * `providers` (drive id -> provider). `onProgress({ phase, done, total })`
+ * follows the quick and the full hashing passes. Files that can't be read are
+ * left out. Resolves with { groups: [{ size, hash, files }], skipped }, the
+ * groups with the most space to gain first, files oldest first.
+ */
+const findDuplicates = async (files, providers, { isCancelled = () => false, onProgress = () => {} } = {}) => {
+    let skipped = 0;
+    const hashAll = async (candidates, phase, limitOf) => {
+        const hashed = [];
+        for (const [i, file] of candidates.entries()) {
+            if (isCancelled()) break;
+            try {
+                hashed.push({ ...file, hash: await hashFile(providers.get(file.driveId), file.path, limitOf(file)) });
+            } catch (err) {
+                skipped++;
+            }
+            onProgress({ phase, done: i + 1, total: candidates.length });
+        }
+        return hashed;
+    };
+
+    // Same size, then same first bytes (which is the whole content of small files)
+    const sameSize = groupsOf(files, file => file.size).flat();
+    const quick = await hashAll(sameSize, 'quick', file => (file.size > QUICK_HASH_BYTES ? QUICK_HASH_BYTES : 0));
+    const sameStart = groupsOf(quick, file => `${file.size}:${file.hash}`);
+    const confirmed = sameStart.filter(group => group[0].size <= QUICK_HASH_BYTES);
+
+    // Larger files need a hash of everything
+    const large = sameStart.filter(group => group[0].size > QUICK_HASH_BYTES).flat();
+    const full = await hashAll(large, 'full', () => 0);
+    confirmed.push(...groupsOf(full, file => `${file.size}:${file.hash}`));
+
+    const groups = confirmed
+        .map(group => ({
+            size: group[0].size,
+            hash: group[0].hash,
+            files: group
+                .map(({ hash, ...file }) => file)
+                .sort((a, b) => new Date(a.mtime) - new Date(b.mtime))
+        }))
+        .sort((a, b) => b.size * (b.files.length - 1) - a.size * (a.files.length - 1));
+    return { groups, skipped };
+};
+
+const saveResult = (userId, result) => results.set(userId, { ...result, scannedAt: new Date().toISOString() });
+
+const getResult = (userId) => results.get(userId) || null;
+
+// Drop files that are gone from `driveId` (`paths` and everything below them) from all results
+const forgetPaths = (driveId, paths) => {
+    const targets = paths.map(p => joinPath(p));
+    const isGone = (file) => file.driveId === driveId && targets.some(target => file.path === target || file.path.startsWith(`${target}/`));
+    for (const result of results.values()) {
+        result.groups = result.groups
+            .map(group => ({ ...group, files: group.files.filter(file => !isGone(file)) }))
+            .filter(group => group.files.length > 1);
+    }
+};
+
+module.exports = { collectFiles, hashFile, findDuplicates, saveResult, getResult, forgetPaths };
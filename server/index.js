@@ -1,52 +1,195 @@
 const express = require('express');
 const { v2: webdavServer } = require('webdav-server');
-const { createClient } = require('webdav');
 const cors = require('cors');
 const path = require('path');
+const { once } = require('events');
 const fs = require('fs-extra');
 const os = require('os');
 const mime = require('mime-types');
 const multer = require('multer');
+const { createProvider, hasProvider, getDriveIdentity } = require('./providers');
+const { joinPath, isNotFound } = require('./providers/common');
+const { transferItems, relocate, availableCopyPath } = require('./transfer');
+const { createSession, getSession, appendChunk, completeSession, abortSession } = require('./uploads');
+const auth = require('./auth');
+const { sealDrive, openDrive, redactDrive, sealPlaintextSecrets } = require('./secrets');
+const { resolveAccess, assertAccess, assertRemovable, guardProvider, AclPrivilegeManager, AclFileSystem } = require('./acl');
+const shares = require('./shares');
+const trash = require('./trash');
+const versions = require('./versions');
+const jobs = require('./jobs');
+const watch = require('./watch');
+const search = require('./search');
+const contentIndex = require('./contentIndex');
+const thumbnails = require('./thumbnails');
+const archive = require('./archive');
+const audit = require('./audit');
+const duplicates = require('./duplicates');
+const usage = require('./usage');
+const sync = require('./sync');
 
 const app = express();
 const PORT = 8000;
 const STORAGE_DIR = os.homedir(); // Default to User Home directory
-const CONFIG_FILE = path.join(__dirname, 'drives.json');
+const CONFIG_FILE = path.join(__dirname, 'drives.json'); // Not tracked by git: holds (encrypted) credentials
 
 // Ensure storage directory exists
 fs.ensureDirSync(STORAGE_DIR);
 if (!fs.existsSync(CONFIG_FILE)) {
-    fs.writeJsonSync(CONFIG_FILE, [{ id: 'local', name: 'Local Storage', type: 'local', path: './storage' }]);
+    fs.copySync(path.join(__dirname, 'drives.example.json'), CONFIG_FILE);
 }
 
-app.use(cors());
+// Migration: encrypt credentials saved in plaintext by earlier versions
+{
+    const drives = fs.readJsonSync(CONFIG_FILE);
+    const sealed = sealPlaintextSecrets(drives);
+    if (sealed > 0) {
+        fs.writeJsonSync(CONFIG_FILE, drives, { spaces: 2 });
+        console.log(`[INFO] Encrypted ${sealed} plaintext credential(s) in drives.json`);
+    }
+}
+
+app.use(cors({ exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Job'] }));
 app.use(express.json());
 
+// Helper: Reply with an auth error's status (validation, conflicts, throttling)
+const sendAuthError = (res, err) => res.status(err.status || 500).json({ error: err.message });
+
+// Helper: Create a user's home folder on the local drive
+const ensureHome = async (user) => {
+    if (user.home && user.home !== '/') await fs.ensureDir(path.join(STORAGE_DIR, user.home));
+};
+
+// --- Auth API ---
+
+// GET /api/auth/session (Who am I; setupRequired until the first account exists)
+app.get('/api/auth/session', (req, res) => {
+    const user = auth.getSessionUser(req);
+    res.json({ user: user ? auth.publicUser(user) : null, setupRequired: !auth.hasUsers() });
+});
+
+// POST /api/auth/setup (Create the first administrator, only while there are no users)
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        await auth.createFirstAdmin({ username, password });
+        const session = await auth.login(username, password, req.ip);
+        auth.setSessionCookie(res, session.token);
+        res.json(session);
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const session = await auth.login(username, password, req.ip);
+        await ensureHome(session.user);
+        auth.setSessionCookie(res, session.token);
+        res.json(session);
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', (req, res) => {
+    const token = auth.readToken(req);
+    if (token) auth.destroySession(token);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Public share links (routes in "Shares API" below) work without an account
+const publicApi = express.Router();
+app.use('/api/public', publicApi);
+
+// Everything below requires a signed-in user
+app.use('/api', auth.requireAuth);
+
+// POST /api/auth/password (Change own password)
+app.post('/api/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await auth.changePassword(req.user.id, currentPassword, newPassword, auth.readToken(req));
+        res.json({ success: true });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// --- Users API (Administrators) ---
+
+app.get('/api/users', auth.requireAdmin, (req, res) => {
+    res.json(auth.listUsers());
+});
+
+app.post('/api/users', auth.requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role, home, grants } = req.body;
+        const user = await auth.createUser({ username, password, role, home, grants });
+        await ensureHome(user);
+        res.json(user);
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+// PATCH /api/users/:id { role, home, grants: [{ path, access: 'read' | 'write' }], password }
+app.patch('/api/users/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const { role, home, grants, password } = req.body;
+        const user = await auth.updateUser(req.params.id, { role, home, grants, password });
+        await ensureHome(user);
+        res.json(user);
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
+app.delete('/api/users/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) return res.status(400).json({ error: 'Cannot delete your own account' });
+        await auth.deleteUser(req.params.id);
+        // Their drives, share links and sync pairs go with them (home folder contents are kept)
+        const drives = await fs.readJson(CONFIG_FILE);
+        await fs.writeJson(CONFIG_FILE, drives.filter(d => d.owner !== req.params.id), { spaces: 2 });
+        await shares.deleteUserShares(req.params.id);
+        await sync.deleteUserPairs(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        sendAuthError(res, err);
+    }
+});
+
 // --- Drive Helper: Get Client for Drive ---
-const getDriveConfig = async (driveId) => {
+
+// Helper: Drives belong to the user who added them; everyone shares "local"
+// (limited by path permissions) and administrators keep drives from before accounts existed
+const canUseDrive = (user, drive) => drive.id === 'local' || drive.owner === user.id || (!drive.owner && user.role === 'admin');
+
+const getDriveConfig = async (driveId, user) => {
     const drives = await fs.readJson(CONFIG_FILE);
-    return drives.find(d => d.id === driveId) || drives[0];
+    const drive = drives.find(d => d.id === driveId) || drives[0];
+    if (!canUseDrive(user, drive)) throw Object.assign(new Error('Drive not found'), { status: 404 });
+    return openDrive(drive);
 };
 
-const getWebDAVClient = (config) => {
-    return createClient(config.url.trim(), {
-        username: config.username,
-        password: config.password
-    });
-};
+// Helper: Non-admins reach the shared local drive only through their path permissions
+const isGuarded = (config, user) => !!user && user.role !== 'admin' && config.type === 'local';
 
-// Helper: Normalize file info for frontend
-const normalizeFile = (file, driveId) => {
-    return {
-        name: file.basename || path.basename(file.filename),
-        path: file.filename, // Remote paths are already relative to its root
-        isDirectory: file.type === 'directory',
-        size: file.size || 0,
-        mtime: file.lastmod,
-        type: file.type === 'directory' ? 'folder' : mime.lookup(file.filename) || 'application/octet-stream'
-    };
+// Helper: Instantiate the registered provider for a drive config; the local drive
+// is checked against the user's path permissions (acl.js) on every operation
+const getProvider = (config, user) => {
+    const provider = createProvider(config, { storageDir: STORAGE_DIR });
+    return isGuarded(config, user) ? guardProvider(provider, user) : provider;
 };
 
+// Helper: Close connection-based providers (SFTP/FTP); no-op for stateless ones
+const releaseProvider = (provider) => (provider.close ? provider.close().catch(() => {}) : Promise.resolve());
+
 // --- Drives API ---
 app.get('/api/drives', async (req, res) => {
     let drives = [];
@@ -55,6 +198,7 @@ app.get('/api/drives', async (req, res) => {
     } catch (e) {
         drives = [{ id: 'local', name: 'Local Storage', type: 'local', path: './storage' }];
     }
+    drives = drives.filter(d => canUseDrive(req.user, d));
 
     try {
         const drivesWithQuota = await Promise.all(drives.map(async (drive) => {
@@ -64,27 +208,20 @@ app.get('/api/drives', async (req, res) => {
                     new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), ms))
                 ]);
 
-                if (drive.type === 'webdav') {
-                    const client = getWebDAVClient(drive);
-                    const quota = await withTimeout(client.getQuota(), 2000); 
-                    if (quota && quota.used !== undefined && quota.available !== undefined) {
-                        const used = parseInt(quota.used, 10) || 0;
-                        const available = parseInt(quota.available, 10) || 0;
-                        return { ...drive, quota: { used, total: used + available } };
-                    }
-                } else if (drive.type === 'local') {
-                    const stats = await fs.statfs(STORAGE_DIR);
-                    const total = stats.blocks * stats.bsize;
-                    const available = stats.bfree * stats.bsize;
-                    return { ...drive, quota: { used: total - available, total } };
+                const provider = getProvider(openDrive(drive));
+                try {
+                    const quota = await withTimeout(provider.quota(), 2000);
+                    if (quota) return { ...redactDrive(drive), quota };
+                } finally {
+                    releaseProvider(provider);
                 }
             } catch (e) {}
-            return { ...drive, quota: null };
+            return { ...redactDrive(drive), quota: null };
         }));
         console.log('[DEBUG] Drives Quota:', JSON.stringify(drivesWithQuota.map(d => ({id: d.id, quota: d.quota})), null, 2));
         res.json(drivesWithQuota);
     } catch (err) {
-        res.json(drives);
+        res.json(drives.map(redactDrive));
     }
 });
 
@@ -93,7 +230,7 @@ const crypto = require('crypto');
 app.post('/api/drives', async (req, res) => {
     try {
         const newDrive = req.body;
-        console.log('[DEBUG] POST /api/drives payload:', newDrive);
+        console.log('[DEBUG] POST /api/drives payload:', redactDrive(newDrive));
         
         let drives = [];
         try {
@@ -103,39 +240,54 @@ app.post('/api/drives', async (req, res) => {
             drives = [{ id: 'local', name: 'Local Storage', type: 'local', path: './storage' }];
         }
 
-        // Check for duplicates (URL + Username)
-        if (drives.some(d => d.url === newDrive.url && d.username === newDrive.username)) {
-            console.warn('[WARN] Duplicate Drive:', newDrive.url);
+        newDrive.type = newDrive.type || 'webdav';
+        if (newDrive.type === 'local' || !hasProvider(newDrive.type)) {
+            return res.status(400).json({ error: `Unsupported drive type: ${newDrive.type}` });
+        }
+
+        // Check for duplicates among this user's drives (same account, e.g. URL + Username or Endpoint + Bucket)
+        const ownDrives = drives.filter(d => canUseDrive(req.user, d));
+        const identity = getDriveIdentity(newDrive);
+        if (identity && ownDrives.some(d => getDriveIdentity(d) === identity)) {
+            console.warn('[WARN] Duplicate Drive:', identity);
             return res.status(409).json({ error: 'This drive account is already added' });
         }
 
         // Check for Duplicate Name
-        if (drives.some(d => d.name === newDrive.name)) {
+        if (ownDrives.some(d => d.name === newDrive.name)) {
             return res.status(409).json({ error: 'Display Name is already taken' });
         }
 
         // Assign reliable ID
         newDrive.id = crypto.randomUUID();
+        newDrive.owner = req.user.id;
         
-        drives.push(newDrive);
+        drives.push(sealDrive(newDrive));
         await fs.writeJson(CONFIG_FILE, drives, { spaces: 2 });
         console.log('[DEBUG] Write success. New count:', drives.length);
+        audit.record(req.user, { action: 'drive-add', drive: newDrive.id, detail: `${newDrive.name} (${newDrive.type})` });
         
-        res.json(newDrive);
+        res.json(redactDrive(newDrive));
     } catch (err) {
         console.error('[ERROR] Add Drive Failed:', err);
+        audit.record(req.user, { action: 'drive-add', detail: req.body.name, error: err });
         res.status(500).json({ error: err.message });
     }
 });
 
 app.post('/api/drives/test', async (req, res) => {
     try {
-        const config = req.body;
-        const client = createClient(config.url, {
-            username: config.username,
-            password: config.password
-        });
-        await client.getDirectoryContents('/'); // Try to list root
+        const config = { type: 'webdav', ...req.body };
+        // Same types as POST /api/drives: a local root would let anyone probe server paths
+        if (config.type === 'local' || !hasProvider(config.type)) {
+            return res.status(400).json({ error: `Unsupported drive type: ${config.type}` });
+        }
+        const provider = getProvider(config);
+        try {
+            await provider.list('/'); // Try to list root
+        } finally {
+            await releaseProvider(provider);
+        }
         res.json({ success: true });
     } catch (err) {
         res.status(400).json({ error: 'Connection failed', details: err.message });
@@ -148,11 +300,18 @@ app.delete('/api/drives/:id', async (req, res) => {
         if (id === 'local') return res.status(400).json({ error: 'Cannot delete local drive' });
 
         const drives = await fs.readJson(CONFIG_FILE);
+        const drive = drives.find(d => d.id === id);
+        if (!drive || !canUseDrive(req.user, drive)) return res.status(404).json({ error: 'Drive not found' });
         const newDrives = drives.filter(d => d.id !== id);
         await fs.writeJson(CONFIG_FILE, newDrives, { spaces: 2 });
+        audit.record(req.user, { action: 'drive-remove', drive: id, detail: drive.name });
+        await contentIndex.removeDrive(id);
+        usage.removeDrive(id);
+        await sync.removeDrive(id);
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        audit.record(req.user, { action: 'drive-remove', drive: req.params.id, error: err });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
@@ -163,114 +322,352 @@ app.patch('/api/drives/:id', async (req, res) => {
         if (!name) return res.status(400).json({ error: 'Name required' });
 
         const drives = await fs.readJson(CONFIG_FILE);
-        const driveIndex = drives.findIndex(d => d.id === id);
+        const driveIndex = drives.findIndex(d => d.id === id && canUseDrive(req.user, d));
         if (driveIndex === -1) return res.status(404).json({ error: 'Drive not found' });
 
         // Check duplicate name (excluding self)
-        if (drives.some(d => d.name === name && d.id !== id)) {
+        if (drives.some(d => d.name === name && d.id !== id && canUseDrive(req.user, d))) {
             return res.status(409).json({ error: 'Display Name is already taken' });
         }
 
+        const oldName = drives[driveIndex].name;
         drives[driveIndex].name = name;
         console.log('[DEBUG] Renaming drive:', id, 'to', name, '. Total drives:', drives.length);
         await fs.writeJson(CONFIG_FILE, drives, { spaces: 2 });
+        audit.record(req.user, { action: 'drive-rename', drive: id, detail: `${oldName} → ${name}` });
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        audit.record(req.user, { action: 'drive-rename', drive: req.params.id, detail: req.body.name, error: err });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
 // --- Core File APIs (Proxy Logic) ---
 
-// Helper: Safe path resolution
-const resolveSafePath = (userPath) => {
-    // Remove leading slashes to ensure it's relative
-    const safeSuffix = path.normalize(userPath).replace(/^(\.\.[\/\\])+/, '').replace(/^[\/\\]+/, '');
-    const absolutePath = path.resolve(STORAGE_DIR, safeSuffix);
-    if (!absolutePath.startsWith(STORAGE_DIR)) {
-        throw new Error('Access denied: Path traversal detected');
+// Helper: Run a route body against the provider of a drive, releasing it afterwards
+const withProvider = async (driveId, user, fn) => {
+    const config = await getDriveConfig(driveId, user);
+    const provider = getProvider(config, user);
+    try {
+        return await fn(provider, config);
+    } finally {
+        await releaseProvider(provider);
     }
-    return absolutePath;
 };
 
+// Helper: Keep the file at `filePath` as a version before a write replaces it.
+// Versions sit outside home folders, so this uses the drive's own provider
+// (after checking that a non-admin may write there at all).
+const keepVersion = async (config, user, filePath, reason) => {
+    if (isGuarded(config, user)) assertAccess(user, filePath, 'write');
+    const provider = getProvider(config);
+    try {
+        await versions.saveVersion(provider, config.id, filePath, { userId: user.id, reason });
+    } finally {
+        await releaseProvider(provider);
+    }
+};
+
+// Helper: Drop the cached disk usage of what a change touched (replaced files
+// went to the version folder, deleted ones to the trash)
+const forgetUsage = (driveId, paths) => usage.invalidate(driveId, [...paths, trash.TRASH_DIR, versions.VERSIONS_DIR]);
+
 // GET /api/files?path=/&drive=local
 app.get('/api/files', async (req, res) => {
+    const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
+    console.log(`[DEBUG] GET /api/files path="${reqPath}" drive="${driveId}"`);
     try {
-        const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
-        console.log(`[DEBUG] GET /api/files path="${reqPath}" drive="${driveId}"`);
-
-        const config = await getDriveConfig(driveId);
+        const config = await getDriveConfig(driveId, req.user);
         if (!config) return res.status(404).json({ error: 'Drive config not found' });
 
-        if (config.type === 'local') {
-            const absolutePath = resolveSafePath(reqPath);
-            const safePath = path.relative(STORAGE_DIR, absolutePath); // Return relative path
-            
-            const allFiles = await fs.readdir(absolutePath);
-            // Filter out hidden files
-            const files = allFiles.filter(f => !f.startsWith('.'));
-
-            const fileList = await Promise.all(files.map(async file => {
-                const fullPath = path.join(absolutePath, file);
-                const relPath = path.join('/', safePath, file); // Ensure absolute Web path
-                const stats = await fs.stat(fullPath);
-                return {
-                    name: file,
-                    path: relPath, // Return consistent path format
-                    isDirectory: stats.isDirectory(),
-                    size: stats.size,
-                    mtime: stats.mtime,
-                    type: stats.isDirectory() ? 'folder' : mime.lookup(fullPath) || 'application/octet-stream'
-                };
-            }));
-            res.json({ path: safePath, files: fileList });
-        } else {
-            // WebDAV Proxy
-            const client = getWebDAVClient(config);
-            try {
-                const items = await client.getDirectoryContents(reqPath);
-                res.json({
-                    path: reqPath,
-                    files: items.map(item => normalizeFile(item, driveId))
-                });
-            } catch (proxyErr) {
-                console.error('WebDAV Proxy Error:', proxyErr.message);
-                // Return 502 Bad Gateway to indicate upstream failure
-                res.status(502).json({ error: `WebDAV Error: ${proxyErr.message}` });
-            }
+        const provider = getProvider(config, req.user);
+        try {
+            const files = await provider.list(reqPath);
+            res.json({ path: reqPath, files: files.filter(file => !trash.isTrashPath(file.path) && !versions.isVersionsPath(file.path)) });
+        } catch (proxyErr) {
+            console.error(`${provider.label} Error:`, proxyErr.message);
+            if (config.type === 'local' || proxyErr.status) throw proxyErr;
+            // Return 502 Bad Gateway to indicate upstream failure
+            res.status(502).json({ error: `${provider.label} Error: ${proxyErr.message}` });
+        } finally {
+            await releaseProvider(provider);
         }
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// GET /api/raw (Serve file)
+// Helper: Validator for conditional requests (drive ETag when there is one, else size + mtime)
+const entityTag = (entry) => {
+    if (entry.etag) return entry.etag;
+    const mtime = entry.mtime ? new Date(entry.mtime).getTime() : 0;
+    return `W/"${entry.size.toString(16)}-${mtime.toString(16)}"`;
+};
+
+// Helper: If-Range holds when it matches the current ETag (strong) or Last-Modified date
+const ifRangeMatches = (ifRange, etag, lastModified) => {
+    if (!ifRange) return true;
+    if (ifRange.includes('"')) return !etag.startsWith('W/') && ifRange === etag;
+    return !!lastModified && Date.parse(ifRange) >= Date.parse(lastModified);
+};
+
+// Helper: Send one file of a provider with Range and conditional GET support.
+// `download` adds Content-Disposition: attachment; `onDownload(range)` runs
+// right before a body is streamed (not for HEAD, 304 or 416 replies).
+const sendFile = async (req, res, provider, filePath, { download = false, onDownload } = {}) => {
+    let entry;
+    try {
+        entry = await provider.stat(filePath);
+    } catch (err) {
+        if (isNotFound(err)) return res.status(404).send('File not found');
+        throw err;
+    }
+    if (entry.isDirectory) return res.status(400).send('Path is a directory');
+
+    const size = entry.size;
+    const etag = entityTag(entry);
+    const lastModified = entry.mtime ? new Date(entry.mtime).toUTCString() : null;
+    if (download) res.attachment(entry.name);
+    res.setHeader('Content-Type', mime.lookup(entry.name) || 'application/octet-stream');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified);
+
+    // If-None-Match / If-Modified-Since
+    if (req.fresh) return res.status(304).end();
+
+    let range;
+    if (req.headers.range && ifRangeMatches(req.headers['if-range'], etag, lastModified)) {
+        const ranges = req.range(size, { combine: true });
+        if (ranges === -1) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+        // Only single ranges are served; multiple ranges (or malformed headers) get the full body
+        if (Array.isArray(ranges) && ranges.length === 1) range = ranges[0];
+    }
+
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+        res.setHeader('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD') return res.end();
+    if (onDownload) await onDownload(range);
+    if (size === 0) return res.end();
+
+    // Stream from the drive to the client
+    const stream = await provider.readStream(filePath, range ? { start: range.start, end: range.end } : {});
+    stream.on('error', (streamErr) => {
+        console.error('Stream Error:', streamErr);
+        if (!res.headersSent) res.status(502).send('Proxy Stream Error');
+        else res.destroy(); // Abort so the client does not take a truncated body as complete
+    });
+    res.on('close', () => { if (stream.destroy) stream.destroy(); });
+
+    stream.pipe(res);
+};
+
+// GET /api/raw (Serve file, with Range and conditional GET for every drive type)
 app.get('/api/raw', async (req, res) => {
     try {
-        const { path: reqPath, drive: driveId = 'local' } = req.query;
+        const { path: reqPath, drive: driveId = 'local', download } = req.query;
         if (!reqPath) return res.status(400).send('Path required');
-        const config = await getDriveConfig(driveId);
-
-        if (config.type === 'local') {
-            res.sendFile(resolveSafePath(reqPath));
-        } else {
-            const client = getWebDAVClient(config);
-            // Stream from remote WebDAV to client
-            const stream = client.createReadStream(reqPath);
-            const fileName = path.basename(reqPath);
-            res.setHeader('Content-Type', mime.lookup(fileName) || 'application/octet-stream');
-            
-            stream.on('error', (streamErr) => {
-                console.error('Stream Error:', streamErr);
-                if (!res.headersSent) res.status(502).send('Proxy Stream Error');
-                else res.end(); // Close connection if headers already sent
-            });
+        const config = await getDriveConfig(driveId, req.user);
+        const provider = getProvider(config, req.user);
+        res.on('close', () => releaseProvider(provider));
+        await sendFile(req, res, provider, reqPath, { download: download === '1' });
+    } catch (err) {
+        if (!res.headersSent) res.status(err.status || 500).send(err.message);
+        else res.destroy();
+    }
+});
+
+// GET|POST /api/archive  drive, paths (JSON array), format=zip|tar.gz, name
+// Streams the items (folders recursively) as one archive download. POST takes a
+// form body so the browser can download a long selection natively.
+const sendArchive = async (req, res) => {
+    const params = req.method === 'POST' ? req.body : req.query;
+    const format = params.format || 'zip';
+    if (!archive.FORMATS[format]) return res.status(400).json({ error: `Unknown format "${format}"` });
+    let paths;
+    try {
+        paths = JSON.parse(params.paths);
+    } catch (err) {
+        paths = null;
+    }
+    if (!Array.isArray(paths) || paths.length === 0) return res.status(400).json({ error: 'Paths required' });
 
-            stream.pipe(res);
+    let provider;
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    try {
+        const config = await getDriveConfig(params.drive || 'local', req.user);
+        provider = getProvider(config, req.user);
+        // Stat everything first, so a missing item fails before the download starts
+        const entries = [];
+        for (const filePath of paths) entries.push(await provider.stat(filePath));
+
+        const name = params.name || (entries.length === 1 ? entries[0].name : 'download');
+        res.attachment(`${name}.${archive.FORMATS[format].extension}`);
+        res.type(archive.FORMATS[format].type);
+        await archive.streamArchive(provider, entries, format, res, { isCancelled: () => closed });
+    } catch (err) {
+        if (closed) return;
+        if (res.headersSent) {
+            console.error('Archive Error:', err.message);
+            return res.destroy();
         }
+        if (!err.status && isNotFound(err)) return res.status(404).json({ error: 'File not found' });
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        if (provider) await releaseProvider(provider);
+    }
+};
+
+app.get('/api/archive', sendArchive);
+app.post('/api/archive', express.urlencoded({ extended: false }), sendArchive);
+
+// Helper: Stat an archive file on a drive (400 unless it's a ZIP / tar / tar.gz)
+const statArchive = async (provider, filePath) => {
+    const entry = await provider.stat(filePath);
+    if (!archive.isArchive(entry)) throw Object.assign(new Error('Not a ZIP or tar archive'), { status: 400 });
+    return entry;
+};
+
+// GET /api/archive/entries?drive=local&path=/a.zip&inner=/docs (one folder inside an archive)
+app.get('/api/archive/entries', async (req, res) => {
+    try {
+        const { path: reqPath, drive: driveId = 'local', inner = '/' } = req.query;
+        if (!reqPath) return res.status(400).json({ error: 'Path required' });
+        const files = await withProvider(driveId, req.user, async (provider, config) => {
+            const entry = await statArchive(provider, reqPath);
+            const items = await archive.listArchive(provider, config.id, entry);
+            return archive.listArchiveFolder(items, inner);
+        });
+        res.json({ path: joinPath(inner), files });
     } catch (err) {
-        res.status(500).send(err.message);
+        if (!err.status && isNotFound(err)) return res.status(404).json({ error: 'File not found' });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/archive/raw?drive=local&path=/a.zip&inner=/docs/readme.md[&download=1] (one file inside an archive)
+app.get('/api/archive/raw', async (req, res) => {
+    let provider;
+    try {
+        const { path: reqPath, drive: driveId = 'local', inner, download } = req.query;
+        if (!reqPath || !inner) return res.status(400).send('Path required');
+        const config = await getDriveConfig(driveId, req.user);
+        provider = getProvider(config, req.user);
+        const entry = await statArchive(provider, reqPath);
+        const { stream, size, type } = await archive.openArchiveEntry(provider, entry, inner);
+        if (download === '1') res.attachment(path.posix.basename(inner));
+        res.setHeader('Content-Type', type);
+        res.setHeader('Content-Length', size);
+        res.on('close', () => stream.destroy());
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+        await once(stream, 'close').catch(() => {});
+    } catch (err) {
+        if (res.headersSent) return res.destroy();
+        if (!err.status && isNotFound(err)) return res.status(404).send('File not found');
+        res.status(err.status || 500).send(err.message);
+    } finally {
+        if (provider) await releaseProvider(provider);
+    }
+});
+
+// POST /api/archive/extract { drive, path, inner: [paths inside the archive] (default: all),
+// destinationDrive, destination } -> job (the destination can be on another drive)
+app.post('/api/archive/extract', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath, inner = ['/'], destinationDrive = driveId, destination } = req.body;
+        if (!reqPath || !destination || !Array.isArray(inner) || inner.length === 0) return res.status(400).json({ error: 'Missing parameters' });
+        const sourceConfig = await getDriveConfig(driveId, req.user);
+        const targetConfig = await getDriveConfig(destinationDrive, req.user);
+        const job = jobs.createJob({
+            userId: req.user.id,
+            type: 'extract',
+            driveId: sourceConfig.id,
+            destinationDriveId: targetConfig.id,
+            source: reqPath,
+            destination,
+            items: inner
+        }, async (job) => {
+            // Separate connections: the archive is read while the files are written
+            const source = getProvider(sourceConfig, req.user);
+            const target = getProvider(targetConfig, req.user);
+            try {
+                const entry = await statArchive(source, reqPath);
+                await jobs.forEachItem(job, item => archive.extractArchive(source, entry, item, target, destination, {
+                    isCancelled: () => job.cancelRequested,
+                    beforeReplace: destPath => keepVersion(targetConfig, req.user, destPath, 'extract')
+                }));
+            } finally {
+                await releaseProvider(source);
+                await releaseProvider(target);
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/archive/create { drive, items, destination, name, format } -> job
+// (writes "<destination>/<name>.zip" on the same drive, never over an existing file)
+app.post('/api/archive/create', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', items, destination, name, format = 'zip' } = req.body;
+        if (!Array.isArray(items) || items.length === 0 || !destination) return res.status(400).json({ error: 'Missing parameters' });
+        if (!archive.FORMATS[format]) return res.status(400).json({ error: `Unknown format "${format}"` });
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: 'compress', driveId: config.id, destination, items }, async (job) => {
+            const source = getProvider(config, req.user);
+            const target = getProvider(config, req.user);
+            try {
+                const entries = [];
+                await jobs.forEachItem(job, async (item) => { entries.push(await source.stat(item)); });
+                if (job.cancelRequested || entries.length === 0) return;
+                const baseName = name || (entries.length === 1 ? entries[0].name : 'archive');
+                const extension = `.${archive.FORMATS[format].extension}`;
+                const destPath = await availableCopyPath(target, joinPath(destination, `${baseName}${extension}`), { tryOriginal: true, extension });
+                job.destination = destPath;
+                await archive.createArchiveFile(source, entries, format, target, destPath);
+            } finally {
+                await releaseProvider(source);
+                await releaseProvider(target);
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/thumbnail?path=/a.jpg&drive=local&size=256&v=<mtime>
+// (With `v` the URL changes with the file, so browsers may cache it for good)
+app.get('/api/thumbnail', async (req, res) => {
+    try {
+        const { path: reqPath, drive: driveId = 'local', size = 256, v } = req.query;
+        if (!reqPath) return res.status(400).send('Path required');
+        const file = await withProvider(driveId, req.user, async (provider, config) => {
+            // Cached thumbnails skip readStream, so check read access here
+            if (isGuarded(config, req.user)) assertAccess(req.user, reqPath, 'read');
+            const entry = await provider.stat(reqPath);
+            return thumbnails.getThumbnail(provider, config.id, entry, Number(size) || 256);
+        });
+        res.set('Cache-Control', v ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+        res.type('image/webp').sendFile(file);
+    } catch (err) {
+        if (!err.status && isNotFound(err)) return res.status(404).send('File not found');
+        if (!err.status) console.error('Thumbnail Error:', err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -278,159 +675,1074 @@ app.get('/api/raw', async (req, res) => {
 app.post('/api/mkdir', async (req, res) => {
     try {
         const { path: reqPath, drive: driveId = 'local' } = req.body;
-        const config = await getDriveConfig(driveId);
-
-        if (config.type === 'local') {
-            await fs.ensureDir(resolveSafePath(reqPath));
-        } else {
-            const client = getWebDAVClient(config);
-            await client.createDirectory(reqPath);
-        }
+        await withProvider(driveId, req.user, provider => provider.mkdir(reqPath));
+        audit.record(req.user, { action: 'mkdir', drive: driveId, path: reqPath });
+        forgetUsage(driveId, [reqPath]);
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        audit.record(req.user, { action: 'mkdir', drive: req.body.drive || 'local', path: req.body.path, error: err });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// POST /api/delete
+// POST /api/delete { items, drive, permanent } -> job (Items go to the drive's trash unless `permanent`)
 app.post('/api/delete', async (req, res) => {
     try {
-        const { items, drive: driveId = 'local' } = req.body;
-        const config = await getDriveConfig(driveId);
-
-        if (config.type === 'local') {
-            await Promise.all(items.map(async itemPath => {
-                const safePath = path.normalize(itemPath).replace(/^(\.\.[/\\])+/, '');
-                await fs.remove(path.join(STORAGE_DIR, safePath));
+        const { items, drive: driveId = 'local', permanent = false } = req.body;
+        if (!Array.isArray(items)) return res.status(400).json({ error: 'Missing parameters' });
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: permanent ? 'delete' : 'trash', driveId: config.id, items }, (job) => {
+            if (permanent) {
+                return withProvider(config.id, req.user, provider => jobs.forEachItem(job, item => provider.delete(item)));
+            }
+            return withTrash(config.id, req.user, (provider, trashConfig) => jobs.forEachItem(job, async (item) => {
+                if (isGuarded(trashConfig, req.user)) assertRemovable(req.user, item);
+                await trash.moveToTrash(provider, trashConfig.id, [item], req.user.id);
             }));
-        } else {
-            const client = getWebDAVClient(config);
-            await Promise.all(items.map(item => client.deleteFile(item.replace(/^\/+/, ''))));
-        }
-        res.json({ success: true });
+        });
+        res.status(202).json(job);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// POST /api/move
+// POST /api/move { items, destination, drive } -> job
 app.post('/api/move', async (req, res) => {
     try {
         const { items, destination, drive: driveId = 'local' } = req.body;
-        const config = await getDriveConfig(driveId);
-
-        if (config.type === 'local') {
-            await Promise.all(items.map(async itemPath => {
-                // ... (existing move logic) ...
-                const safeItem = path.normalize(itemPath).replace(/^(\.\.[/\\])+/, ''); // Simplified relative
-                const absItem = path.join(STORAGE_DIR, safeItem);
-                
+        if (!Array.isArray(items) || !destination) return res.status(400).json({ error: 'Missing parameters' });
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: 'move', driveId: config.id, destination, items }, job => (
+            withProvider(config.id, req.user, provider => jobs.forEachItem(job, async (item) => {
                 // Destination is a FOLDER in move API
-                const safeDest = path.normalize(destination).replace(/^(\.\.[/\\])+/, '');
-                const absDestDir = path.join(STORAGE_DIR, safeDest);
-                const absNewPath = path.join(absDestDir, path.basename(safeItem));
-                
-                if (absItem !== absNewPath) await fs.move(absItem, absNewPath, { overwrite: true });
-            }));
-        } else {
-            const client = getWebDAVClient(config);
-            await Promise.all(items.map(item => {
-                const cleanDest = destination.replace(/^\/+/, '');
-                const destPath = path.posix.join(cleanDest, path.basename(item));
-                return client.moveFile(item.replace(/^\/+/, ''), destPath);
-            }));
-        }
-        res.json({ success: true });
+                const destPath = joinPath(destination, path.posix.basename(item));
+                if (joinPath(item) === destPath) return;
+                await relocate(provider, item, destPath, { beforeReplace: filePath => keepVersion(config, req.user, filePath, 'move') });
+            }))
+        ));
+        res.status(202).json(job);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/copy { items, destination, drive } -> job (recursive copy within one drive)
+app.post('/api/copy', async (req, res) => {
+    try {
+        const { items, destination, drive: driveId = 'local' } = req.body;
+        if (!Array.isArray(items) || !destination) return res.status(400).json({ error: 'Missing parameters' });
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: 'copy', driveId: config.id, destination, items }, job => (
+            withProvider(config.id, req.user, provider => jobs.forEachItem(job, item => transferItems({
+                source: provider,
+                target: provider,
+                sameDrive: true,
+                items: [item],
+                destination,
+                mode: 'copy',
+                beforeReplace: destPath => keepVersion(config, req.user, destPath, 'copy')
+            })))
+        ));
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/transfer -> job (move/copy between drives, streamed through this server)
+app.post('/api/transfer', async (req, res) => {
+    try {
+        const { items, destination, sourceDrive = 'local', destinationDrive = 'local', mode = 'move' } = req.body;
+        if (!Array.isArray(items) || !destination) return res.status(400).json({ error: 'Missing parameters' });
+        if (!['move', 'copy'].includes(mode)) return res.status(400).json({ error: `Unknown mode: ${mode}` });
+
+        const sourceConfig = await getDriveConfig(sourceDrive, req.user);
+        const targetConfig = await getDriveConfig(destinationDrive, req.user);
+        const sameDrive = sourceConfig.id === targetConfig.id;
+        const job = jobs.createJob({
+            userId: req.user.id,
+            type: mode === 'move' ? 'transfer-move' : 'transfer-copy',
+            driveId: sourceConfig.id,
+            destinationDriveId: targetConfig.id,
+            destination,
+            items
+        }, async (job) => {
+            const source = getProvider(sourceConfig, req.user);
+            const target = sameDrive ? source : getProvider(targetConfig, req.user);
+            try {
+                await jobs.forEachItem(job, item => transferItems({
+                    source,
+                    target,
+                    sameDrive,
+                    items: [item],
+                    destination,
+                    mode,
+                    beforeReplace: destPath => keepVersion(targetConfig, req.user, destPath, mode)
+                }));
+            } finally {
+                await releaseProvider(source);
+                if (!sameDrive) await releaseProvider(target);
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        console.error('[Transfer Error]', err);
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// POST /api/rename
+// Helper: A single file or folder name (a rename must not move the item elsewhere)
+const isPlainName = (name) => typeof name === 'string' && name.trim() !== '' && !/[\/\\]/.test(name) && name !== '.' && name !== '..';
+
+// POST /api/rename { oldPath, newName, drive } -> job (a folder rename is a full copy on some drives)
 app.post('/api/rename', async (req, res) => {
     try {
-        const { oldPath, newName, path: currentPath, drive: driveId = 'local' } = req.body;
+        const { oldPath, newName, drive: driveId = 'local' } = req.body;
         if (!oldPath || !newName) return res.status(400).json({ error: 'Missing parameters' });
+        if (!isPlainName(newName)) return res.status(400).json({ error: 'Invalid name' });
 
-        const config = await getDriveConfig(driveId);
-
-        if (config.type === 'local') {
-            // Local Rename
-            const safeOld = path.normalize(oldPath).replace(/^(\.\.[/\\])+/, '');
-            const absOld = path.join(STORAGE_DIR, safeOld);
-            
-            // Construct new path in the same directory
-            const safeDir = path.dirname(safeOld);
-            const absNew = path.join(STORAGE_DIR, safeDir, newName); // Same dir, new name
-
-            await fs.rename(absOld, absNew);
-        } else {
-            // WebDAV Rename
-            const client = getWebDAVClient(config);
-            // Strip leading slashes
-            const cleanOldPath = oldPath.replace(/^\/+/, '');
-            
-            const parentDir = path.dirname(cleanOldPath);
-            const safeParentDir = parentDir.split(path.sep).join('/');
-            const newPath = path.posix.join(safeParentDir, newName);
-            
-            await client.moveFile(cleanOldPath, newPath);
-        }
-        res.json({ success: true });
+        // Construct new path in the same directory
+        const newPath = joinPath(path.posix.dirname(joinPath(oldPath)), newName);
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: 'rename', driveId: config.id, destination: newPath, items: [oldPath] }, job => (
+            withProvider(config.id, req.user, provider => jobs.forEachItem(job, async (item) => {
+                if (joinPath(item) === newPath) return;
+                await relocate(provider, item, newPath, { beforeReplace: filePath => keepVersion(config, req.user, filePath, 'rename') });
+            }))
+        ));
+        res.status(202).json(job);
     } catch (err) {
         console.error('[Rename Error]', err);
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Multer & Upload
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
-        if (driveId === 'local') {
-            const uploadDir = path.join(STORAGE_DIR, path.normalize(reqPath).replace(/^(\.\.[/\\])+/, ''));
-            fs.ensureDirSync(uploadDir);
-            cb(null, uploadDir);
-        } else {
-            cb(null, '/tmp'); // Temp for remote upload
+// Multer & Upload: files land in the temp dir, then a job streams them into the target provider
+const upload = multer({ dest: os.tmpdir() });
+
+app.post('/api/upload', upload.array('files'), async (req, res) => {
+    const tempFiles = new Map((req.files || []).map(file => [joinPath(req.query.path || '/', Buffer.from(file.originalname, 'latin1').toString('utf8')), file.path]));
+    const removeTempFiles = () => Promise.all([...tempFiles.values()].map(tempPath => fs.remove(tempPath)));
+    try {
+        const { drive: driveId = 'local' } = req.query;
+        const config = await getDriveConfig(driveId, req.user);
+        const job = jobs.createJob({ userId: req.user.id, type: 'upload', driveId: config.id, items: [...tempFiles.keys()] }, async (job) => {
+            try {
+                await withProvider(config.id, req.user, provider => jobs.forEachItem(job, async (item) => {
+                    await keepVersion(config, req.user, item, 'upload');
+                    await provider.writeStream(item, fs.createReadStream(tempFiles.get(item)));
+                }));
+            } finally {
+                await removeTempFiles();
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        await removeTempFiles();
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// --- Resumable Uploads (tus-style) ---
+
+// POST /api/uploads { drive, path, name, size } -> { id, offset }
+app.post('/api/uploads', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath = '/', name, size } = req.body;
+        const length = parseInt(size, 10);
+        if (!name || !(length >= 0)) return res.status(400).json({ error: 'Missing parameters' });
+
+        const config = await getDriveConfig(driveId, req.user);
+        const filePath = joinPath(reqPath, name);
+        // Fail early rather than after the last chunk
+        if (isGuarded(config, req.user)) assertAccess(req.user, filePath, 'write');
+        const session = createSession({
+            write: async (source) => {
+                await keepVersion(config, req.user, filePath, 'upload');
+                await withProvider(config.id, req.user, provider => provider.writeStream(filePath, source));
+            },
+            path: filePath,
+            size: length,
+            driveId: config.id,
+            userId: req.user.id
+        });
+        if (length === 0) {
+            await completeSession(session);
+            audit.record(req.user, { action: 'upload', drive: config.id, path: session.path });
+            forgetUsage(config.id, [session.path]);
         }
-    },
-    filename: (req, file, cb) => cb(null, Buffer.from(file.originalname, 'latin1').toString('utf8'))
+        res.status(201).setHeader('Location', `/api/uploads/${session.id}`);
+        res.json({ id: session.id, offset: 0 });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
 });
-const upload = multer({ storage });
 
-app.post('/api/upload', upload.array('files'), async (req, res) => {
+// HEAD /api/uploads/:id -> Upload-Offset (how many bytes the server has), plus
+// Upload-Job once every byte is there and the file is being stored
+app.head('/api/uploads/:id', (req, res) => {
+    const session = getSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).end();
+    res.set({ 'Upload-Offset': session.offset, 'Upload-Length': session.size, 'Cache-Control': 'no-store' });
+    if (session.jobId) res.set('Upload-Job', session.jobId);
+    res.status(200).end();
+});
+
+// PATCH /api/uploads/:id (raw bytes starting at the Upload-Offset header) -> 204, or
+// 202 with a job after the last chunk (the file is written to its drive in the background)
+app.patch('/api/uploads/:id', async (req, res) => {
+    const session = getSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    if (session.busy) return res.status(423).json({ error: 'Upload is busy' });
+
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    if (offset !== session.offset) {
+        res.set('Upload-Offset', session.offset);
+        return res.status(409).json({ error: 'Offset mismatch' });
+    }
+    try {
+        const newOffset = await appendChunk(session, req);
+        res.set('Upload-Offset', newOffset);
+        if (newOffset < session.size) return res.status(204).end();
+        const job = jobs.createJob({ userId: req.user.id, type: 'upload', driveId: session.driveId, items: [session.path] }, async (job) => {
+            await jobs.forEachItem(job, () => completeSession(session));
+            // Cancelled before it started: drop the staged file
+            if (job.cancelRequested) abortSession(session);
+        });
+        session.jobId = job.id;
+        res.set('Upload-Job', job.id);
+        res.status(202).json(job);
+    } catch (err) {
+        console.error('[Upload Error]', err);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/uploads/:id (abandon)
+app.delete('/api/uploads/:id', (req, res) => {
+    const session = getSession(req.params.id, req.user.id);
+    // Once the file is being stored the job decides how it ends
+    if (session && !session.jobId) abortSession(session);
+    res.json({ success: true });
+});
+
+// --- Jobs API ---
+
+app.get('/api/jobs', (req, res) => {
+    res.json(jobs.listJobs(req.user.id));
+});
+
+// GET /api/jobs/events (Server-Sent Events: the current jobs, then every change as `event: job`)
+app.get('/api/jobs/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let a reverse proxy hold events back
+    });
+    const send = job => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+    jobs.listJobs(req.user.id).reverse().forEach(send);
+
+    const unsubscribe = jobs.subscribe(req.user.id, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id, req.user.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobs.publicJob(job));
+});
+
+// POST /api/jobs/:id/cancel (Queued jobs stop at once, running ones before their next item)
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobs.cancelJob(req.params.id, req.user.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+});
+
+// DELETE /api/jobs/:id (Dismiss a finished job)
+app.delete('/api/jobs/:id', (req, res) => {
+    if (!jobs.dismissJob(req.params.id, req.user.id)) return res.status(404).json({ error: 'No finished job with this id' });
+    res.json({ success: true });
+});
+
+// --- Change Notifications ---
+
+// GET /api/watch?drive=local&path=/ (Server-Sent Events: `event: change` whenever the folder's listing changes)
+app.get('/api/watch', async (req, res) => {
+    const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
+    let config;
+    try {
+        config = await getDriveConfig(driveId, req.user);
+        // Checks the folder exists and the user may see it (path permissions on local)
+        await withProvider(driveId, req.user, provider => provider.list(reqPath));
+    } catch (err) {
+        return res.status(err.status || (isNotFound(err) ? 404 : 500)).json({ error: err.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: ready\ndata: ${JSON.stringify({ pollInterval: config.type === 'local' ? null : watch.POLL_INTERVAL })}\n\n`);
+
+    const localProvider = config.type === 'local' ? createProvider(config, { storageDir: STORAGE_DIR }) : null;
+    const key = localProvider ? localProvider.localPath(reqPath) : `${config.id}:${joinPath(reqPath)}`;
+    const unsubscribe = watch.subscribe(key, {
+        localDirectory: localProvider && key,
+        driveId: config.id,
+        path: joinPath(reqPath),
+        connect: () => getProvider(config),
+        disconnect: releaseProvider
+    }, () => res.write(`event: change\ndata: ${JSON.stringify({ drive: driveId, path: reqPath })}\n\n`));
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// --- Search ---
+
+// GET /api/search?drive=local&path=/&q=*.pdf&type=document&minSize=&maxSize=&modifiedAfter=&modifiedBefore=&limit=
+// Streams newline-delimited JSON: {"type":"match","file":{...}} per result, then
+// {"type":"done","scanned","skipped","truncated"} (or {"type":"error","error"})
+app.get('/api/search', async (req, res) => {
+    const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
+    let criteria;
+    let config;
+    try {
+        criteria = search.parseCriteria(req.query);
+        config = await getDriveConfig(driveId, req.user);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    const limit = Math.min(Number(req.query.limit) || search.MAX_RESULTS, search.MAX_RESULTS);
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    });
+    const send = (message) => res.write(`${JSON.stringify(message)}\n`);
+
+    const provider = getProvider(config, req.user);
+    try {
+        const summary = await search.searchDrive(provider, reqPath, criteria, file => send({ type: 'match', file }), {
+            limit,
+            isCancelled: () => closed
+        });
+        send({ type: 'done', ...summary });
+    } catch (err) {
+        console.error('Search Error:', err.message);
+        send({ type: 'error', error: err.message });
+    } finally {
+        await releaseProvider(provider);
+        res.end();
+    }
+});
+
+// --- Content Search ---
+
+const INDEX_INTERVAL = Number(process.env.CONTENT_INDEX_INTERVAL_MINUTES || 0) * 60 * 1000; // 0 = no crawl at start or on a timer
+const INDEX_EXCLUDE = [__dirname, thumbnails.THUMBNAIL_DIR]; // Never index the server's own files
+const indexTimers = new Map(); // drive id -> pending refresh
+
+// Helper: Refresh a drive's content index after `delay` (changes in a burst share one refresh).
+// Only `build` creates an index; other refreshes keep existing ones up to date.
+const scheduleIndex = (driveId, delay = 5000, { build = false } = {}) => {
+    clearTimeout(indexTimers.get(driveId));
+    indexTimers.set(driveId, setTimeout(async () => {
+        indexTimers.delete(driveId);
+        const drive = (await fs.readJson(CONFIG_FILE).catch(() => [])).find(d => d.id === driveId);
+        if (!drive || !contentIndex.INDEXED_TYPES.includes(drive.type)) return;
+        const status = await contentIndex.status(drive.id);
+        if (!build && !status.indexedAt && status.state !== 'indexing') return;
+        const provider = getProvider(openDrive(drive));
+        try {
+            await contentIndex.refresh(drive.id, provider, { exclude: INDEX_EXCLUDE });
+        } catch (err) {
+            console.warn(`[WARN] Content index failed for drive "${drive.name}":`, err.message);
+        } finally {
+            await releaseProvider(provider);
+        }
+    }, delay).unref());
+};
+
+// Helper: Content search works on drives the indexer covers
+const getIndexedDrive = async (driveId, user) => {
+    const config = await getDriveConfig(driveId, user);
+    if (!contentIndex.INDEXED_TYPES.includes(config.type)) {
+        throw Object.assign(new Error('Content search is available for local and WebDAV drives'), { status: 400 });
+    }
+    return config;
+};
+
+// GET /api/content-search?drive=local&q=budget&limit=50 -> { results: [{ path, name, score, snippet: { text, highlights } }], status }
+app.get('/api/content-search', async (req, res) => {
+    try {
+        const config = await getIndexedDrive(req.query.drive || 'local', req.user);
+        // Non-admins on the local drive only find what they may read
+        const canRead = isGuarded(config, req.user) ? filePath => ['read', 'write'].includes(resolveAccess(req.user, filePath)) : undefined;
+        const results = await contentIndex.search(config.id, req.query.q || '', {
+            limit: Math.min(Number(req.query.limit) || 50, 200),
+            canRead
+        });
+        res.json({ results, status: await contentIndex.status(config.id) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/content-index/status', async (req, res) => {
+    try {
+        const config = await getIndexedDrive(req.query.drive || 'local', req.user);
+        res.json(await contentIndex.status(config.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/content-index/refresh { drive } (Picks up changes the server didn't see, e.g. on a WebDAV drive)
+app.post('/api/content-index/refresh', async (req, res) => {
+    try {
+        const config = await getIndexedDrive(req.body.drive || 'local', req.user);
+        scheduleIndex(config.id, 0, { build: true });
+        res.status(202).json(await contentIndex.status(config.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Re-index the drives a finished job touched
+jobs.onFinished((job) => {
+    if (!job.readOnly) [job.driveId, job.destinationDriveId].filter(Boolean).forEach(id => scheduleIndex(id));
+});
+
+// With CONTENT_INDEX_INTERVAL_MINUTES set, index every drive shortly after start, then periodically
+const indexAllDrives = async () => {
+    for (const drive of await fs.readJson(CONFIG_FILE).catch(() => [])) scheduleIndex(drive.id, 10 * 1000, { build: true });
+};
+if (INDEX_INTERVAL > 0) {
+    indexAllDrives();
+    setInterval(indexAllDrives, INDEX_INTERVAL).unref();
+}
+
+// --- Trash API ---
+
+// Helper: The bin sits outside home folders, so trash routes use the drive's own
+// provider; `canSee(item)` limits non-admins on the local drive to what they deleted
+const withTrash = async (driveId, user, fn) => {
+    const config = await getDriveConfig(driveId, user);
+    const provider = getProvider(config);
+    const canSee = (item) => !isGuarded(config, user) || item.deletedBy === user.id;
+    try {
+        return await fn(provider, config, canSee);
+    } finally {
+        await releaseProvider(provider);
+    }
+};
+
+// GET /api/trash?drive=local -> { retentionDays, items: [{ id, name, originalPath, isDirectory, size, deletedAt }] }
+app.get('/api/trash', async (req, res) => {
+    try {
+        const items = await withTrash(req.query.drive || 'local', req.user, async (provider, config, canSee) => {
+            return (await trash.listTrash(provider, config.id)).filter(canSee);
+        });
+        res.json({ retentionDays: trash.RETENTION_DAYS, items });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/trash/restore { drive, ids } -> { restored: [{ id, path }] }
+app.post('/api/trash/restore', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', ids = [] } = req.body;
+        const restored = await withTrash(driveId, req.user, async (provider, config, canSee) => {
+            const items = (await trash.listTrash(provider, config.id)).filter(item => canSee(item) && ids.includes(item.id));
+            if (isGuarded(config, req.user)) {
+                items.forEach(item => assertAccess(req.user, path.posix.dirname(item.originalPath), 'write'));
+            }
+            return trash.restoreItems(provider, config.id, items.map(item => item.id));
+        });
+        for (const item of restored) {
+            audit.record(req.user, { action: 'trash-restore', drive: driveId, path: item.originalPath, destination: item.result });
+        }
+        forgetUsage(driveId, restored.map(item => item.result));
+        res.json({ restored: restored.map(item => ({ id: item.id, path: item.result })) });
+    } catch (err) {
+        audit.record(req.user, { action: 'trash-restore', drive: req.body.drive || 'local', error: err });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Helper: One audit entry per item deleted from the bin for good
+const recordTrashDeleted = (user, driveId, items) => {
+    for (const item of items) audit.record(user, { action: 'trash-delete', drive: driveId, path: item.originalPath });
+    forgetUsage(driveId, []);
+};
+
+// POST /api/trash/delete { drive, ids } (Permanently)
+app.post('/api/trash/delete', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', ids = [] } = req.body;
+        const deleted = await withTrash(driveId, req.user, async (provider, config, canSee) => {
+            const items = (await trash.listTrash(provider, config.id)).filter(item => canSee(item) && ids.includes(item.id));
+            return trash.deleteItems(provider, config.id, items.map(item => item.id));
+        });
+        recordTrashDeleted(req.user, driveId, deleted);
+        res.json({ success: true });
+    } catch (err) {
+        audit.record(req.user, { action: 'trash-delete', drive: req.body.drive || 'local', error: err });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/trash/empty { drive }
+app.post('/api/trash/empty', async (req, res) => {
+    try {
+        const deleted = await withTrash(req.body.drive || 'local', req.user, async (provider, config, canSee) => {
+            const items = (await trash.listTrash(provider, config.id)).filter(canSee);
+            return trash.deleteItems(provider, config.id, items.map(item => item.id));
+        });
+        recordTrashDeleted(req.user, req.body.drive || 'local', deleted);
+        res.json({ success: true });
+    } catch (err) {
+        audit.record(req.user, { action: 'trash-delete', drive: req.body.drive || 'local', error: err });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// --- Versions API ---
+
+// Helper: A file's versions are open to whoever may read (`access`) the file itself
+const withVersions = async (driveId, user, filePath, access, fn) => {
+    const config = await getDriveConfig(driveId, user);
+    if (isGuarded(config, user)) assertAccess(user, filePath, access);
+    const provider = getProvider(config);
+    try {
+        return await fn(provider, config);
+    } finally {
+        await releaseProvider(provider);
+    }
+};
+
+// GET /api/versions?drive=local&path=/a.txt -> { keep, versions: [{ id, name, size, mtime, savedAt, savedBy, reason }] } (newest first)
+app.get('/api/versions', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath } = req.query;
+        if (!reqPath) return res.status(400).json({ error: 'Path required' });
+        const list = await withVersions(driveId, req.user, reqPath, 'read', provider => versions.listVersions(provider, reqPath));
+        res.json({
+            keep: versions.VERSIONS_PER_FILE,
+            versions: list.map(item => ({ ...item, savedBy: auth.getUser(item.savedBy)?.username || null }))
+        });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/versions/raw?drive=local&path=/a.txt&id=<version>[&download=1]
+app.get('/api/versions/raw', async (req, res) => {
+    let provider;
+    try {
+        const { drive: driveId = 'local', path: reqPath, id, download } = req.query;
+        if (!reqPath || !id) return res.status(400).send('Path required');
+        const config = await getDriveConfig(driveId, req.user);
+        if (isGuarded(config, req.user)) assertAccess(req.user, reqPath, 'read');
+        provider = getProvider(config);
+        const item = await versions.getVersion(provider, reqPath, id);
+        await sendFile(req, res, provider, versions.versionFile(item), { download: download === '1' });
+        if (!res.writableFinished) await once(res, 'close');
+    } catch (err) {
+        if (!res.headersSent) res.status(err.status || 500).send(err.message);
+        else res.destroy();
+    } finally {
+        if (provider) await releaseProvider(provider);
+    }
+});
+
+// POST /api/versions/restore { drive, path, id } (The current content is kept as a version too)
+app.post('/api/versions/restore', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath, id } = req.body;
+        if (!reqPath || !id) return res.status(400).json({ error: 'Missing parameters' });
+        const restored = await withVersions(driveId, req.user, reqPath, 'write', async (provider, config) => {
+            const target = await versions.restoreVersion(provider, config.id, reqPath, id, { userId: req.user.id });
+            scheduleIndex(config.id);
+            return target;
+        });
+        audit.record(req.user, { action: 'version-restore', drive: driveId, path: restored, detail: id });
+        forgetUsage(driveId, [restored]);
+        res.json({ path: restored });
+    } catch (err) {
+        audit.record(req.user, { action: 'version-restore', drive: req.body.drive || 'local', path: req.body.path, detail: req.body.id, error: err });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// --- Duplicates API ---
+
+// POST /api/duplicates { drives: [ids], minSize } -> job (scans the whole drives)
+// Progress: job.progress { phase: scan | quick | full, done, total }
+app.post('/api/duplicates', async (req, res) => {
+    try {
+        const { drives: driveIds, minSize = 1 } = req.body;
+        if (!Array.isArray(driveIds) || driveIds.length === 0) return res.status(400).json({ error: 'Missing parameters' });
+        const configs = await Promise.all([...new Set(driveIds)].map(id => getDriveConfig(id, req.user)));
+        // Items are the drives being walked
+        const job = jobs.createJob({ userId: req.user.id, type: 'duplicates', items: configs.map(config => config.id), readOnly: true }, async (job) => {
+            const providers = new Map(configs.map(config => [config.id, getProvider(config, req.user)]));
+            const isCancelled = () => job.cancelRequested;
+            try {
+                const files = [];
+                let skipped = 0;
+                await jobs.forEachItem(job, async (driveId) => {
+                    skipped += await duplicates.collectFiles(providers.get(driveId), driveId, '/', files, {
+                        minSize: Number(minSize) || 1,
+                        isCancelled,
+                        onFile: count => jobs.setProgress(job, { phase: 'scan', done: count })
+                    });
+                });
+                if (job.cancelRequested) return;
+                const found = await duplicates.findDuplicates(files, providers, {
+                    isCancelled,
+                    onProgress: progress => jobs.setProgress(job, progress)
+                });
+                if (job.cancelRequested) return;
+                duplicates.saveResult(req.user.id, {
+                    jobId: job.id,
+                    drives: [...providers.keys()],
+                    scanned: files.length,
+                    skipped: skipped + found.skipped,
+                    groups: found.groups
+                });
+            } finally {
+                for (const provider of providers.values()) await releaseProvider(provider);
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/duplicates -> the user's latest scan { jobId, drives, scannedAt, scanned, skipped,
+// groups: [{ size, hash, files: [{ driveId, path, name, size, mtime }] }] } or null
+app.get('/api/duplicates', (req, res) => {
+    res.json(duplicates.getResult(req.user.id));
+});
+
+// Files deleted or moved away leave the duplicate results
+jobs.onFinished((job) => {
+    if (!['trash', 'delete', 'move', 'rename', 'transfer-move'].includes(job.type)) return;
+    duplicates.forgetPaths(job.driveId, job.items.filter(item => item.status === 'done').map(item => item.path));
+});
+
+// --- Disk Usage API ---
+
+// POST /api/usage { drive, path, refresh } -> job (sizes up the folder; cached subfolders are
+// reused unless `refresh`). Progress: job.progress { phase: 'scan', done: folders listed }
+app.post('/api/usage', async (req, res) => {
     try {
-        const { path: reqPath = '/', drive: driveId = 'local' } = req.query;
-        const config = await getDriveConfig(driveId);
-
-        if (config.type !== 'local') {
-            const client = getWebDAVClient(config);
-            await Promise.all(req.files.map(async file => {
-                // Strip leading slash to avoid double slash with base URL
-                const cleanReqPath = reqPath.replace(/^\/+/, '');
-                const remotePath = path.posix.join(cleanReqPath, file.filename);
-                const fileBuffer = await fs.readFile(file.path);
-                await client.putFileContents(remotePath, fileBuffer);
-                await fs.remove(file.path); 
+        const { drive: driveId = 'local', path: reqPath = '/', refresh = false } = req.body;
+        const config = await getDriveConfig(driveId, req.user);
+        // The cache is shared, so it is filled through the drive's own provider
+        if (isGuarded(config, req.user)) assertAccess(req.user, reqPath, 'read');
+        const job = jobs.createJob({ userId: req.user.id, type: 'usage', driveId: config.id, items: [reqPath], readOnly: true }, async (job) => {
+            const provider = getProvider(config);
+            try {
+                await jobs.forEachItem(job, async (item) => {
+                    await usage.scanFolder(provider, config.id, item, {
+                        refresh,
+                        isCancelled: () => job.cancelRequested,
+                        onFolder: count => jobs.setProgress(job, { phase: 'scan', done: count })
+                    });
+                });
+            } finally {
+                await releaseProvider(provider);
+            }
+        });
+        res.status(202).json(job);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/usage?drive=local&path=/ -> the folder's cached usage
+// { path, size, files, folders, unreadable, scannedAt, children, other } or null (not scanned yet)
+app.get('/api/usage', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath = '/' } = req.query;
+        const config = await getDriveConfig(driveId, req.user);
+        if (isGuarded(config, req.user)) assertAccess(req.user, reqPath, 'read');
+        res.json(usage.getCached(config.id, reqPath));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Finished jobs change the sizes of their items' folders and of their destination
+jobs.onFinished((job) => {
+    if (job.readOnly) return;
+    if (['trash', 'delete', 'move', 'rename', 'transfer-move', 'upload', 'sync'].includes(job.type)) {
+        forgetUsage(job.driveId, job.items.map(item => item.path));
+    }
+    if (job.destination) forgetUsage(job.destinationDriveId || job.driveId, [job.destination]);
+});
+
+// --- Sync API ---
+
+// Helper: Move an item to its drive's trash on behalf of `user` (the bin sits outside home folders)
+const trashItem = async (config, user, filePath) => {
+    if (isGuarded(config, user)) assertRemovable(user, filePath);
+    const provider = getProvider(config);
+    try {
+        await trash.moveToTrash(provider, config.id, [filePath], user.id);
+    } finally {
+        await releaseProvider(provider);
+    }
+};
+
+// Helper: Queue a sync of a pair (or a dry run) as its owner. Overwritten files
+// keep a version and deleted ones go to the trash, as with any other change.
+// Progress: job.progress { phase: scan | apply, done, total }
+const startSync = async (pair, user, { dryRun = false } = {}) => {
+    if (sync.activeJob(pair.id)) throw Object.assign(new Error('This pair is already syncing'), { status: 409 });
+    const sourceConfig = await getDriveConfig(pair.source.drive, user);
+    const targetConfig = await getDriveConfig(pair.target.drive, user);
+    if (sourceConfig.id !== pair.source.drive || targetConfig.id !== pair.target.drive) {
+        throw Object.assign(new Error('Drive not found'), { status: 404 });
+    }
+    const job = jobs.createJob({
+        userId: user.id,
+        type: dryRun ? 'sync-preview' : 'sync',
+        driveId: sourceConfig.id,
+        destinationDriveId: targetConfig.id,
+        destination: pair.target.path,
+        items: [pair.source.path],
+        readOnly: dryRun
+    }, async (job) => {
+        const side = (config) => {
+            const provider = getProvider(config, user);
+            return {
+                provider,
+                beforeReplace: filePath => keepVersion(config, user, filePath, 'sync'),
+                remove: filePath => trashItem(config, user, filePath)
+            };
+        };
+        const sides = { source: side(sourceConfig), target: side(targetConfig) };
+        try {
+            await jobs.forEachItem(job, () => sync.runPair(pair, sides, {
+                dryRun,
+                isCancelled: () => job.cancelRequested,
+                onProgress: progress => jobs.setProgress(job, progress)
             }));
+        } finally {
+            sync.setActiveJob(pair.id, null);
+            await releaseProvider(sides.source.provider);
+            await releaseProvider(sides.target.provider);
         }
+    });
+    sync.setActiveJob(pair.id, job.id);
+    return job;
+};
+
+// GET /api/sync -> the user's pairs [{ id, name, source: { drive, path }, target, mode, interval,
+// lastSyncAt, lastRun: { dryRun, status, planned, applied, pending, failed, conflicts, error }, jobId }]
+app.get('/api/sync', (req, res) => {
+    res.json(sync.listPairs(req.user.id));
+});
+
+// POST /api/sync { name, source: { drive, path }, target: { drive, path }, mode: mirror | two-way, interval (minutes, 0 = manual) }
+app.post('/api/sync', async (req, res) => {
+    try {
+        const { name, source, target, mode, interval } = req.body;
+        if (!source || !target) return res.status(400).json({ error: 'Missing parameters' });
+        // Both drives must be the user's own
+        for (const side of [source, target]) {
+            const config = await getDriveConfig(side.drive, req.user);
+            if (config.id !== side.drive) return res.status(404).json({ error: 'Drive not found' });
+            if (isGuarded(config, req.user)) assertAccess(req.user, side.path || '/', 'write');
+        }
+        res.json(await sync.createPair({ owner: req.user.id, name, source, target, mode, interval }));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/sync/:id', async (req, res) => {
+    try {
+        await sync.deletePair(req.params.id, req.user.id);
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/sync/:id/run { dryRun } -> job (a dry run lists the pending changes in the pair's lastRun)
+app.post('/api/sync/:id/run', async (req, res) => {
+    try {
+        const pair = sync.getPair(req.params.id, req.user.id);
+        res.status(202).json(await startSync(pair, req.user, { dryRun: !!req.body.dryRun }));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Pairs with an interval sync on their own, as their owner
+setInterval(() => {
+    for (const pair of sync.duePairs()) {
+        const user = auth.getUser(pair.owner);
+        if (!user) continue;
+        startSync(pair, user).catch(err => console.warn(`[WARN] Sync of "${pair.name}" could not start:`, err.message));
+    }
+}, 60 * 1000).unref();
+
+// --- Audit API ---
+
+// Job types as audit actions (across drives, the entry carries a destinationDrive)
+const JOB_ACTIONS = { 'transfer-move': 'move', 'transfer-copy': 'copy' };
+
+// Helper: Where a finished job put one of its items
+const jobItemDestination = (job, itemPath) => (
+    ['move', 'copy', 'transfer-move', 'transfer-copy'].includes(job.type)
+        ? joinPath(job.destination, path.posix.basename(itemPath))
+        : job.destination
+);
+
+// Every item of a finished job is an entry; items a cancel skipped never ran,
+// while a job that failed as a whole failed for all of them
+jobs.onFinished((job) => {
+    if (job.readOnly) return;
+    const user = auth.getUser(job.userId);
+    for (const item of job.items) {
+        if (item.status === 'cancelled' && !job.error) continue;
+        audit.record(user, {
+            action: JOB_ACTIONS[job.type] || job.type,
+            drive: job.driveId,
+            path: job.source || item.path,
+            destinationDrive: job.destinationDriveId,
+            destination: jobItemDestination(job, item.path),
+            detail: job.source ? item.path : undefined,
+            error: item.error || job.error
+        });
+    }
+});
+
+// GET /api/audit?from=2026-10-01&to=2026-10-19&path=/docs&action=move&user=alice&drive=local&limit=200
+// -> { entries, truncated } (newest first, admins only)
+app.get('/api/audit', auth.requireAdmin, async (req, res) => {
+    try {
+        const { path: reqPath, ...filters } = req.query;
+        res.json(await audit.query({ ...filters, path: reqPath ? joinPath(reqPath) : undefined }));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Drop thumbnails nobody looked at for a while
+setInterval(() => {
+    thumbnails.sweep()
+        .then(removed => removed && console.log(`[INFO] Removed ${removed} unused thumbnail(s)`))
+        .catch(err => console.warn('[WARN] Thumbnail sweep failed:', err.message));
+}, 24 * 60 * 60 * 1000).unref();
+
+// Retention: purge expired trash items of every server drive a few times a day
+if (trash.RETENTION_DAYS > 0) {
+    setInterval(async () => {
+        for (const drive of await fs.readJson(CONFIG_FILE).catch(() => [])) {
+            try {
+                const provider = getProvider(openDrive(drive));
+                try {
+                    const purged = await trash.sweep(provider, drive.id);
+                    if (purged) console.log(`[INFO] Purged ${purged} expired trash item(s) on drive "${drive.name}"`);
+                } finally {
+                    await releaseProvider(provider);
+                }
+            } catch (err) {
+                console.warn(`[WARN] Trash sweep failed for drive "${drive.name}":`, err.message);
+            }
+        }
+    }, 6 * 60 * 60 * 1000).unref();
+}
+
+// --- Shares API ---
+
+// POST /api/shares { drive, path, expiresAt, password, maxDownloads }
+app.post('/api/shares', async (req, res) => {
+    try {
+        const { drive: driveId = 'local', path: reqPath, expiresAt, password, maxDownloads } = req.body;
+        if (!reqPath) return res.status(400).json({ error: 'Path required' });
+        const share = await withProvider(driveId, req.user, async (provider, config) => {
+            if (isGuarded(config, req.user)) assertAccess(req.user, reqPath, 'read');
+            const entry = await provider.stat(reqPath);
+            return shares.createShare({
+                owner: req.user.id,
+                driveId: config.id,
+                path: reqPath,
+                name: entry.name,
+                isDirectory: entry.isDirectory,
+                expiresAt,
+                password,
+                maxDownloads
+            });
+        });
+        res.json(share);
+    } catch (err) {
+        if (isNotFound(err)) return res.status(404).json({ error: 'File not found' });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/shares', (req, res) => {
+    res.json(shares.listShares(req.user));
+});
+
+// DELETE /api/shares/:id (Revoke)
+app.delete('/api/shares/:id', async (req, res) => {
+    try {
+        await shares.deleteShare(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Helper: Resolve a public link and the owner's provider for it; `subPath` is
+// relative to the shared folder and can't climb out of it
+const openShare = async (req) => {
+    const share = shares.getActiveShare(req.params.id);
+    if (!shares.isUnlocked(share, req.query.key)) throw Object.assign(new Error('Password required'), { status: 401 });
+    const owner = auth.getUser(share.owner);
+    if (!owner) throw Object.assign(new Error('Share not found'), { status: 404 });
+
+    const subPath = path.posix.normalize(path.posix.join('/', req.query.path || '/'));
+    if (!share.isDirectory && subPath !== '/') throw Object.assign(new Error('File not found'), { status: 404 });
+    const config = await getDriveConfig(share.driveId, owner);
+    if (config.id !== share.driveId) throw Object.assign(new Error('Share not found'), { status: 404 });
+    return { share, subPath, fullPath: joinPath(share.path, subPath), provider: getProvider(config, owner) };
+};
+
+// GET /api/public/shares/:id?path=/sub&key= (Share info; folder shares also list `path`)
+publicApi.get('/shares/:id', async (req, res) => {
+    let provider;
+    try {
+        const share = shares.getActiveShare(req.params.id);
+        const info = { name: share.name, isDirectory: share.isDirectory, expiresAt: share.expiresAt, hasPassword: !!share.passwordHash };
+        if (!shares.isUnlocked(share, req.query.key)) return res.json({ ...info, locked: true });
+
+        const opened = await openShare(req);
+        provider = opened.provider;
+        if (!share.isDirectory) return res.json({ ...info, file: { ...(await provider.stat(opened.fullPath)), path: '/' } });
+
+        // Entries carry paths relative to the shared folder, never the owner's real path
+        const files = await provider.list(opened.fullPath);
+        res.json({
+            ...info,
+            path: opened.subPath,
+            files: files.map(file => ({ ...file, path: joinPath(opened.subPath, file.name) }))
+        });
+    } catch (err) {
+        if (!err.status && isNotFound(err)) return res.status(404).json({ error: 'File not found' });
+        res.status(err.status || 500).json({ error: err.message });
+    } finally {
+        if (provider) await releaseProvider(provider);
+    }
+});
+
+// POST /api/public/shares/:id/unlock { password } -> { key }
+publicApi.post('/shares/:id/unlock', async (req, res) => {
+    try {
+        const share = shares.getActiveShare(req.params.id);
+        res.json({ key: await shares.unlockShare(share, req.body.password) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// GET /api/public/shares/:id/raw?path=/sub&key=&download=1 (Each download that starts at byte 0 counts)
+publicApi.get('/shares/:id/raw', async (req, res) => {
+    try {
+        const { share, fullPath, provider } = await openShare(req);
+        res.on('close', () => releaseProvider(provider));
+        await sendFile(req, res, provider, fullPath, {
+            download: req.query.download === '1',
+            onDownload: async (range) => {
+                if (!range || range.start === 0) await shares.recordDownload(share);
+            }
+        });
+    } catch (err) {
+        if (!res.headersSent) res.status(err.status || 500).send(err.message);
+        else res.destroy();
     }
 });
 
 // --- WebDAV Server (For external mounting of LOCAL drive only) ---
-const userManager = new webdavServer.SimpleUserManager();
-const user = userManager.addUser('admin', 'admin', true);
-const privilegeManager = new webdavServer.SimplePathPrivilegeManager();
-privilegeManager.setRights(user, '/', ['all']);
+// Accounts from users.json via HTTP Basic (store only keeps hashes, so no Digest);
+// anonymous requests are asked to authenticate, users get their path permissions
 const server = new webdavServer.WebDAVServer({
-    httpAuthentication: new webdavServer.HTTPDigestAuthentication(userManager, 'Default Realm'),
-    privilegeManager: privilegeManager
+    requireAuthentification: true,
+    httpAuthentication: auth.webdavAuthentication('Cloud Drive'),
+    privilegeManager: new AclPrivilegeManager(auth.getUser)
+});
+server.setFileSystem('/', new AclFileSystem(STORAGE_DIR, auth.getUser), (s) => {});
+// Helper: Drive path of a MOVE / COPY request's Destination header (null if missing or invalid)
+const davDestination = (ctx) => {
+    const destination = ctx.headers.find('Destination');
+    if (!destination) return null;
+    try {
+        return decodeURIComponent(new URL(destination, 'http://localhost').pathname).replace(/^\/webdav(?=\/|$)/, '') || '/';
+    } catch (err) {
+        return null;
+    }
+};
+// Files replaced through the mount (PUT, or MOVE / COPY onto them) are kept as versions
+server.beforeRequest((ctx, next) => {
+    const method = ctx.request.method;
+    const user = ctx.user && auth.getUser(ctx.user.uid);
+    if (!user || !['PUT', 'MOVE', 'COPY'].includes(method)) return next();
+    let target = ctx.requested.path.toString();
+    if (method !== 'PUT') {
+        target = davDestination(ctx);
+        if (!target || ctx.headers.find('Overwrite', 'T').toUpperCase() === 'F') return next();
+    }
+    getDriveConfig('local', user)
+        .then(config => keepVersion(config, user, target, 'webdav'))
+        .catch(() => {}) // No access or nothing to keep: the request itself decides
+        .then(() => next());
+});
+// WebDAV methods that change the local drive, as audit actions
+const DAV_ACTIONS = { PUT: 'upload', DELETE: 'delete', MOVE: 'move', COPY: 'copy', MKCOL: 'mkdir' };
+// Writes through the mount change the local drive: audit them and refresh its content index
+server.afterRequest((ctx, next) => {
+    const method = ctx.request.method;
+    const status = ctx.response.statusCode;
+    const user = ctx.user && auth.getUser(ctx.user.uid);
+    if (DAV_ACTIONS[method] && user) {
+        audit.record(user, {
+            action: DAV_ACTIONS[method],
+            drive: 'local',
+            path: ctx.requested.path.toString(),
+            destination: ['MOVE', 'COPY'].includes(method) ? davDestination(ctx) || undefined : undefined,
+            error: status >= 300 ? `HTTP ${status}` : undefined,
+            via: 'webdav'
+        });
+    }
+    if (DAV_ACTIONS[method] && status < 300) forgetUsage('local', [ctx.requested.path.toString(), davDestination(ctx)]);
+    if (['PUT', 'DELETE', 'MOVE', 'COPY'].includes(method) && status < 300) scheduleIndex('local', 30 * 1000);
+    next();
 });
-server.setFileSystem('/', new webdavServer.PhysicalFileSystem(STORAGE_DIR), (s) => {});
 app.use(webdavServer.extensions.express('/webdav', server));
 
 app.listen(PORT, () => {
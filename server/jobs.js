@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// --- Background Jobs ---
+// Long file operations (delete, move, copy, transfer, rename, upload, extract,
+// compress, duplicate scans) run as jobs instead of inside the HTTP request. A
+// job works through its items one by one, recording per-item status and
+// errors; failed items don't stop the others.
+// Every change is published as a `job` event (see GET /api/jobs/events, SSE).
+// Cancelling stops a job before its next item (the running one completes).
+// Jobs live in memory: finished ones are kept for FINISHED_TTL.
+
+const MAX_RUNNING = 2;
+const FINISHED_TTL = 60 * 60 * 1000;
+const PROGRESS_INTERVAL = 500;
+
+const jobs = new Map(); // id -> job
+const queue = [];
+
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open jobs panel
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.finishedAt && now - Date.parse(job.finishedAt) > FINISHED_TTL) jobs.delete(id);
+    }
+}, 5 * 60 * 1000).unref();
+
+const isFinished = (job) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+// Helper: Job fields for its owner (no run function, no internal flags)
+const publicJob = (job) => ({
+    id: job.id,
+    type: job.type,
+    driveId: job.driveId,
+    destinationDriveId: job.destinationDriveId,
+    source: job.source,
+    destination: job.destination,
+    status: job.status,
+    error: job.error,
+    items: job.items,
+    total: job.items.length,
+    processed: job.items.filter(item => !['pending', 'running'].includes(item.status)).length,
+    failed: job.items.filter(item => item.status === 'failed').length,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+});
+
+const publish = (job) => events.emit('job', job.userId, publicJob(job));
+
+const finish = (job, status, error) => {
+    job.status = status;
+    if (error) job.error = error;
+    job.finishedAt = new Date().toISOString();
+    for (const item of job.items) {
+        if (item.status === 'pending') item.status = 'cancelled';
+    }
+    publish(job);
+    events.emit('finished', { ...publicJob(job), userId: job.userId, readOnly: job.readOnly });
+};
+
+const start = (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    publish(job);
+    Promise.resolve()
+        .then(() => job.run(job))
+        .then(() => {
+            if (job.cancelRequested) finish(job, 'cancelled');
+            else finish(job, job.items.some(item => item.status === 'failed') ? 'failed' : 'completed');
+        })
+        .catch((err) => {
+            console.error(`[Job ${job.type} ${job.id}]`, err.message);
+            finish(job, 'failed', err.message);
+        })
+        .finally(runNext);
+};
+
+// Read-only jobs (scans) neither wait for nor hold up the jobs on their drives
+const drivesOf = (job) => (job.readOnly ? [] : [job.driveId, job.destinationDriveId].filter(Boolean));
+const sharesDrive = (a, b) => drivesOf(a).some(id => drivesOf(b).includes(id));
+
+// Jobs on the same drive run in the order they were queued (a rename must finish
+// before the move queued after it); jobs on other drives may run alongside
+const runNext = () => {
+    const active = [...jobs.values()].filter(job => job.status === 'running');
+    for (let i = 0; i < queue.length && active.length < MAX_RUNNING; i++) {
+        const job = queue[i];
+        const blocked = active.some(other => sharesDrive(job, other)) ||
+            queue.slice(0, i).some(earlier => sharesDrive(job, earlier));
+        if (blocked) continue;
+        queue.splice(i--, 1);
+        active.push(job);
+        start(job);
+    }
+};
+
+/**
+ * Queue a job. `items` are the paths it works on (one progress entry each),
+ * `source` the file they come from, if any (e.g. the archive being extracted);
+ * `readOnly` jobs change nothing. `run(job)` does the work, usually through
+ * forEachItem(job, fn).
+ */
+const createJob = ({ userId, type, driveId, destinationDriveId, source, destination, items, readOnly = false }, run) => {
+    const job = {
+        id: crypto.randomUUID(),
+        userId,
+        type,
+        driveId,
+        destinationDriveId,
+        source,
+        destination,
+        readOnly,
+        status: 'queued',
+        items: items.map(itemPath => ({ path: itemPath, status: 'pending' })),
+        createdAt: new Date().toISOString(),
+        run
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    publish(job);
+    runNext();
+    return publicJob(job);
+};
+
+// Run `fn(path, item)` for every item in order, recording its outcome
+const forEachItem = async (job, fn) => {
+    for (const item of job.items) {
+        if (job.cancelRequested) return;
+        item.status = 'running';
+        publish(job);
+        try {
+            const result = await fn(item.path, item);
+            item.status = 'done';
+            if (result !== undefined) item.result = result;
+        } catch (err) {
+            item.status = 'failed';
+            item.error = err.message;
+        }
+        publish(job);
+    }
+};
+
+// Progress beyond the items (e.g. { phase, done, total } of a scan); published
+// at most every PROGRESS_INTERVAL, the job's next change carries the latest
+const setProgress = (job, progress) => {
+    job.progress = progress;
+    const now = Date.now();
+    if (now - (job.progressPublishedAt || 0) < PROGRESS_INTERVAL) return;
+    job.progressPublishedAt = now;
+    publish(job);
+};
+
+// A user's own jobs, newest first
+const listJobs = (userId) => [...jobs.values()]
+    .filter(job => job.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicJob);
+
+const getJob = (id, userId) => {
+    const job = jobs.get(id);
+    return job && job.userId === userId ? job : null;
+};
+
+const cancelJob = (id, userId) => {
+    const job = getJob(id, userId);
+    if (!job) return null;
+    if (isFinished(job)) return publicJob(job);
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+        // Run it right away: it stops before the first item but still cleans up (e.g. temp files)
+        queue.splice(queue.indexOf(job), 1);
+        start(job);
+    }
+    return publicJob(job);
+};
+
+// Remove a finished job from the list
+const dismissJob = (id, userId) => {
+    const job = getJob(id, userId);
+    if (!job || !isFinished(job)) return false;
+    jobs.delete(id);
+    return true;
+};
+
+// `listener(job)` for every change to this user's jobs; returns an unsubscribe function
+const subscribe = (userId, listener) => {
+    const handler = (ownerId, job) => {
+        if (ownerId === userId) listener(job);
+    };
+    events.on('job', handler);
+    return () => events.off('job', handler);
+};
+
+// `listener(job)` whenever any job finishes, with its owner's `userId` and
+// `readOnly` (e.g. to refresh indexes of the drives it touched, or to audit it)
+const onFinished = (listener) => events.on('finished', listener);
+
+module.exports = { createJob, forEachItem, setProgress, listJobs, getJob, cancelJob, dismissJob, subscribe, onFinished, publicJob };
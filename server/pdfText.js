@@ -0,0 +1,86 @@
+const zlib = require('zlib');
+
+// --- PDF Text (best effort) ---
+// Pulls the text shown by Tj / TJ / ' / " operators out of a PDF's content
+// streams (uncompressed or FlateDecode). Good enough for indexing documents
+// written with standard fonts; text in embedded CID fonts or scanned pages
+// comes out empty or is dropped by the printable-text check.
+
+// Helper: Decode a PDF literal string body "(...)" (escapes, octal codes)
+const decodeLiteral = (body) => body.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (match, code) => {
+    if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' }[code] ?? '';
+});
+
+const decodeHex = (hex) => {
+    const clean = hex.replace(/\s+/g, '');
+    let text = '';
+    for (let i = 0; i < clean.length; i += 2) text += String.fromCharCode(parseInt(clean.slice(i, i + 2).padEnd(2, '0'), 16));
+    return text;
+};
+
+// Helper: Text of one content stream, a line per text positioning operator
+const textOfContent = (content) => {
+    const lines = [];
+    let line = '';
+    // Strings "(...)" (with nested/escaped parens), hex strings "<...>" and the operators that break lines
+    // and wide negative kerning in TJ arrays, which stands for a space
+    const token = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]+>|-\d{3,}(?:\.\d+)?(?=\s*[(<])|\b(?:Td|TD|T\*|ET)\b|'|"/g;
+    let match;
+    while ((match = token.exec(content))) {
+        const value = match[0];
+        if (value.startsWith('(')) line += decodeLiteral(value.slice(1, -1));
+        else if (value.startsWith('<')) line += decodeHex(value.slice(1, -1));
+        else if (value.startsWith('-')) line += line && !line.endsWith(' ') ? ' ' : '';
+        else if (line) {
+            lines.push(line);
+            line = '';
+        }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+};
+
+// Mostly printable: not glyph ids from a font with its own encoding
+const isReadable = (text) => {
+    const printable = text.match(/[\p{L}\p{N}\p{P}\s]/gu);
+    return text.length > 0 && printable && printable.length / text.length > 0.85;
+};
+
+const extractPdfText = (buffer) => {
+    const source = buffer.toString('latin1');
+    const parts = [];
+    let pos = 0;
+    while ((pos = source.indexOf('stream', pos)) !== -1) {
+        if (source.slice(pos - 3, pos) === 'end') {
+            pos += 6;
+            continue;
+        }
+        let start = pos + 6;
+        if (source[start] === '\r') start++;
+        if (source[start] === '\n') start++;
+        const end = source.indexOf('endstream', start);
+        if (end === -1) break;
+        // The stream's dictionary sits between "n 0 obj" and "stream"
+        const dictionary = source.slice(source.lastIndexOf(' obj', pos), pos);
+        pos = end + 9;
+        // Fonts, images and the like aren't text
+        if (/\/(Subtype|Type)\s*\/(Image|XObject|Font|XRef|ObjStm|Metadata)/.test(dictionary) || /\/Length1/.test(dictionary)) continue;
+
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            } catch (err) {
+                continue;
+            }
+        } else if (/\/Filter/.test(dictionary)) {
+            continue; // Other encodings (LZW, DCT, ...) aren't supported
+        }
+        const text = textOfContent(data.toString('latin1'));
+        if (isReadable(text)) parts.push(text);
+    }
+    return parts.join('\n');
+};
+
+module.exports = { extractPdfText };
@@ -0,0 +1,23 @@
+const path = require('path');
+const mime = require('mime-types');
+
+// Helper: Build the file entry shape the frontend expects from any provider
+// (etag is optional: only drives that report one set it)
+const fileEntry = ({ name, path: filePath, isDirectory, size, mtime, etag }) => ({
+    name,
+    path: filePath,
+    isDirectory,
+    size: isDirectory ? 0 : (size || 0),
+    mtime,
+    type: isDirectory ? 'folder' : mime.lookup(name) || 'application/octet-stream',
+    etag: etag || undefined
+});
+
+// Helper: Join web paths, always returning an absolute POSIX path
+const joinPath = (...segments) => path.posix.join('/', ...segments);
+
+// Helper: "No such file" across backends (fs, WebDAV/S3 status, SFTP status code)
+const isNotFound = (err) => err.code === 'ENOENT' || err.code === 2 || err.status === 404 ||
+    (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+module.exports = { fileEntry, joinPath, isNotFound };
@@ -0,0 +1,185 @@
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const ftp = require('basic-ftp');
+const { fileEntry, joinPath } = require('./common');
+
+// Helper: Unix-style LIST dates omit the year for recent files ("Oct 19 07:47")
+const parseListDate = (raw) => {
+    if (!raw) return undefined;
+    if (/\d{4}/.test(raw)) return new Date(raw);
+    const now = new Date();
+    const date = new Date(`${raw} ${now.getFullYear()}`);
+    // A date in the future belongs to last year
+    if (date > now) date.setFullYear(now.getFullYear() - 1);
+    return date;
+};
+
+const createFTPProvider = (config) => {
+    // basic-ftp always uses passive mode (EPSV/PASV), which also works behind NAT
+    let client = new ftp.Client(15000);
+    const root = config.root || '/';
+    const remote = (webPath) => path.posix.join(root, joinPath(webPath));
+
+    let connection = null;
+    const connect = () => {
+        if (!connection) {
+            connection = client.access({
+                host: config.host,
+                port: parseInt(config.port, 10) || 21,
+                user: config.username || 'anonymous',
+                password: config.password || '',
+                // Explicit TLS (AUTH TLS) upgrades the plain control connection
+                secure: !!config.secure,
+                secureOptions: config.allowSelfSigned ? { rejectUnauthorized: false } : undefined
+            });
+        }
+        return connection;
+    };
+
+    // An FTP control connection runs one command at a time: serialize every task
+    let queue = Promise.resolve();
+    const run = (task) => {
+        const result = queue.then(() => connect()).then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    // Helper: Normalize FTP listing entries through the shared file shape
+    const normalizeFile = (info, dirPath) => fileEntry({
+        name: info.name,
+        path: joinPath(dirPath, info.name),
+        isDirectory: info.isDirectory,
+        size: info.size,
+        mtime: info.modifiedAt || parseListDate(info.rawModifiedAt)
+    });
+
+    const provider = {
+        label: 'FTP',
+
+        list: (dirPath, { hidden = false } = {}) => run(async () => {
+            const items = await client.list(remote(dirPath));
+            return items
+                .filter(info => info.name !== '.' && info.name !== '..' && (hidden || !info.name.startsWith('.')))
+                .map(info => normalizeFile(info, dirPath));
+        }),
+
+        stat: (filePath) => run(async () => {
+            const webPath = joinPath(filePath);
+            // The root has no entry in a parent listing
+            if (webPath === '/') return fileEntry({ name: '', path: '/', isDirectory: true });
+            const name = path.posix.basename(webPath);
+            let items;
+            try {
+                items = await client.list(remote(path.posix.dirname(webPath)));
+            } catch (err) {
+                // Missing parent folder: most servers answer 550, some 450/451
+                if (![450, 451, 550].includes(err.code)) throw err;
+                items = [];
+            }
+            const info = items.find(item => item.name === name);
+            if (!info) {
+                const err = new Error(`Not found: ${filePath}`);
+                err.code = 'ENOENT';
+                throw err;
+            }
+            return normalizeFile(info, path.posix.dirname(webPath));
+        }),
+
+        // The download runs in the queue and feeds the returned stream.
+        // FTP can only start at an offset (REST): a range end closes the connection early.
+        async readStream(filePath, { start = 0, end } = {}) {
+            const output = new PassThrough();
+            let remaining = end !== undefined ? end - start + 1 : Infinity;
+            const sink = new Writable({
+                write(chunk, encoding, callback) {
+                    if (remaining <= 0) return callback();
+                    const part = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+                    remaining -= part.length;
+                    if (remaining <= 0) {
+                        output.end(part);
+                        // Ending a download early drops the connection: the next task signs in again
+                        client.close();
+                        client = new ftp.Client(15000);
+                        connection = null;
+                        return callback();
+                    }
+                    if (output.write(part)) callback();
+                    else output.once('drain', callback);
+                },
+                final(callback) {
+                    output.end();
+                    callback();
+                }
+            });
+            run(() => client.downloadTo(sink, remote(filePath), start))
+                .catch(err => { if (!output.writableEnded) output.destroy(err); });
+            return output;
+        },
+
+        writeStream: (filePath, source) => run(() => client.uploadFrom(source, remote(filePath))),
+
+        // ensureDir changes the working directory, so restore it afterwards
+        mkdir: (dirPath) => run(async () => {
+            await client.ensureDir(remote(dirPath));
+            await client.cd('/');
+        }),
+
+        delete: (filePath) => run(async () => {
+            try {
+                await client.remove(remote(filePath));
+            } catch (err) {
+                // 550: not a file, try as a directory
+                if (err.code !== 550) throw err;
+                await client.removeDir(remote(filePath));
+                await client.cd('/');
+            }
+        }),
+
+        async move(from, to) {
+            if (remote(from) === remote(to)) return;
+            // Many servers refuse to rename onto an existing target: replace it like the other drives
+            const exists = await provider.stat(to).then(() => true, (err) => {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            });
+            if (exists) await provider.delete(to);
+            await run(() => client.rename(remote(from), remote(to)));
+        },
+
+        // One connection cannot download and upload at the same time: copy through a second one
+        async copy(from, to) {
+            const target = createFTPProvider(config);
+            const copyEntry = async (fromPath, toPath) => {
+                const entry = await provider.stat(fromPath);
+                if (!entry.isDirectory) {
+                    await target.writeStream(toPath, await provider.readStream(fromPath));
+                    return;
+                }
+                await target.mkdir(toPath);
+                for (const child of await provider.list(fromPath, { hidden: true })) {
+                    await copyEntry(child.path, joinPath(toPath, child.name));
+                }
+            };
+            try {
+                await copyEntry(from, to);
+            } finally {
+                await target.close();
+            }
+        },
+
+        // FTP has no quota command
+        quota: async () => null,
+
+        // Closing also aborts a download that is still streaming
+        async close() {
+            client.close();
+        }
+    };
+
+    return provider;
+};
+
+createFTPProvider.identity = (config) => `${config.host}:${config.port || 21}|${config.username || 'anonymous'}|${config.root || '/'}`;
+createFTPProvider.secretFields = ['password'];
+
+module.exports = createFTPProvider;
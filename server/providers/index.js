@@ -0,0 +1,42 @@
+// --- Drive Provider Registry ---
+// A provider wraps one storage backend behind a common interface:
+//   list(dir, { hidden }), stat(path), readStream(path, options), writeStream(path, source),
+//   mkdir(dir), delete(path), move(from, to), copy(from, to), quota()
+// and optionally localPath(path) / close(). Paths are absolute web paths ('/a/b').
+// Routes never branch on drive type; they look the factory up by `config.type`.
+// A factory may expose `identity(config)` so duplicate accounts can be detected,
+// and `secretFields` naming the config keys that are encrypted in drives.json.
+
+const registry = new Map();
+
+const registerProvider = (type, factory) => {
+    registry.set(type, factory);
+};
+
+const hasProvider = (type) => registry.has(type);
+
+const createProvider = (config, context = {}) => {
+    const factory = registry.get(config.type);
+    if (!factory) throw new Error(`Unsupported drive type: ${config.type}`);
+    return factory(config, context);
+};
+
+// Helper: Stable key identifying the account/bucket behind a drive config
+const getDriveIdentity = (config) => {
+    const factory = registry.get(config.type);
+    return factory && factory.identity ? `${config.type}|${factory.identity(config)}` : null;
+};
+
+// Helper: Credential keys of a drive config (never stored in plaintext or sent to the browser)
+const getSecretFields = (config) => {
+    const factory = registry.get(config.type);
+    return (factory && factory.secretFields) || [];
+};
+
+registerProvider('local', require('./local'));
+registerProvider('webdav', require('./webdav'));
+registerProvider('s3', require('./s3'));
+registerProvider('sftp', require('./sftp'));
+registerProvider('ftp', require('./ftp'));
+
+module.exports = { registerProvider, hasProvider, createProvider, getDriveIdentity, getSecretFields };
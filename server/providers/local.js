@@ -0,0 +1,78 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const { fileEntry } = require('./common');
+
+// Helper: Safe path resolution
+const resolveSafePath = (root, userPath = '/') => {
+    // Remove leading slashes to ensure it's relative
+    const safeSuffix = path.normalize(userPath).replace(/^(\.\.[\/\\])+/, '').replace(/^[\/\\]+/, '');
+    const absolutePath = path.resolve(root, safeSuffix);
+    if (!absolutePath.startsWith(root)) {
+        throw new Error('Access denied: Path traversal detected');
+    }
+    return absolutePath;
+};
+
+// Local provider: serves the server's storage directory (User Home by default)
+const createLocalProvider = (config, { storageDir }) => {
+    const root = storageDir;
+    const resolve = (userPath) => resolveSafePath(root, userPath);
+    const toWebPath = (absolutePath) => '/' + path.relative(root, absolutePath).split(path.sep).join('/');
+
+    const statEntry = async (absolutePath) => {
+        const stats = await fs.stat(absolutePath);
+        return fileEntry({
+            name: path.basename(absolutePath),
+            path: toWebPath(absolutePath),
+            isDirectory: stats.isDirectory(),
+            size: stats.size,
+            mtime: stats.mtime
+        });
+    };
+
+    return {
+        label: 'Local',
+        localPath: resolve,
+
+        async list(dirPath, { hidden = false } = {}) {
+            const absolutePath = resolve(dirPath);
+            const allFiles = await fs.readdir(absolutePath);
+            // Filter out hidden files (unless the caller walks the whole tree)
+            const files = hidden ? allFiles : allFiles.filter(f => !f.startsWith('.'));
+            return Promise.all(files.map(file => statEntry(path.join(absolutePath, file))));
+        },
+
+        stat: (filePath) => statEntry(resolve(filePath)),
+
+        readStream: (filePath, options) => fs.createReadStream(resolve(filePath), options),
+
+        async writeStream(filePath, source) {
+            const absolutePath = resolve(filePath);
+            await fs.ensureDir(path.dirname(absolutePath));
+            await pipeline(source, fs.createWriteStream(absolutePath));
+        },
+
+        mkdir: (dirPath) => fs.ensureDir(resolve(dirPath)),
+
+        delete: (filePath) => fs.remove(resolve(filePath)),
+
+        async move(from, to) {
+            const absFrom = resolve(from);
+            const absTo = resolve(to);
+            if (absFrom !== absTo) await fs.move(absFrom, absTo, { overwrite: true });
+        },
+
+        copy: (from, to) => fs.copy(resolve(from), resolve(to), { overwrite: true }),
+
+        async quota() {
+            const stats = await fs.statfs(root);
+            const total = stats.blocks * stats.bsize;
+            const available = stats.bfree * stats.bsize;
+            return { used: total - available, total };
+        }
+    };
+};
+
+module.exports = createLocalProvider;
+module.exports.resolveSafePath = resolveSafePath;
@@ -0,0 +1,212 @@
+const path = require('path');
+const {
+    S3Client,
+    ListObjectsV2Command,
+    GetObjectCommand,
+    HeadObjectCommand,
+    PutObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { fileEntry, joinPath } = require('./common');
+
+const getS3Client = (config) => new S3Client({
+    endpoint: config.endpoint ? config.endpoint.trim() : undefined,
+    region: config.region || 'us-east-1',
+    // MinIO and most self-hosted gateways only support path-style addressing
+    forcePathStyle: config.forcePathStyle !== false,
+    credentials: {
+        accessKeyId: config.accessKeyId,
+        secretAccessKey: config.secretAccessKey
+    }
+});
+
+// Web path '/a/b' <-> object key 'a/b'; folders are key prefixes ending in '/'
+const toKey = (webPath) => joinPath(webPath).replace(/^\/+/, '');
+const toPrefix = (webPath) => {
+    const key = toKey(webPath);
+    return key ? `${key}/` : '';
+};
+
+// CopySource is "bucket/key", URL-encoded per segment ('#', '?', '+', '&' included)
+const copySource = (Bucket, key) => [Bucket, ...key.split('/')].map(encodeURIComponent).join('/');
+
+// Helper: Iterate every object under a prefix (handles pagination)
+const listObjects = async (client, Bucket, prefix) => {
+    const objects = [];
+    let ContinuationToken;
+    do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: prefix, ContinuationToken }));
+        objects.push(...(page.Contents || []));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+};
+
+// Bucket usage means listing every object, so it is worked out at most once per
+// USAGE_TTL per bucket (on its own client: the listing outlives the request that
+// started it); callers in the meantime share the last result or the running listing
+const USAGE_TTL = 10 * 60 * 1000;
+const usageCache = new Map(); // bucket identity -> { at, used: Promise<bytes> }
+
+const bucketUsage = (config) => {
+    const key = createS3Provider.identity(config);
+    const cached = usageCache.get(key);
+    if (cached && Date.now() - cached.at < USAGE_TTL) return cached.used;
+    const entry = {
+        at: Date.now(),
+        used: (async () => {
+            const client = getS3Client(config);
+            try {
+                const objects = await listObjects(client, config.bucket, '');
+                return objects.reduce((sum, obj) => sum + (obj.Size || 0), 0);
+            } finally {
+                client.destroy();
+            }
+        })()
+    };
+    usageCache.set(key, entry);
+    entry.used.catch(() => {
+        if (usageCache.get(key) === entry) usageCache.delete(key);
+    });
+    return entry.used;
+};
+
+const createS3Provider = (config) => {
+    const client = getS3Client(config);
+    const Bucket = config.bucket;
+
+    const listAllObjects = prefix => listObjects(client, Bucket, prefix);
+
+    const deleteKeys = async (keys) => {
+        for (let i = 0; i < keys.length; i += 1000) {
+            const batch = keys.slice(i, i + 1000).map(Key => ({ Key }));
+            await client.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects: batch, Quiet: true } }));
+        }
+    };
+
+    const copyKey = (fromKey, toKeyName) => client.send(new CopyObjectCommand({
+        Bucket,
+        Key: toKeyName,
+        CopySource: copySource(Bucket, fromKey)
+    }));
+
+    // Helper: Find the object or folder prefix stored at exactly `key` (null if neither):
+    // the object itself by HEAD, a folder by anything under `key/`
+    const findEntry = async (key) => {
+        const [head, nested] = await Promise.all([
+            client.send(new HeadObjectCommand({ Bucket, Key: key })).catch((err) => {
+                if (err.$metadata && err.$metadata.httpStatusCode === 404) return null;
+                throw err;
+            }),
+            client.send(new ListObjectsV2Command({ Bucket, Prefix: `${key}/`, MaxKeys: 1 }))
+        ]);
+        if (head) return { isDirectory: false, object: { Key: key, Size: head.ContentLength, LastModified: head.LastModified, ETag: head.ETag } };
+        return (nested.Contents || []).length ? { isDirectory: true } : null;
+    };
+
+    const provider = {
+        label: 'S3',
+
+        async list(dirPath) {
+            const prefix = toPrefix(dirPath);
+            const folders = [];
+            const files = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: prefix, Delimiter: '/', ContinuationToken }));
+                (page.CommonPrefixes || []).forEach(({ Prefix }) => {
+                    const name = Prefix.slice(prefix.length).replace(/\/$/, '');
+                    folders.push(fileEntry({ name, path: joinPath(Prefix.replace(/\/$/, '')), isDirectory: true }));
+                });
+                (page.Contents || []).forEach(obj => {
+                    if (obj.Key === prefix) return; // Folder marker object
+                    const name = obj.Key.slice(prefix.length);
+                    files.push(fileEntry({ name, path: joinPath(obj.Key), isDirectory: false, size: obj.Size, mtime: obj.LastModified, etag: obj.ETag }));
+                });
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return [...folders, ...files];
+        },
+
+        async stat(filePath) {
+            const key = toKey(filePath);
+            const found = key ? await findEntry(key) : { isDirectory: true };
+            if (!found) {
+                const err = new Error(`Not found: ${filePath}`);
+                err.code = 'ENOENT';
+                throw err;
+            }
+            const { object } = found;
+            return fileEntry({
+                name: path.posix.basename(key),
+                path: joinPath(key),
+                isDirectory: found.isDirectory,
+                size: object && object.Size,
+                mtime: object && object.LastModified,
+                etag: object && object.ETag
+            });
+        },
+
+        async readStream(filePath, { start, end } = {}) {
+            const Range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+            const result = await client.send(new GetObjectCommand({ Bucket, Key: toKey(filePath), Range }));
+            return result.Body;
+        },
+
+        async writeStream(filePath, source) {
+            const upload = new Upload({ client, params: { Bucket, Key: toKey(filePath), Body: source } });
+            await upload.done();
+        },
+
+        async mkdir(dirPath) {
+            await client.send(new PutObjectCommand({ Bucket, Key: toPrefix(dirPath), Body: '' }));
+        },
+
+        async delete(filePath) {
+            const key = toKey(filePath);
+            const nested = await listAllObjects(toPrefix(filePath));
+            await deleteKeys([key, ...nested.map(obj => obj.Key)]);
+        },
+
+        async copy(from, to) {
+            const fromKey = toKey(from);
+            const toKeyName = toKey(to);
+            const found = await findEntry(fromKey);
+            if (found && !found.isDirectory) {
+                await copyKey(fromKey, toKeyName);
+                return;
+            }
+            // Folder: copy every object under the prefix
+            const fromPrefix = toPrefix(from);
+            const nested = await listAllObjects(fromPrefix);
+            for (const obj of nested) {
+                await copyKey(obj.Key, toPrefix(to) + obj.Key.slice(fromPrefix.length));
+            }
+        },
+
+        // S3 has no rename: copy then delete the source
+        async move(from, to) {
+            if (toKey(from) === toKey(to)) return;
+            await provider.copy(from, to);
+            await provider.delete(from);
+        },
+
+        async quota() {
+            // Buckets have no hard limit; report usage against the configured capacity (0 = unknown)
+            return { used: await bucketUsage(config), total: parseInt(config.capacity, 10) || 0 };
+        },
+
+        async close() {
+            client.destroy();
+        }
+    };
+
+    return provider;
+};
+
+createS3Provider.identity = (config) => `${config.endpoint || 'aws'}|${config.bucket}`;
+createS3Provider.secretFields = ['secretAccessKey'];
+
+module.exports = createS3Provider;
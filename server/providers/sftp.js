@@ -0,0 +1,127 @@
+const path = require('path');
+const SftpClient = require('ssh2-sftp-client');
+const { fileEntry, joinPath } = require('./common');
+
+const createSFTPProvider = (config) => {
+    const sftp = new SftpClient();
+    // Web paths are resolved below the configured remote folder (default '/')
+    const root = config.root || '/';
+    const remote = (webPath) => path.posix.join(root, joinPath(webPath));
+
+    // Connect lazily on first use; one connection per provider instance
+    let connection = null;
+    const connect = () => {
+        if (!connection) {
+            connection = sftp.connect({
+                host: config.host,
+                port: parseInt(config.port, 10) || 22,
+                username: config.username,
+                password: config.authType === 'key' ? undefined : config.password,
+                privateKey: config.authType === 'key' ? config.privateKey : undefined,
+                passphrase: config.authType === 'key' ? config.passphrase || undefined : undefined,
+                readyTimeout: 10000
+            });
+        }
+        return connection;
+    };
+
+    const provider = {
+        label: 'SFTP',
+
+        async list(dirPath, { hidden = false } = {}) {
+            await connect();
+            const items = await sftp.list(remote(dirPath));
+            return items
+                .filter(item => item.name !== '.' && item.name !== '..' && (hidden || !item.name.startsWith('.')))
+                .map(item => fileEntry({
+                    name: item.name,
+                    path: joinPath(dirPath, item.name),
+                    isDirectory: item.type === 'd',
+                    size: item.size,
+                    mtime: new Date(item.modifyTime)
+                }));
+        },
+
+        async stat(filePath) {
+            await connect();
+            const stats = await sftp.stat(remote(filePath));
+            return fileEntry({
+                name: path.posix.basename(joinPath(filePath)),
+                path: joinPath(filePath),
+                isDirectory: stats.isDirectory,
+                size: stats.size,
+                mtime: new Date(stats.modifyTime)
+            });
+        },
+
+        async readStream(filePath, options) {
+            await connect();
+            return sftp.createReadStream(remote(filePath), options);
+        },
+
+        async writeStream(filePath, source) {
+            await connect();
+            await sftp.put(source, remote(filePath));
+        },
+
+        async mkdir(dirPath) {
+            await connect();
+            await sftp.mkdir(remote(dirPath), true);
+        },
+
+        async delete(filePath) {
+            await connect();
+            const stats = await sftp.stat(remote(filePath));
+            if (stats.isDirectory) await sftp.rmdir(remote(filePath), true);
+            else await sftp.delete(remote(filePath));
+        },
+
+        async move(from, to) {
+            if (remote(from) === remote(to)) return;
+            await connect();
+            // Plain SFTP rename refuses to replace an existing target
+            if (await sftp.exists(remote(to))) await provider.delete(to);
+            await sftp.rename(remote(from), remote(to));
+        },
+
+        // No server-side copy in SFTP: files are streamed through this connection
+        async copy(from, to) {
+            await connect();
+            const stats = await sftp.stat(remote(from));
+            if (!stats.isDirectory) {
+                if (await sftp.exists(remote(to))) await sftp.delete(remote(to));
+                await sftp.rcopy(remote(from), remote(to));
+                return;
+            }
+            await sftp.mkdir(remote(to), true);
+            for (const item of await provider.list(from, { hidden: true })) {
+                await provider.copy(item.path, joinPath(to, item.name));
+            }
+        },
+
+        async quota() {
+            await connect();
+            // OpenSSH servers expose statvfs; others simply report no quota
+            return new Promise((resolve) => {
+                if (!sftp.sftp || !sftp.sftp.ext_openssh_statvfs) return resolve(null);
+                sftp.sftp.ext_openssh_statvfs(remote('/'), (err, stats) => {
+                    if (err) return resolve(null);
+                    const total = stats.blocks * stats.frsize;
+                    const available = stats.bavail * stats.frsize;
+                    resolve({ used: total - available, total });
+                });
+            });
+        },
+
+        async close() {
+            if (connection) await sftp.end();
+        }
+    };
+
+    return provider;
+};
+
+createSFTPProvider.identity = (config) => `${config.host}:${config.port || 22}|${config.username}|${config.root || '/'}`;
+createSFTPProvider.secretFields = ['password', 'privateKey', 'passphrase'];
+
+module.exports = createSFTPProvider;
@@ -0,0 +1,79 @@
+const path = require('path');
+const { createClient } = require('webdav');
+const { fileEntry } = require('./common');
+const { copyEntry } = require('../transfer');
+
+const getWebDAVClient = (config) => {
+    return createClient(config.url.trim(), {
+        username: config.username,
+        password: config.password
+    });
+};
+
+// Helper: Normalize file info for frontend
+const normalizeFile = (file) => fileEntry({
+    name: file.basename || path.basename(file.filename),
+    path: file.filename, // Remote paths are already relative to its root
+    isDirectory: file.type === 'directory',
+    size: file.size,
+    mtime: file.lastmod,
+    etag: file.etag ? `"${file.etag}"` : undefined // The client strips the quotes
+});
+
+// Strip leading slashes to avoid double slash with base URL
+const relative = (remotePath) => remotePath.replace(/^\/+/, '');
+
+const createWebDAVProvider = (config) => {
+    const client = getWebDAVClient(config);
+
+    const provider = {
+        label: 'WebDAV',
+        client,
+
+        async list(dirPath) {
+            const items = await client.getDirectoryContents(dirPath);
+            return items.map(normalizeFile);
+        },
+
+        stat: async (filePath) => normalizeFile(await client.stat(filePath)),
+
+        readStream: (filePath, { start, end } = {}) => client.createReadStream(filePath, start !== undefined ? { range: { start, end } } : undefined),
+
+        writeStream: (filePath, source) => client.putFileContents(relative(filePath), source, { overwrite: true }),
+
+        mkdir: (dirPath) => client.createDirectory(dirPath),
+
+        delete: (filePath) => client.deleteFile(relative(filePath)),
+
+        move: (from, to) => client.moveFile(relative(from), relative(to)),
+
+        async copy(from, to) {
+            try {
+                await client.copyFile(relative(from), relative(to));
+            } catch (err) {
+                // Servers without COPY support (or refusing it): stream through this server instead
+                if (![403, 405, 501, 502].includes(err.status)) throw err;
+                await copyEntry(provider, from, provider, to);
+            }
+        },
+
+        async quota() {
+            const quota = await client.getQuota();
+            if (quota && quota.used !== undefined && quota.available !== undefined) {
+                const used = parseInt(quota.used, 10) || 0;
+                const available = parseInt(quota.available, 10) || 0;
+                return { used, total: used + available };
+            }
+            return null;
+        }
+    };
+
+    return provider;
+};
+
+createWebDAVProvider.identity = (config) => `${config.url}|${config.username}`;
+createWebDAVProvider.secretFields = ['password'];
+
+module.exports = createWebDAVProvider;
+module.exports.getWebDAVClient = getWebDAVClient;
+module.exports.normalizeFile = normalizeFile;
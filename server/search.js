@@ -0,0 +1,116 @@
+const { joinPath } = require('./providers/common');
+const { isTrashPath } = require('./trash');
+const { isVersionsPath } = require('./versions');
+
+// --- Drive Search ---
+// Walks a drive folder by folder from a starting path, reporting every entry that
+// matches as soon as it is seen (GET /api/search streams them). Names match by
+// case-insensitive substring, or as a glob when the query has * or ? in it.
+// Folders that can't be listed (permissions, broken links) are skipped.
+
+const MAX_RESULTS = 1000;
+
+const DOCUMENT_TYPES = [/^text\//, /pdf$/, /msword/, /officedocument/, /opendocument/, /rtf$/, /json$/, /xml$/];
+const ARCHIVE_TYPES = [/zip$/, /x-tar$/, /gzip$/, /x-7z/, /x-rar/, /x-bzip/, /x-xz$/];
+
+// Type filter -> test on a file entry
+const TYPE_FILTERS = {
+    folder: file => file.isDirectory,
+    file: file => !file.isDirectory,
+    image: file => file.type.startsWith('image/'),
+    video: file => file.type.startsWith('video/'),
+    audio: file => file.type.startsWith('audio/'),
+    document: file => !file.isDirectory && DOCUMENT_TYPES.some(re => re.test(file.type)),
+    archive: file => !file.isDirectory && ARCHIVE_TYPES.some(re => re.test(file.type))
+};
+
+// Helper: "*.jp?g" -> /^.*\.jp.g$/i (whole name)
+const globToRegExp = (glob) => new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+
+const parseDate = (value, name) => {
+    if (!value) return undefined;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw Object.assign(new Error(`Invalid ${name}`), { status: 400 });
+    return time;
+};
+
+const parseSize = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    const size = Number(value);
+    if (!Number.isFinite(size) || size < 0) throw Object.assign(new Error(`Invalid ${name}`), { status: 400 });
+    return size;
+};
+
+/**
+ * Search criteria from query parameters:
+ * { q, type, minSize, maxSize (bytes), modifiedAfter, modifiedBefore (dates) }
+ */
+const parseCriteria = (query) => {
+    const q = (query.q || '').trim();
+    if (query.type && !TYPE_FILTERS[query.type]) throw Object.assign(new Error(`Unknown type "${query.type}"`), { status: 400 });
+    const criteria = {
+        name: /[*?]/.test(q) ? globToRegExp(q) : null,
+        substring: /[*?]/.test(q) ? null : q.toLowerCase(),
+        type: query.type ? TYPE_FILTERS[query.type] : null,
+        minSize: parseSize(query.minSize, 'minSize'),
+        maxSize: parseSize(query.maxSize, 'maxSize'),
+        modifiedAfter: parseDate(query.modifiedAfter, 'modifiedAfter'),
+        modifiedBefore: parseDate(query.modifiedBefore, 'modifiedBefore')
+    };
+    const hasFilter = q || query.type || ['minSize', 'maxSize', 'modifiedAfter', 'modifiedBefore'].some(key => criteria[key] !== undefined);
+    if (!hasFilter) throw Object.assign(new Error('Enter a name or at least one filter'), { status: 400 });
+    return criteria;
+};
+
+const matches = (file, criteria) => {
+    if (criteria.name && !criteria.name.test(file.name)) return false;
+    if (criteria.substring && !file.name.toLowerCase().includes(criteria.substring)) return false;
+    if (criteria.type && !criteria.type(file)) return false;
+    // Size filters only make sense for files
+    if ((criteria.minSize !== undefined || criteria.maxSize !== undefined) && file.isDirectory) return false;
+    if (criteria.minSize !== undefined && file.size < criteria.minSize) return false;
+    if (criteria.maxSize !== undefined && file.size > criteria.maxSize) return false;
+    if (criteria.modifiedAfter !== undefined || criteria.modifiedBefore !== undefined) {
+        const mtime = file.mtime ? new Date(file.mtime).getTime() : NaN;
+        if (Number.isNaN(mtime)) return false;
+        if (criteria.modifiedAfter !== undefined && mtime < criteria.modifiedAfter) return false;
+        if (criteria.modifiedBefore !== undefined && mtime > criteria.modifiedBefore) return false;
+    }
+    return true;
+};
+
+/**
+ * Walk `root` breadth-first, calling `onMatch(file)` for each match, until the
+ * tree is done, `limit` matches were found or `isCancelled()` returns true.
+ * Resolves to { scanned, skipped, truncated }.
+ */
+const searchDrive = async (provider, root, criteria, onMatch, { limit = MAX_RESULTS, isCancelled = () => false } = {}) => {
+    const pending = [joinPath(root)];
+    let scanned = 0;
+    let skipped = 0;
+    let found = 0;
+
+    while (pending.length) {
+        if (isCancelled()) break;
+        const dir = pending.shift();
+        let files;
+        try {
+            files = await provider.list(dir);
+        } catch (err) {
+            skipped++;
+            continue;
+        }
+        for (const file of files) {
+            if (isTrashPath(file.path) || isVersionsPath(file.path)) continue;
+            scanned++;
+            if (file.isDirectory) pending.push(file.path);
+            if (matches(file, criteria)) {
+                onMatch(file);
+                if (++found >= limit) return { scanned, skipped, truncated: true };
+            }
+        }
+    }
+    return { scanned, skipped, truncated: false };
+};
+
+module.exports = { MAX_RESULTS, parseCriteria, searchDrive };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { getSecretFields } = require('./providers');
+
+// --- Drive Credentials at Rest ---
+// Secret fields of a drive config (see provider `secretFields`) are stored in
+// drives.json as "enc:v1:<salt>:<iv>:<tag>:<ciphertext>" (AES-256-GCM). The key
+// is derived with scrypt from the DRIVES_PASSPHRASE environment variable when it
+// is set, otherwise from a random key file created on first use (server/secret.key,
+// or DRIVES_KEY_FILE). Losing or switching the passphrase/key file makes stored
+// credentials unreadable: the affected drives have to be added again.
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_FILE = process.env.DRIVES_KEY_FILE || path.join(__dirname, 'secret.key');
+
+let masterSecret = null;
+const derivedKeys = new Map(); // salt (base64) -> key, scrypt is deliberately slow
+const processSalt = crypto.randomBytes(16).toString('base64');
+
+const getMasterSecret = () => {
+    if (masterSecret) return masterSecret;
+    if (process.env.DRIVES_PASSPHRASE) {
+        masterSecret = Buffer.from(process.env.DRIVES_PASSPHRASE, 'utf8');
+    } else {
+        if (!fs.existsSync(KEY_FILE)) {
+            fs.writeFileSync(KEY_FILE, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+            console.log(`[INFO] Created drive credentials key file: ${KEY_FILE}`);
+        }
+        masterSecret = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'base64');
+    }
+    return masterSecret;
+};
+
+const deriveKey = (salt) => {
+    if (!derivedKeys.has(salt)) {
+        derivedKeys.set(salt, crypto.scryptSync(getMasterSecret(), Buffer.from(salt, 'base64'), 32));
+    }
+    return derivedKeys.get(salt);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(processSalt), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const parts = [processSalt, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')];
+    return ENCRYPTED_PREFIX + parts.join(':');
+};
+
+const decryptSecret = (value) => {
+    if (!isEncrypted(value)) return value;
+    try {
+        const [salt, iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(salt), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (err) {
+        throw new Error('Cannot decrypt drive credentials (wrong DRIVES_PASSPHRASE or key file?)');
+    }
+};
+
+// Helper: Copy of a drive config with its secret fields passed through `transform`
+const mapSecrets = (config, transform) => {
+    const result = { ...config };
+    for (const field of getSecretFields(config)) {
+        if (result[field]) result[field] = transform(result[field]);
+    }
+    return result;
+};
+
+// Config as written to drives.json
+const sealDrive = (config) => mapSecrets(config, value => (isEncrypted(value) ? value : encryptSecret(value)));
+
+// Config as handed to a provider
+const openDrive = (config) => mapSecrets(config, decryptSecret);
+
+// Config as sent to the browser: secret fields removed
+const redactDrive = (config) => {
+    const result = { ...config };
+    for (const field of getSecretFields(config)) delete result[field];
+    return result;
+};
+
+// Encrypt any plaintext credentials left in a drives list; returns how many were sealed
+const sealPlaintextSecrets = (drives) => {
+    let count = 0;
+    drives.forEach((drive, index) => {
+        for (const field of getSecretFields(drive)) {
+            if (drive[field] && !isEncrypted(drive[field])) count++;
+        }
+        drives[index] = sealDrive(drive);
+    });
+    return count;
+};
+
+module.exports = { isEncrypted, encryptSecret, decryptSecret, sealDrive, openDrive, redactDrive, sealPlaintextSecrets };
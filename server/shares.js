@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { hashPassword, verifyPassword } = require('./auth');
+
+// --- Public Share Links ---
+// A share points at a drive path (file or folder) of the user who created it and
+// may carry an expiry date, a password and a download limit. Shares live in
+// shares.json; visitors open them without an account. Access always goes
+// through the owner's current drives and permissions, so revoking those also
+// disables the link. Unlocking a password-protected share yields a short-lived
+// key that the visitor passes along with listing and download requests.
+
+const SHARES_FILE = path.join(__dirname, 'shares.json');
+const UNLOCK_TTL = 60 * 60 * 1000;
+
+let shares = fs.existsSync(SHARES_FILE) ? fs.readJsonSync(SHARES_FILE) : [];
+const unlockKeys = new Map(); // key -> { shareId, expires }
+
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of unlockKeys) {
+        if (now > entry.expires) unlockKeys.delete(key);
+    }
+}, 60 * 1000).unref();
+
+// Helper: Fail with an HTTP status the route can pass through
+const shareError = (status, message) => Object.assign(new Error(message), { status });
+
+const saveShares = () => fs.writeJson(SHARES_FILE, shares, { spaces: 2 });
+
+// Helper: Share fields for its owner (never the password hash)
+const publicShare = (share) => ({
+    id: share.id,
+    driveId: share.driveId,
+    path: share.path,
+    name: share.name,
+    isDirectory: share.isDirectory,
+    owner: share.owner,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    maxDownloads: share.maxDownloads,
+    downloads: share.downloads,
+    hasPassword: !!share.passwordHash
+});
+
+const createShare = async ({ owner, driveId, path: sharePath, name, isDirectory, expiresAt, password, maxDownloads }) => {
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && (isNaN(expires) || expires <= new Date())) throw shareError(400, 'Expiry must be a future date');
+    const limit = maxDownloads ? parseInt(maxDownloads, 10) : null;
+    if (limit !== null && !(limit > 0)) throw shareError(400, 'Download limit must be a positive number');
+
+    const share = {
+        id: crypto.randomBytes(12).toString('base64url'),
+        owner,
+        driveId,
+        path: sharePath,
+        name,
+        isDirectory: !!isDirectory,
+        createdAt: new Date().toISOString(),
+        expiresAt: expires ? expires.toISOString() : null,
+        passwordHash: password ? await hashPassword(password) : null,
+        maxDownloads: limit,
+        downloads: 0
+    };
+    shares.push(share);
+    await saveShares();
+    return publicShare(share);
+};
+
+// Owners see their own links; administrators see every link
+const listShares = (user) => shares
+    .filter(share => user.role === 'admin' || share.owner === user.id)
+    .map(publicShare);
+
+const deleteShare = async (id, user) => {
+    const share = shares.find(s => s.id === id);
+    if (!share || (user.role !== 'admin' && share.owner !== user.id)) throw shareError(404, 'Share not found');
+    shares = shares.filter(s => s.id !== id);
+    await saveShares();
+};
+
+const isExpired = (share) => !!share.expiresAt && new Date(share.expiresAt) <= new Date();
+const isExhausted = (share) => share.maxDownloads !== null && share.downloads >= share.maxDownloads;
+
+// The share behind a public link, or an error for missing/expired/used-up links
+const getActiveShare = (id) => {
+    const share = shares.find(s => s.id === id);
+    if (!share) throw shareError(404, 'Share not found');
+    if (isExpired(share)) throw shareError(410, 'This link has expired');
+    if (isExhausted(share)) throw shareError(410, 'This link has reached its download limit');
+    return share;
+};
+
+const unlockShare = async (share, password) => {
+    if (!share.passwordHash) return null;
+    if (!(await verifyPassword(String(password || ''), share.passwordHash))) throw shareError(403, 'Wrong password');
+    const key = crypto.randomBytes(24).toString('base64url');
+    unlockKeys.set(key, { shareId: share.id, expires: Date.now() + UNLOCK_TTL });
+    return key;
+};
+
+// Password-protected shares need a key from unlockShare()
+const isUnlocked = (share, key) => {
+    if (!share.passwordHash) return true;
+    const entry = key && unlockKeys.get(key);
+    return !!entry && entry.shareId === share.id && Date.now() < entry.expires;
+};
+
+const recordDownload = async (share) => {
+    share.downloads++;
+    await saveShares();
+};
+
+// Drop the links of a deleted user
+const deleteUserShares = async (userId) => {
+    shares = shares.filter(s => s.owner !== userId);
+    await saveShares();
+};
+
+module.exports = {
+    createShare,
+    listShares,
+    deleteShare,
+    getActiveShare,
+    unlockShare,
+    isUnlocked,
+    recordDownload,
+    deleteUserShares,
+    publicShare
+};
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { joinPath, isNotFound } = require('./providers/common');
+const { isTrashPath } = require('./trash');
+const { isVersionsPath } = require('./versions');
+const { hashFile } = require('./duplicates');
+
+// --- Folder Sync ---
+// A sync pair keeps a folder on one drive (source) and a folder on another
+// drive or the same one (target) in step, in one of two modes:
+//   mirror   the target becomes a copy of the source (target-side changes are undone)
+//   two-way  changes and deletions on either side are carried to the other
+// Pairs live in sync.json. A state database per pair remembers both sides of
+// every path as of the last sync, which tells what changed on which side since:
+//   sync-state/<pair>.json  ({ syncedAt, entries: { relPath: { isDirectory,
+//                              source: { isDirectory, size, mtime, etag }, target: { ... } } } })
+// A file changed on both sides is a conflict: the newer copy keeps the name and
+// the other one is kept next to it as "name (conflict <date>).ext" on both
+// sides. A change beats a deletion. A dry run only plans. The callers pass in
+// how to keep a version of a file about to be overwritten and how to delete
+// (to the trash, see index.js).
+
+const SYNC_FILE = path.join(__dirname, 'sync.json');
+const STATE_DIR = process.env.SYNC_STATE_DIR || path.join(__dirname, 'sync-state');
+const MODES = ['mirror', 'two-way'];
+const MAX_LISTED = 500; // Pending / failed changes kept per pair for the status page
+const SAVE_EVERY = 200; // Applied changes between state saves during a long sync
+
+let pairs = fs.existsSync(SYNC_FILE) ? fs.readJsonSync(SYNC_FILE) : [];
+const activeJobs = new Map(); // pair id -> its queued or running job
+
+// Helper: Fail with an HTTP status the route can pass through
+const syncError = (status, message) => Object.assign(new Error(message), { status });
+
+const savePairs = () => fs.writeJson(SYNC_FILE, pairs, { spaces: 2 });
+
+const publicPair = (pair) => ({ ...pair, jobId: activeJobs.get(pair.id) || null });
+
+const stateFile = (pairId) => path.join(STATE_DIR, `${pairId}.json`);
+
+const loadState = async (pairId) => {
+    const stored = await fs.readJson(stateFile(pairId)).catch(() => null);
+    return { syncedAt: stored?.syncedAt || null, entries: stored?.entries || {} };
+};
+
+const saveState = async (pairId, state) => {
+    const file = stateFile(pairId);
+    await fs.outputJson(`${file}.tmp`, state);
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+};
+
+// Helper: Folders of one drive must not contain each other (a sync would feed itself)
+const overlaps = (a, b) => a.drive === b.drive &&
+    (a.path === b.path || a.path.startsWith(`${b.path === '/' ? '' : b.path}/`) || b.path.startsWith(`${a.path === '/' ? '' : a.path}/`));
+
+const createPair = async ({ owner, name, source, target, mode = 'two-way', interval = 0 }) => {
+    if (!source?.drive || !target?.drive) throw syncError(400, 'Missing parameters');
+    if (!MODES.includes(mode)) throw syncError(400, `Unknown mode: ${mode}`);
+    const minutes = Number(interval) || 0;
+    if (minutes < 0) throw syncError(400, 'Interval must not be negative');
+    const sourceSide = { drive: source.drive, path: joinPath(source.path || '/') };
+    const targetSide = { drive: target.drive, path: joinPath(target.path || '/') };
+    if (overlaps(sourceSide, targetSide)) throw syncError(400, 'The two folders of a sync pair must not contain each other');
+
+    const pair = {
+        id: crypto.randomUUID(),
+        owner,
+        name: name || `${path.posix.basename(sourceSide.path) || '/'} ↔ ${path.posix.basename(targetSide.path) || '/'}`,
+        source: sourceSide,
+        target: targetSide,
+        mode,
+        interval: minutes,
+        createdAt: new Date().toISOString(),
+        lastSyncAt: null,
+        lastRun: null
+    };
+    pairs.push(pair);
+    await savePairs();
+    return publicPair(pair);
+};
+
+const listPairs = (userId) => pairs.filter(pair => pair.owner === userId).map(publicPair);
+
+const getPair = (id, userId) => {
+    const pair = pairs.find(p => p.id === id);
+    if (!pair || pair.owner !== userId) throw syncError(404, 'Sync pair not found');
+    return pair;
+};
+
+const deletePair = async (id, userId) => {
+    getPair(id, userId);
+    if (activeJobs.has(id)) throw syncError(409, 'This pair is syncing');
+    pairs = pairs.filter(p => p.id !== id);
+    await savePairs();
+    await fs.remove(stateFile(id));
+};
+
+// Drop the pairs that use a removed drive, or all pairs of a deleted user
+const removePairs = async (match) => {
+    const removed = pairs.filter(match);
+    if (removed.length === 0) return;
+    pairs = pairs.filter(pair => !match(pair));
+    await savePairs();
+    await Promise.all(removed.map(pair => fs.remove(stateFile(pair.id))));
+};
+const removeDrive = (driveId) => removePairs(pair => pair.source.drive === driveId || pair.target.drive === driveId);
+const deleteUserPairs = (userId) => removePairs(pair => pair.owner === userId);
+
+const activeJob = (pairId) => activeJobs.get(pairId) || null;
+const setActiveJob = (pairId, jobId) => (jobId ? activeJobs.set(pairId, jobId) : activeJobs.delete(pairId));
+
+// Pairs with an interval whose last sync (successful or not) is older than that, and not syncing now
+const duePairs = (now = Date.now()) => pairs.filter(pair => pair.interval > 0 && !activeJobs.has(pair.id) &&
+    (!pair.lastSyncAt || now - Date.parse(pair.lastSyncAt) >= pair.interval * 60 * 1000));
+
+// Helper: What the state database keeps of an entry
+const snapshot = (entry) => {
+    const mtime = entry.mtime ? new Date(entry.mtime) : null;
+    return {
+        isDirectory: entry.isDirectory,
+        size: entry.size,
+        mtime: mtime && !isNaN(mtime) ? mtime.toISOString() : null,
+        etag: entry.etag
+    };
+};
+
+// Helper: Same version of a path as seen before (folders only need to exist; files
+// compare ETags where both have one, otherwise size and modification time)
+const isUnchanged = (now, before) => {
+    if (!now || !before) return !now && !before;
+    if (now.isDirectory || before.isDirectory) return now.isDirectory === before.isDirectory;
+    if (now.etag && before.etag) return now.etag === before.etag;
+    return now.size === before.size && now.mtime === before.mtime;
+};
+
+// Helper: Everything below `root` as relative path -> snapshot. Listing errors
+// fail the sync: an unreadable folder must not look like a deleted one.
+const walk = async (provider, root, { isCancelled, onFolder }) => {
+    const entries = new Map();
+    try {
+        if (!(await provider.stat(root)).isDirectory) throw syncError(400, `Not a folder: ${root}`);
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+    const pending = ['/'];
+    while (pending.length) {
+        if (isCancelled()) return entries;
+        const rel = pending.shift();
+        for (const entry of await provider.list(joinPath(root, rel), { hidden: true })) {
+            if (isTrashPath(entry.path) || isVersionsPath(entry.path)) continue;
+            const childRel = joinPath(rel, entry.name);
+            entries.set(childRel, snapshot(entry));
+            if (entry.isDirectory) pending.push(childRel);
+        }
+        onFolder();
+    }
+    return entries;
+};
+
+// Helper: Order in which a folder comes right before everything inside it
+const sortKey = (rel) => rel.split('/').join('\u0000');
+const byPath = (a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0);
+
+const otherSide = (side) => (side === 'source' ? 'target' : 'source');
+
+// Helper: "/docs/report.pdf" -> "/docs/report (conflict 2026-10-19 14-05).pdf" (first name neither side uses)
+const conflictPath = (rel, taken) => {
+    const ext = path.posix.extname(rel);
+    const base = rel.slice(0, rel.length - ext.length);
+    const stamp = new Date().toISOString().slice(0, 16).replace('T', ' ').replace(':', '-');
+    for (let n = 1; ; n++) {
+        const candidate = `${base} (conflict ${stamp}${n > 1 ? ` ${n}` : ''})${ext}`;
+        if (!taken(candidate)) return candidate;
+    }
+};
+
+/**
+ * Work out what a sync of `pair` would do, given both sides' listings and the
+ * state of the last sync. Resolves with { changes, entries }: the changes in
+ * the order they apply, each one of
+ *   { path, action: 'copy' | 'mkdir', from, replace }  (file / folder to the other side;
+ *                                                       `replace` trashes what is there first)
+ *   { path, action: 'delete', side, isDirectory }
+ *   { path, action: 'conflict', keep, copyPath }        (both kept, see above)
+ * and the state entries of the paths that are already in sync. Files that only
+ * differ in how the drives report them (no state yet) are compared by content.
+ */
+const planSync = async (pair, listings, state, { sameContent }) => {
+    const { source: sourceEntries, target: targetEntries } = listings;
+    const changes = [];
+    const entries = {};
+    const paths = [...new Set([...sourceEntries.keys(), ...targetEntries.keys(), ...Object.keys(state.entries)])].sort(byPath);
+    const taken = (rel) => sourceEntries.has(rel) || targetEntries.has(rel);
+    const transfer = (rel, from, replace = false) => changes.push({
+        path: rel,
+        action: listings[from].get(rel).isDirectory ? 'mkdir' : 'copy',
+        from,
+        replace
+    });
+    const inSync = (rel, source, target) => {
+        entries[rel] = { isDirectory: source.isDirectory, source, target };
+    };
+
+    for (const rel of paths) {
+        const source = sourceEntries.get(rel);
+        const target = targetEntries.get(rel);
+        const before = state.entries[rel];
+        if (!source && !target) continue;
+        const sourceChanged = !isUnchanged(source, before?.source);
+        const targetChanged = !isUnchanged(target, before?.target);
+
+        if (source && target && source.isDirectory && target.isDirectory) {
+            inSync(rel, source, target);
+        } else if (source && target && !source.isDirectory && !target.isDirectory) {
+            if (!sourceChanged && !targetChanged) inSync(rel, source, target);
+            else if ((!before || (sourceChanged && targetChanged)) && source.size === target.size && await sameContent(rel)) inSync(rel, source, target);
+            else if (pair.mode === 'mirror' || !targetChanged) transfer(rel, 'source');
+            else if (!sourceChanged) transfer(rel, 'target');
+            else {
+                // Both changed: the newer one keeps the name
+                const keep = Date.parse(target.mtime) > Date.parse(source.mtime) ? 'target' : 'source';
+                changes.push({ path: rel, action: 'conflict', keep, copyPath: conflictPath(rel, taken) });
+            }
+        } else if (source && target) {
+            // A file on one side, a folder on the other
+            if (pair.mode === 'mirror') transfer(rel, 'source', true);
+            else changes.push({ path: rel, action: 'conflict', keep: source.isDirectory ? 'source' : 'target', copyPath: conflictPath(rel, taken) });
+        } else {
+            const side = source ? 'source' : 'target';
+            const wasSynced = !!before?.[otherSide(side)];
+            if (pair.mode === 'mirror') {
+                if (source) transfer(rel, 'source');
+                else changes.push({ path: rel, action: 'delete', side: 'target', isDirectory: target.isDirectory });
+            } else if (wasSynced && !(side === 'source' ? sourceChanged : targetChanged)) {
+                // Deleted on the other side since the last sync
+                changes.push({ path: rel, action: 'delete', side, isDirectory: (source || target).isDirectory });
+            } else {
+                transfer(rel, side);
+            }
+        }
+    }
+
+    // Deleting (or replacing) a folder takes everything inside it along, unless
+    // something in there changed since (that folder is then created again on
+    // the other side instead)
+    for (let i = 0; i < changes.length; i++) {
+        const change = changes[i];
+        const removedFrom = change.action === 'delete' ? change.side : change.replace ? otherSide(change.from) : null;
+        if (!removedFrom) continue;
+        let end = i + 1;
+        while (end < changes.length && changes[end].path.startsWith(`${change.path}/`)) end++;
+        const inside = changes.slice(i + 1, end);
+        if (inside.every(other => other.action === 'delete' && other.side === removedFrom)) changes.splice(i + 1, inside.length);
+        else if (change.action === 'delete') changes[i] = { path: change.path, action: 'mkdir', from: change.side, replace: false };
+    }
+    return { changes, entries };
+};
+
+/**
+ * Sync (or with `dryRun`, only plan) a pair. `sides.source` and `sides.target`
+ * are { provider, beforeReplace(filePath), remove(filePath) } for the pair's
+ * drives. `onProgress({ phase: 'scan' | 'apply', done, total })` follows the
+ * work. The outcome is kept as the pair's `lastRun`: { dryRun, status,
+ * startedAt, finishedAt, planned, applied, pending, failed, conflicts, error }
+ * (pending changes were planned but not applied yet). Rejects when the sync as
+ * a whole failed or some changes did.
+ */
+const runPair = async (pair, sides, { dryRun = false, isCancelled = () => false, onProgress = () => {} } = {}) => {
+    const run = { dryRun, status: 'running', startedAt: new Date().toISOString() };
+    const finishRun = async (status, fields) => {
+        Object.assign(run, { status, finishedAt: new Date().toISOString() }, fields);
+        pair.lastRun = run;
+        if (!dryRun) pair.lastSyncAt = run.finishedAt;
+        await savePairs();
+    };
+    const absolute = (side, rel) => joinPath(pair[side].path, rel);
+
+    let changes = [];
+    const failed = [];
+    const conflicts = [];
+    let applied = 0;
+    try {
+        const state = await loadState(pair.id);
+        let folders = 0;
+        const walkOptions = { isCancelled, onFolder: () => onProgress({ phase: 'scan', done: ++folders }) };
+        const sourceEntries = await walk(sides.source.provider, pair.source.path, walkOptions);
+        if (!sourceEntries) throw syncError(404, `Folder not found: ${pair.source.path}`);
+        // A missing target folder is created by the first sync
+        const targetEntries = await walk(sides.target.provider, pair.target.path, walkOptions);
+        if (isCancelled()) return finishRun('cancelled', { planned: 0, applied: 0, pending: [], failed: [], conflicts: [] });
+
+        const listed = { source: sourceEntries, target: targetEntries || new Map() };
+        const plan = await planSync(pair, listed, state, {
+            sameContent: async (rel) => (await hashFile(sides.source.provider, absolute('source', rel))) ===
+                (await hashFile(sides.target.provider, absolute('target', rel)))
+        });
+        changes = plan.changes;
+        if (dryRun) {
+            await finishRun('completed', { planned: changes.length, applied: 0, pending: changes.slice(0, MAX_LISTED), failed: [], conflicts: [] });
+            return;
+        }
+
+        // Paths with changes keep their last known state until the change is applied
+        const entries = plan.entries;
+        for (const change of changes) {
+            for (const rel of [change.path, change.copyPath].filter(Boolean)) {
+                if (state.entries[rel]) entries[rel] = state.entries[rel];
+            }
+        }
+        const newState = { syncedAt: state.syncedAt, entries };
+        const statOf = async (side, rel) => snapshot(await sides[side].provider.stat(absolute(side, rel)));
+        const forget = (rel) => {
+            for (const key of Object.keys(entries)) {
+                if (key === rel || key.startsWith(`${rel}/`)) delete entries[key];
+            }
+        };
+
+        // Bring one file or folder over to the other side (as listed, or as it is now if it was moved there since)
+        const transfer = async (rel, from, fromPath = rel) => {
+            const to = otherSide(from);
+            const entry = listed[from].get(fromPath) || await statOf(from, fromPath);
+            if (entry.isDirectory) await sides[to].provider.mkdir(absolute(to, rel));
+            else {
+                if (listed[to].has(rel)) await sides[to].beforeReplace(absolute(to, rel));
+                await sides[to].provider.writeStream(absolute(to, rel), await sides[from].provider.readStream(absolute(from, fromPath)));
+            }
+            entries[rel] = { isDirectory: entry.isDirectory, [from]: entry, [to]: await statOf(to, rel) };
+        };
+
+        if (!targetEntries) await sides.target.provider.mkdir(pair.target.path);
+
+        for (const [i, change] of changes.entries()) {
+            if (isCancelled()) break;
+            try {
+                if (change.action === 'delete') {
+                    await sides[change.side].remove(absolute(change.side, change.path));
+                    forget(change.path);
+                } else if (change.action === 'conflict') {
+                    // The losing copy moves aside, then both sides get both copies
+                    const lose = otherSide(change.keep);
+                    await sides[lose].provider.move(absolute(lose, change.path), absolute(lose, change.copyPath));
+                    entries[change.copyPath] = { isDirectory: false, [lose]: await statOf(lose, change.copyPath) };
+                    await transfer(change.copyPath, lose);
+                    forget(change.path);
+                    await transfer(change.path, change.keep);
+                    conflicts.push(change);
+                } else {
+                    if (change.replace) {
+                        await sides[otherSide(change.from)].remove(absolute(otherSide(change.from), change.path));
+                        forget(change.path);
+                    }
+                    await transfer(change.path, change.from);
+                }
+                applied++;
+            } catch (err) {
+                failed.push({ ...change, error: err.message });
+            }
+            onProgress({ phase: 'apply', done: i + 1, total: changes.length });
+            if ((i + 1) % SAVE_EVERY === 0) await saveState(pair.id, newState);
+        }
+
+        const pending = changes.slice(applied + failed.length);
+        if (failed.length === 0 && pending.length === 0) newState.syncedAt = new Date().toISOString();
+        await saveState(pair.id, newState);
+        await finishRun(isCancelled() && pending.length ? 'cancelled' : failed.length ? 'failed' : 'completed', {
+            planned: changes.length,
+            applied,
+            pending: pending.slice(0, MAX_LISTED),
+            failed: failed.slice(0, MAX_LISTED),
+            conflicts: conflicts.slice(0, MAX_LISTED)
+        });
+    } catch (err) {
+        await finishRun('failed', { planned: changes.length, applied, pending: [], failed: failed.slice(0, MAX_LISTED), conflicts, error: err.message });
+        throw err;
+    }
+    if (failed.length) throw new Error(`${failed.length} of ${changes.length} changes failed`);
+};
+
+module.exports = {
+    MODES,
+    createPair,
+    listPairs,
+    getPair,
+    deletePair,
+    removeDrive,
+    deleteUserPairs,
+    activeJob,
+    setActiveJob,
+    duePairs,
+    runPair,
+    publicPair
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+// --- Thumbnails ---
+// Resized WebP previews of images (and the first page of PDFs when poppler's
+// `pdftoppm` is installed), cached on disk under a key of drive, path, mtime,
+// size and width, so a changed file gets a new thumbnail and an unchanged one
+// is never fetched from its drive again. Entries not used for
+// THUMBNAIL_MAX_AGE_DAYS (default 30) are swept.
+
+const THUMBNAIL_DIR = process.env.THUMBNAIL_DIR || path.join(__dirname, 'thumbnails');
+const MAX_AGE_DAYS = Number(process.env.THUMBNAIL_MAX_AGE_DAYS) || 30;
+const SIZES = [64, 128, 256, 512];
+const MAX_SOURCE_SIZE = 64 * 1024 * 1024; // Larger originals aren't worth downloading for a preview
+const MAX_GENERATING = 2;
+
+const IMAGE_TYPES = /^image\/(jpeg|png|gif|webp|svg\+xml|bmp|tiff|avif|heic|heif)$/;
+
+const thumbnailError = (status, message) => Object.assign(new Error(message), { status });
+
+const pdfRenderer = promisify(execFile)('pdftoppm', ['-v']).then(() => true, () => false);
+
+const canThumbnail = async (file) => !file.isDirectory && file.size <= MAX_SOURCE_SIZE &&
+    (IMAGE_TYPES.test(file.type) || (file.type === 'application/pdf' && await pdfRenderer));
+
+const cachePath = (driveId, file, width) => {
+    const mtime = file.mtime ? new Date(file.mtime).getTime() : '';
+    const key = crypto.createHash('sha1').update([driveId, file.path, mtime, file.size, width].join('\n')).digest('hex');
+    return path.join(THUMBNAIL_DIR, key.slice(0, 2), `${key}.webp`);
+};
+
+// Generations run a few at a time (a grid asks for 50 at once)
+let generating = 0;
+const waiting = [];
+const withSlot = async (fn) => {
+    if (generating >= MAX_GENERATING) await new Promise(resolve => waiting.push(resolve));
+    generating++;
+    try {
+        return await fn();
+    } finally {
+        generating--;
+        if (waiting.length) waiting.shift()();
+    }
+};
+
+const readAll = async (provider, filePath) => {
+    const chunks = [];
+    for await (const chunk of await provider.readStream(filePath)) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+};
+
+// Helper: First page of a PDF as PNG (pdftoppm needs a real file)
+const renderPdfPage = async (buffer, width) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'thumb-'));
+    try {
+        await fs.writeFile(path.join(dir, 'source.pdf'), buffer);
+        await promisify(execFile)('pdftoppm', ['-f', '1', '-l', '1', '-png', '-singlefile', '-scale-to', String(width * 2), path.join(dir, 'source.pdf'), path.join(dir, 'page')], { timeout: 30 * 1000 });
+        return await fs.readFile(path.join(dir, 'page.png'));
+    } finally {
+        await fs.remove(dir);
+    }
+};
+
+const generate = async (provider, file, width, target) => {
+    let source = await readAll(provider, file.path);
+    if (file.type === 'application/pdf') source = await renderPdfPage(source, width);
+    const tmp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.ensureDir(path.dirname(target));
+    await sharp(source, { failOn: 'none' })
+        .rotate() // Apply EXIF orientation
+        .resize(width, width, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toFile(tmp);
+    await fs.move(tmp, target, { overwrite: true });
+};
+
+const inFlight = new Map(); // cache path -> generation promise
+
+/**
+ * Path of the cached thumbnail of `file` (a provider entry), generated first
+ * when missing. `width` is rounded up to one of SIZES.
+ */
+const getThumbnail = async (provider, driveId, file, width) => {
+    if (!(await canThumbnail(file))) throw thumbnailError(415, 'No thumbnail for this file type');
+    const size = SIZES.find(s => s >= width) || SIZES[SIZES.length - 1];
+    const target = cachePath(driveId, file, size);
+
+    if (await fs.pathExists(target)) {
+        const now = new Date();
+        await fs.utimes(target, now, now).catch(() => {}); // Keep used thumbnails from being swept
+        return target;
+    }
+    if (!inFlight.has(target)) {
+        inFlight.set(target, withSlot(() => generate(provider, file, size, target)).finally(() => inFlight.delete(target)));
+    }
+    await inFlight.get(target);
+    return target;
+};
+
+// Remove thumbnails not used for MAX_AGE_DAYS; returns how many
+const sweep = async () => {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    for (const dir of await fs.readdir(THUMBNAIL_DIR).catch(() => [])) {
+        for (const name of await fs.readdir(path.join(THUMBNAIL_DIR, dir)).catch(() => [])) {
+            const file = path.join(THUMBNAIL_DIR, dir, name);
+            const stats = await fs.stat(file).catch(() => null);
+            if (stats && stats.mtimeMs < cutoff) {
+                await fs.remove(file);
+                removed++;
+            }
+        }
+    }
+    return removed;
+};
+
+module.exports = { THUMBNAIL_DIR, SIZES, getThumbnail, sweep };
@@ -0,0 +1,121 @@
+const path = require('path');
+const { joinPath, isNotFound } = require('./providers/common');
+
+// --- Cross-Drive Transfer ---
+// Copies a file or folder between two providers. Every file is piped from
+// source.readStream into target.writeStream, so nothing is buffered in memory.
+
+// Helper: Entries already in a target folder by name (none when it doesn't exist yet)
+const existingEntries = async (provider, dir) => {
+    try {
+        return new Map((await provider.list(dir, { hidden: true })).map(file => [file.name, file]));
+    } catch (err) {
+        if (isNotFound(err)) return new Map();
+        throw err;
+    }
+};
+
+// `beforeReplace(path)` runs before a file is written over one the target already
+// has: for a file `to` itself, inside a folder every file of the same name
+const copyEntry = async (source, from, target, to, { beforeReplace } = {}) => {
+    const entry = await source.stat(from);
+    if (!entry.isDirectory) {
+        if (beforeReplace) await beforeReplace(to);
+        await target.writeStream(to, await source.readStream(from));
+        return;
+    }
+    const existing = beforeReplace ? await existingEntries(target, to) : new Map();
+    await target.mkdir(to);
+    for (const child of await source.list(from, { hidden: true })) {
+        await copyEntry(source, child.path, target, joinPath(to, child.name), {
+            beforeReplace: existing.has(child.name) ? beforeReplace : undefined
+        });
+    }
+};
+
+/**
+ * "report.pdf" -> "report (copy).pdf", "report (copy 2).pdf", ... (the first free name;
+ * only "not found" means free, other errors must not lead to overwriting a file).
+ * `tryOriginal` takes `destPath` itself when it is free; `extension` keeps a
+ * multi-part one (".tar.gz") in front of the counter.
+ */
+const availableCopyPath = async (provider, destPath, { tryOriginal = false, extension = path.posix.extname(destPath) } = {}) => {
+    const dir = path.posix.dirname(destPath);
+    const base = path.posix.basename(destPath, extension);
+    for (let n = tryOriginal ? 0 : 1; ; n++) {
+        const candidate = n === 0 ? destPath : joinPath(dir, `${base} (copy${n > 1 ? ` ${n}` : ''})${extension}`);
+        try {
+            await provider.stat(candidate);
+        } catch (err) {
+            if (isNotFound(err)) return candidate;
+            throw err;
+        }
+    }
+};
+
+// Helper: Reject copying a folder into itself (or onto itself) on the same drive
+const assertNotNested = (from, to) => {
+    const fromPath = joinPath(from);
+    if (to === fromPath || to.startsWith(`${fromPath}/`)) {
+        throw new Error(`Cannot transfer "${fromPath}" into itself`);
+    }
+};
+
+// Helper: Merge the folder `from` into the existing folder `to` on one drive. Entries
+// the target lacks are moved/copied whole; files of the same name after beforeReplace.
+const mergeFolder = async (provider, from, to, mode, beforeReplace) => {
+    const existing = await existingEntries(provider, to);
+    for (const child of await provider.list(from, { hidden: true })) {
+        const destPath = joinPath(to, child.name);
+        const current = existing.get(child.name);
+        if (child.isDirectory && current && current.isDirectory) {
+            await mergeFolder(provider, child.path, destPath, mode, beforeReplace);
+            continue;
+        }
+        if (current) await beforeReplace(destPath);
+        if (mode === 'move') await provider.move(child.path, destPath);
+        else await provider.copy(child.path, destPath);
+    }
+    if (mode === 'move') await provider.delete(from);
+};
+
+/**
+ * Move or copy `from` to `to` within one drive with the provider's own move/copy.
+ * A folder landing on an existing folder is merged entry by entry instead, so
+ * `beforeReplace(path)` sees every file it replaces.
+ */
+const relocate = async (provider, from, to, { mode = 'move', beforeReplace } = {}) => {
+    if (beforeReplace && (await provider.stat(from)).isDirectory) {
+        const current = (await existingEntries(provider, path.posix.dirname(to))).get(path.posix.basename(to));
+        if (current && current.isDirectory) return mergeFolder(provider, from, to, mode, beforeReplace);
+    }
+    if (beforeReplace) await beforeReplace(to);
+    if (mode === 'move') await provider.move(from, to);
+    else await provider.copy(from, to);
+};
+
+/**
+ * Transfer `items` into the folder `destination`.
+ * Within one drive the provider's own move/copy is used; across drives the data
+ * is streamed and, for moves, the source is deleted once the copy succeeded.
+ * `beforeReplace(destPath)` runs before each file is written over an existing one.
+ */
+const transferItems = async ({ source, target, sameDrive, items, destination, mode = 'move', beforeReplace }) => {
+    for (const item of items) {
+        let destPath = joinPath(destination, path.posix.basename(joinPath(item)));
+        if (sameDrive) {
+            if (joinPath(item) === destPath) {
+                if (mode === 'move') continue;
+                // Copy into the same folder: keep both
+                destPath = await availableCopyPath(source, destPath);
+            }
+            assertNotNested(item, destPath);
+            await relocate(source, item, destPath, { mode, beforeReplace });
+            continue;
+        }
+        await copyEntry(source, item, target, destPath, { beforeReplace });
+        if (mode === 'move') await source.delete(item);
+    }
+};
+
+module.exports = { transferItems, relocate, copyEntry, existingEntries, availableCopyPath };
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const { joinPath, isNotFound } = require('./providers/common');
+
+// --- Recycle Bin ---
+// Deleted items are moved into a hidden folder on their own drive:
+//   /.clouddrive-trash/<id>/<name>   (the item itself)
+//   /.clouddrive-trash/index.json    ([{ id, name, originalPath, isDirectory, size, deletedAt, deletedBy }])
+// so a delete is a cheap same-drive move and the bin survives server moves.
+// The client keeps the same layout for drives it manages itself. Items older
+// than TRASH_RETENTION_DAYS (default 30, 0 = keep forever) are purged whenever a
+// drive's bin is touched and by a periodic sweep in index.js.
+
+const TRASH_DIR = '/.clouddrive-trash';
+const INDEX_FILE = `${TRASH_DIR}/index.json`;
+const RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined ? Number(process.env.TRASH_RETENTION_DAYS) : 30;
+
+const isTrashPath = (filePath) => {
+    const target = joinPath(filePath);
+    return target === TRASH_DIR || target.startsWith(`${TRASH_DIR}/`);
+};
+
+// Index updates of one drive run one after another (key: drive id)
+const locks = new Map();
+const withLock = (key, fn) => {
+    const run = (locks.get(key) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+    return run;
+};
+
+const exists = async (provider, filePath) => {
+    try {
+        await provider.stat(filePath);
+        return true;
+    } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+    }
+};
+
+const readIndex = async (provider) => {
+    if (!(await exists(provider, INDEX_FILE))) return [];
+    const chunks = [];
+    for await (const chunk of await provider.readStream(INDEX_FILE)) chunks.push(Buffer.from(chunk));
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+const writeIndex = (provider, items) => provider.writeStream(INDEX_FILE, Readable.from([Buffer.from(JSON.stringify(items, null, 2))]));
+
+const slotPath = (item) => joinPath(TRASH_DIR, item.id);
+
+// Helper: Delete an item's folder in the bin (already gone is fine)
+const removeSlot = (provider, item) => provider.delete(slotPath(item)).catch((err) => {
+    if (!isNotFound(err)) throw err;
+});
+
+const isExpired = (item, now = Date.now()) => RETENTION_DAYS > 0 && now - Date.parse(item.deletedAt) > RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Helper: Drop expired items from an index (caller holds the lock and writes the index)
+const purgeExpired = async (provider, items) => {
+    const expired = items.filter(item => isExpired(item));
+    for (const item of expired) await removeSlot(provider, item);
+    return items.filter(item => !expired.includes(item));
+};
+
+// Helper: "report.pdf" -> "report (restored).pdf", "report (restored 2).pdf", ... (first free name)
+const availableRestorePath = async (provider, targetPath) => {
+    if (!(await exists(provider, targetPath))) return targetPath;
+    const dir = path.posix.dirname(targetPath);
+    const ext = path.posix.extname(targetPath);
+    const base = path.posix.basename(targetPath, ext);
+    for (let n = 1; ; n++) {
+        const candidate = joinPath(dir, `${base} (restored${n > 1 ? ` ${n}` : ''})${ext}`);
+        if (!(await exists(provider, candidate))) return candidate;
+    }
+};
+
+// Move `filePaths` of a drive into its bin; returns the new bin entries
+const moveToTrash = (provider, driveId, filePaths, userId) => withLock(driveId, async () => {
+    let items = await purgeExpired(provider, await readIndex(provider));
+    if (!(await exists(provider, TRASH_DIR))) await provider.mkdir(TRASH_DIR);
+
+    const added = [];
+    try {
+        for (const filePath of filePaths) {
+            if (isTrashPath(filePath)) throw Object.assign(new Error('Items in the trash can only be restored or deleted from there'), { status: 400 });
+            const entry = await provider.stat(filePath);
+            const item = {
+                id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+                name: entry.name,
+                originalPath: joinPath(filePath),
+                isDirectory: entry.isDirectory,
+                size: entry.size,
+                deletedAt: new Date().toISOString(),
+                deletedBy: userId
+            };
+            await provider.mkdir(slotPath(item));
+            await provider.move(item.originalPath, joinPath(slotPath(item), item.name));
+            added.push(item);
+        }
+    } finally {
+        // Record whatever was moved, even when a later item failed
+        items = [...items, ...added];
+        await writeIndex(provider, items);
+    }
+    return added;
+});
+
+// Bin contents of a drive (expired items are purged first)
+const listTrash = (provider, driveId) => withLock(driveId, async () => {
+    const items = await readIndex(provider);
+    const kept = await purgeExpired(provider, items);
+    if (kept.length !== items.length) await writeIndex(provider, kept);
+    return kept;
+});
+
+// Helper: Run `fn(item)` for the bin entries with the given ids, then drop them from the index
+const takeItems = (provider, driveId, ids, fn) => withLock(driveId, async () => {
+    const items = await readIndex(provider);
+    const taken = items.filter(item => ids.includes(item.id));
+    const done = [];
+    try {
+        for (const item of taken) {
+            done.push({ ...item, result: await fn(item) });
+        }
+    } finally {
+        if (done.length) await writeIndex(provider, items.filter(item => !done.some(d => d.id === item.id)));
+    }
+    return done;
+});
+
+// Put items back at their original path (a free "(restored)" name when that is taken)
+const restoreItems = (provider, driveId, ids) => takeItems(provider, driveId, ids, async (item) => {
+    const target = await availableRestorePath(provider, item.originalPath);
+    const parent = path.posix.dirname(target);
+    if (!(await exists(provider, parent))) await provider.mkdir(parent);
+    await provider.move(joinPath(slotPath(item), item.name), target);
+    await removeSlot(provider, item);
+    return target;
+});
+
+const deleteItems = (provider, driveId, ids) => takeItems(provider, driveId, ids, item => removeSlot(provider, item));
+
+// Periodic sweep for one drive: purge expired items if the drive has a bin
+const sweep = (provider, driveId) => withLock(driveId, async () => {
+    if (RETENTION_DAYS <= 0 || !(await exists(provider, INDEX_FILE))) return 0;
+    const items = await readIndex(provider);
+    const kept = await purgeExpired(provider, items);
+    if (kept.length !== items.length) await writeIndex(provider, kept);
+    return items.length - kept.length;
+});
+
+module.exports = {
+    TRASH_DIR,
+    RETENTION_DAYS,
+    isTrashPath,
+    moveToTrash,
+    listTrash,
+    restoreItems,
+    deleteItems,
+    sweep
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// --- Resumable Uploads (tus-style) ---
+// The client PATCHes chunks at increasing offsets; they are staged in a temp
+// file on this server. Only once every byte has arrived is the file written to
+// the target drive (session.write, run as a job by the caller), so an unfinished
+// or abandoned upload never touches an existing file there. The session stays
+// until that write is done, so a client that lost the last response can find
+// the job through it.
+// Sessions live in memory: they survive client reloads and dropped connections
+// (the client asks for the offset and continues), not a server restart.
+
+const SESSION_TTL = 60 * 60 * 1000; // Abort uploads idle for an hour
+const sessions = new Map();
+
+/**
+ * Open a session for a file of `size` bytes at `filePath`. `write(source)`
+ * stores the finished file on its drive (e.g. through provider.writeStream).
+ */
+const createSession = ({ write, path: filePath, size, driveId, userId }) => {
+    const id = crypto.randomUUID();
+    const tempPath = path.join(os.tmpdir(), `clouddrive-upload-${id}`);
+    const body = fs.createWriteStream(tempPath);
+    const session = {
+        id,
+        driveId,
+        userId,
+        path: filePath,
+        size,
+        offset: 0,
+        tempPath,
+        body,
+        write,
+        busy: false,
+        jobId: null, // Set while the finished file is written to its drive
+        error: null,
+        updatedAt: Date.now()
+    };
+    // Failures surface through session.error, never as stream 'error' events
+    body.on('error', (err) => {
+        session.error = session.error || err;
+        // Unblock a PATCH that waits for the dead stream to drain
+        if (session.source) session.source.destroy();
+    });
+    sessions.set(session.id, session);
+    return session;
+};
+
+// Sessions are only visible to the user who started them
+const getSession = (id, userId) => {
+    const session = sessions.get(id);
+    return session && session.userId === userId ? session : null;
+};
+
+// Finish (or fail) a session once every byte has arrived: the staged file goes to its drive
+const completeSession = async (session) => {
+    try {
+        if (!session.error) await new Promise(resolve => session.body.end(resolve));
+        if (session.error) throw session.error;
+        await session.write(fs.createReadStream(session.tempPath));
+    } finally {
+        sessions.delete(session.id);
+        await fs.remove(session.tempPath);
+    }
+};
+
+/**
+ * Append the bytes of `source` (the PATCH request) to the session.
+ * Resolves with the new offset; a dropped connection keeps what arrived.
+ * A session that has every byte stays busy until completeSession.
+ */
+const appendChunk = (session, source) => new Promise((resolve, reject) => {
+    session.busy = true;
+    session.source = source;
+    let settled = false;
+    const finish = () => {
+        if (settled) return;
+        settled = true;
+        session.busy = session.offset === session.size && !session.error;
+        session.source = null;
+        session.updatedAt = Date.now();
+        if (session.error) {
+            abortSession(session);
+            return reject(session.error);
+        }
+        resolve(session.offset);
+    };
+
+    source.on('data', (chunk) => {
+        const remaining = session.size - session.offset;
+        const part = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+        if (part.length === 0) return;
+        session.offset += part.length;
+        if (!session.body.write(part)) {
+            source.pause();
+            session.body.once('drain', () => source.resume());
+        }
+    });
+    source.on('end', finish);
+    source.on('close', finish);
+    source.on('error', finish);
+});
+
+const abortSession = (session) => {
+    sessions.delete(session.id);
+    session.body.destroy();
+    fs.remove(session.tempPath).catch(() => {});
+};
+
+// Expire abandoned sessions so their staged files are removed
+setInterval(() => {
+    const now = Date.now();
+    sessions.forEach(session => {
+        if (!session.busy && now - session.updatedAt > SESSION_TTL) abortSession(session);
+    });
+}, 60 * 1000).unref();
+
+module.exports = { createSession, getSession, appendChunk, completeSession, abortSession };
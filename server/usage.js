@@ -0,0 +1,110 @@
+const path = require('path');
+const { joinPath } = require('./providers/common');
+
+// --- Disk Usage ---
+// A scan adds up a folder's size bottom-up and caches the result of every
+// folder it passes, keyed by drive and path:
+//   { path, name, size, files, folders, unreadable, scannedAt,
+//     children: [{ name, path, isDirectory, size, files }], other: { count, size } }
+// (the MAX_CHILDREN largest entries, the rest summed up in `other`). Scanning
+// a folder again reuses the cached results of its subfolders, so drilling down
+// after a scan costs nothing. Changes made through this server drop the
+// folders they touched and all folders above them; CACHE_TTL covers the rest.
+// Hidden files and folders count too (dot-folders like .cache, the trash and
+// version folders).
+
+const MAX_CHILDREN = 200;
+const CACHE_TTL = 6 * 60 * 60 * 1000;
+
+const cache = new Map(); // `${driveId}:${path}` -> folder
+
+const keyOf = (driveId, dirPath) => `${driveId}:${joinPath(dirPath)}`;
+
+const getCached = (driveId, dirPath) => {
+    const folder = cache.get(keyOf(driveId, dirPath));
+    if (folder && Date.now() - Date.parse(folder.scannedAt) > CACHE_TTL) {
+        cache.delete(keyOf(driveId, dirPath));
+        return null;
+    }
+    return folder || null;
+};
+
+/**
+ * Size up `dirPath` and everything below it, reusing cached folders unless
+ * `refresh`. `onFolder(count)` follows the number of folders listed. Folders
+ * that can't be listed count as empty (`unreadable`). Resolves with the
+ * folder, or null when cancelled (unfinished folders are not cached).
+ */
+const scanFolder = async (provider, driveId, dirPath, { refresh = false, isCancelled = () => false, onFolder = () => {} } = {}) => {
+    let listed = 0;
+    const visit = async (folderPath) => {
+        const cached = !refresh && getCached(driveId, folderPath);
+        if (cached) return cached;
+        if (isCancelled()) return null;
+
+        let entries = [];
+        let unreadable = 0;
+        try {
+            entries = await provider.list(folderPath, { hidden: true });
+        } catch (err) {
+            unreadable = 1;
+        }
+        onFolder(++listed);
+
+        const children = [];
+        let files = 0;
+        let folders = 0;
+        for (const entry of entries) {
+            if (entry.isDirectory) {
+                const sub = await visit(entry.path);
+                if (!sub) return null;
+                children.push({ name: entry.name, path: entry.path, isDirectory: true, size: sub.size, files: sub.files });
+                files += sub.files;
+                folders += 1 + sub.folders;
+                unreadable += sub.unreadable;
+            } else {
+                children.push({ name: entry.name, path: entry.path, isDirectory: false, size: entry.size || 0, files: 1 });
+                files++;
+            }
+        }
+        children.sort((a, b) => b.size - a.size);
+        const rest = children.slice(MAX_CHILDREN);
+        const folder = {
+            path: joinPath(folderPath),
+            name: path.posix.basename(joinPath(folderPath)) || '/',
+            size: children.reduce((sum, child) => sum + child.size, 0),
+            files,
+            folders,
+            unreadable,
+            scannedAt: new Date().toISOString(),
+            children: children.slice(0, MAX_CHILDREN),
+            other: rest.length ? { count: rest.length, size: rest.reduce((sum, child) => sum + child.size, 0) } : undefined
+        };
+        cache.set(keyOf(driveId, folderPath), folder);
+        return folder;
+    };
+    return visit(dirPath);
+};
+
+// Something changed at `paths` on a drive: forget those folders, everything
+// below them and every folder above them
+const invalidate = (driveId, paths) => {
+    for (const filePath of paths.filter(Boolean).map(p => joinPath(p))) {
+        for (let dir = filePath; ; dir = path.posix.dirname(dir)) {
+            cache.delete(keyOf(driveId, dir));
+            if (dir === '/') break;
+        }
+        const below = filePath === '/' ? `${driveId}:/` : `${keyOf(driveId, filePath)}/`;
+        for (const key of cache.keys()) {
+            if (key.startsWith(below)) cache.delete(key);
+        }
+    }
+};
+
+const removeDrive = (driveId) => {
+    for (const key of cache.keys()) {
+        if (key.startsWith(`${driveId}:`)) cache.delete(key);
+    }
+};
+
+module.exports = { scanFolder, getCached, invalidate, removeDrive };
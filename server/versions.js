@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const { joinPath, isNotFound } = require('./providers/common');
+const { isTrashPath } = require('./trash');
+
+// --- File Versions ---
+// Before a file is overwritten (upload, move / copy / rename / extract onto it,
+// a PUT or MOVE through the /webdav mount, restoring an older version), its current
+// content is copied into a hidden folder on its own drive (the file itself stays
+// in place until the new content replaces it):
+//   /.clouddrive-versions/<id>/<name>   (the replaced content)
+//   /.clouddrive-versions/index.json    ([{ id, path, name, size, mtime, savedAt, savedBy, reason }])
+// Only the newest VERSIONS_PER_FILE (default 10, 0 = off) of each path are kept.
+
+const VERSIONS_DIR = '/.clouddrive-versions';
+const INDEX_FILE = `${VERSIONS_DIR}/index.json`;
+const VERSIONS_PER_FILE = process.env.VERSIONS_PER_FILE !== undefined ? Number(process.env.VERSIONS_PER_FILE) : 10;
+
+const isVersionsPath = (filePath) => {
+    const target = joinPath(filePath);
+    return target === VERSIONS_DIR || target.startsWith(`${VERSIONS_DIR}/`);
+};
+
+// Index updates of one drive run one after another (key: drive id)
+const locks = new Map();
+const withLock = (key, fn) => {
+    const run = (locks.get(key) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+    return run;
+};
+
+// Helper: Stat that answers null for a missing path
+const statOrNull = async (provider, filePath) => {
+    try {
+        return await provider.stat(filePath);
+    } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+    }
+};
+
+const readIndex = async (provider) => {
+    if (!(await statOrNull(provider, INDEX_FILE))) return [];
+    const chunks = [];
+    for await (const chunk of await provider.readStream(INDEX_FILE)) chunks.push(Buffer.from(chunk));
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+};
+
+const writeIndex = (provider, items) => provider.writeStream(INDEX_FILE, Readable.from([Buffer.from(JSON.stringify(items, null, 2))]));
+
+const slotPath = (item) => joinPath(VERSIONS_DIR, item.id);
+
+// Where a version's content is stored
+const versionFile = (item) => joinPath(slotPath(item), item.name);
+
+// Helper: Delete a version's folder (already gone is fine)
+const removeSlot = (provider, item) => provider.delete(slotPath(item)).catch((err) => {
+    if (!isNotFound(err)) throw err;
+});
+
+// Helper: Drop the oldest versions of `filePath` beyond VERSIONS_PER_FILE (caller holds the lock)
+const prune = async (provider, items, filePath) => {
+    const extra = items
+        .filter(item => item.path === filePath)
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+        .slice(VERSIONS_PER_FILE);
+    for (const item of extra) await removeSlot(provider, item);
+    return items.filter(item => !extra.includes(item));
+};
+
+// Helper: Copy the current content of `filePath` into a new version, added to
+// `items` (caller holds the lock, prunes and writes the index)
+const addVersion = async (provider, items, filePath, { userId, reason }) => {
+    const entry = await statOrNull(provider, filePath);
+    if (!entry || entry.isDirectory) return null;
+    const item = {
+        id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        path: filePath,
+        name: entry.name,
+        size: entry.size,
+        mtime: entry.mtime,
+        savedAt: new Date().toISOString(),
+        savedBy: userId,
+        reason
+    };
+    if (!(await statOrNull(provider, VERSIONS_DIR))) await provider.mkdir(VERSIONS_DIR);
+    await provider.mkdir(slotPath(item));
+    await provider.copy(filePath, versionFile(item));
+    items.push(item);
+    return item;
+};
+
+/**
+ * Keep the file at `filePath` as a version because something is about to
+ * replace it; `reason` says what (upload, move, copy, rename, extract, webdav,
+ * restore, sync). Resolves with the version, or null when there is no file to keep.
+ */
+const saveVersion = (provider, driveId, filePath, { userId, reason }) => {
+    const target = joinPath(filePath);
+    if (VERSIONS_PER_FILE <= 0 || isVersionsPath(target) || isTrashPath(target)) return Promise.resolve(null);
+    return withLock(driveId, async () => {
+        const items = await readIndex(provider);
+        const item = await addVersion(provider, items, target, { userId, reason });
+        if (item) await writeIndex(provider, await prune(provider, items, target));
+        return item;
+    });
+};
+
+// Versions of one file, newest first
+const listVersions = async (provider, filePath) => {
+    const target = joinPath(filePath);
+    return (await readIndex(provider))
+        .filter(item => item.path === target)
+        .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+const getVersion = async (provider, filePath, id) => {
+    const item = (await listVersions(provider, filePath)).find(v => v.id === id);
+    if (!item) throw Object.assign(new Error('Version not found'), { status: 404 });
+    return item;
+};
+
+// Put a version back in place; the content it replaces becomes a version itself
+const restoreVersion = (provider, driveId, filePath, id, { userId }) => withLock(driveId, async () => {
+    const target = joinPath(filePath);
+    const items = await readIndex(provider);
+    const item = items.find(v => v.id === id && v.path === target);
+    if (!item) throw Object.assign(new Error('Version not found'), { status: 404 });
+
+    try {
+        // One version in, one out: the count stays the same
+        await addVersion(provider, items, target, { userId, reason: 'restore' });
+        const parent = path.posix.dirname(target);
+        if (!(await statOrNull(provider, parent))) await provider.mkdir(parent);
+        await provider.move(versionFile(item), target);
+        items.splice(items.indexOf(item), 1);
+        await removeSlot(provider, item);
+    } finally {
+        // Record whatever happened, even when a later step failed
+        await writeIndex(provider, items);
+    }
+    return target;
+});
+
+module.exports = {
+    VERSIONS_DIR,
+    VERSIONS_PER_FILE,
+    isVersionsPath,
+    versionFile,
+    saveVersion,
+    listVersions,
+    getVersion,
+    restoreVersion
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+
+// --- Directory Change Notifications ---
+// Browsers subscribe to the folder they have open (GET /api/watch, SSE) and get a
+// `change` event whenever its listing changes, whoever made the change (the
+// /webdav mount, another user, another program). Local folders are watched with
+// fs.watch; other drives are polled and their listing compared (WebDAV entries
+// carry an ETag, the rest name/size/mtime). Every folder has one watcher, shared
+// by all its subscribers and stopped with the last one. Polling goes through the
+// drive's own provider (access is checked when a browser subscribes), one
+// connection per drive for all of its watched folders.
+
+const POLL_INTERVAL = (Number(process.env.WATCH_POLL_SECONDS) || 15) * 1000;
+const DEBOUNCE = 300; // Coalesce bursts (e.g. a copy writing many chunks)
+
+const watchers = new Map(); // key -> { listeners, stop }
+const connections = new Map(); // drive id -> { provider, users, connect, disconnect }
+
+// Helper: The drive's shared polling connection, opened with its first watcher
+const acquireConnection = (driveId, connect, disconnect) => {
+    let connection = connections.get(driveId);
+    if (!connection) {
+        connection = { provider: connect(), users: 0, connect, disconnect };
+        connections.set(driveId, connection);
+    }
+    connection.users++;
+    return connection;
+};
+
+const releaseConnection = (connection, driveId) => {
+    if (--connection.users > 0) return;
+    connections.delete(driveId);
+    connection.disconnect(connection.provider);
+};
+
+// Helper: A failed listing may mean a dropped connection: the next poll uses a fresh one
+const resetConnection = (connection) => {
+    const stale = connection.provider;
+    connection.provider = connection.connect();
+    connection.disconnect(stale);
+};
+
+// Helper: Everything in a listing that changes when an entry is added, removed or rewritten
+const signature = (files) => files
+    .map(file => `${file.path}|${file.etag || ''}|${file.mtime ? new Date(file.mtime).getTime() : ''}|${file.size}`)
+    .sort()
+    .join('\n');
+
+const notify = (watcher) => {
+    clearTimeout(watcher.timer);
+    watcher.timer = setTimeout(() => watcher.listeners.forEach(fn => fn()), DEBOUNCE);
+};
+
+const watchLocal = (watcher, directory) => {
+    let fsWatcher;
+    try {
+        fsWatcher = fs.watch(directory, { persistent: false }, (event, name) => {
+            // Hidden entries aren't listed (editor swap files, the recycle bin)
+            if (!name || !name.startsWith('.')) notify(watcher);
+        });
+        // The folder itself went away: tell subscribers once, their reload shows the error
+        fsWatcher.on('error', () => notify(watcher));
+    } catch (err) {
+        console.error(`[Watch] ${directory}:`, err.message);
+    }
+    return () => fsWatcher && fsWatcher.close();
+};
+
+const watchByPolling = (watcher, { driveId, path, connect, disconnect }) => {
+    const connection = acquireConnection(driveId, connect, disconnect);
+    let last;
+    let polling = false;
+    const poll = async () => {
+        if (polling) return; // A slow drive: skip a round rather than pile up requests
+        polling = true;
+        const provider = connection.provider;
+        try {
+            const current = signature(await provider.list(path));
+            if (last !== undefined && current !== last) notify(watcher);
+            last = current;
+        } catch (err) {
+            if (typeof last === 'string') notify(watcher); // Became unreachable (e.g. folder deleted)
+            last = null;
+            if (connection.provider === provider) resetConnection(connection);
+        } finally {
+            polling = false;
+        }
+    };
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL);
+    return () => {
+        clearInterval(interval);
+        releaseConnection(connection, driveId);
+    };
+};
+
+/**
+ * Call `listener()` whenever the folder identified by `key` changes; returns an
+ * unsubscribe function. `localDirectory` (absolute path) is watched directly,
+ * otherwise `path` on the drive `driveId` is polled through `connect()` (the
+ * drive's provider, released with `disconnect(provider)`).
+ */
+const subscribe = (key, { localDirectory, ...drive }, listener) => {
+    let watcher = watchers.get(key);
+    if (!watcher) {
+        watcher = { listeners: new Set() };
+        watcher.stop = localDirectory ? watchLocal(watcher, localDirectory) : watchByPolling(watcher, drive);
+        watchers.set(key, watcher);
+    }
+    watcher.listeners.add(listener);
+
+    return () => {
+        watcher.listeners.delete(listener);
+        if (watcher.listeners.size === 0) {
+            watcher.stop();
+            clearTimeout(watcher.timer);
+            watchers.delete(key);
+        }
+    };
+};
+
+module.exports = { POLL_INTERVAL, subscribe };